@@ -0,0 +1,141 @@
+// Minimal REST API for EasyLease.
+//
+//   GET    /api/:collection          list records
+//   GET    /api/:collection/:id      fetch one record
+//   POST   /api/:collection          create (the server assigns the ID)
+//   POST   /api/:collection/import   create { records: [...] }, all or none
+//   PUT    /api/:collection/:id      update fields of a record
+//   DELETE /api/:collection/:id      delete a record
+//
+//   GET    /api/auditLog             every change made, oldest first
+//   POST   /api/auditLog/:id/undo    reverse one change (recorded as a new entry)
+//
+// Collections: vehicles, lessees, payments, leases, lateFeePolicies,
+// vehicleEvents, maintenance, serviceReminders, odometerReadings and
+// vehicleCategories. Data lives in a JSON file (DATA_FILE, default
+// server/data.json) that is seeded on first run with mock data (MOCK_SCENARIO
+// and MOCK_SEED pick which; MOCK_VEHICLES, MOCK_LESSEES, MOCK_HISTORY_MONTHS
+// and MOCK_TODAY override the scenario). Writes are attributed to the
+// operator named in the X-Operator header.
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { DataError } from '../src/data/collections.js';
+import { parseMockOptions } from '../src/data/mockData.js';
+import { AUDIT_COLLECTION } from '../src/data/audit.js';
+import { createStore } from './store.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_FILE = process.env.DATA_FILE || fileURLToPath(new URL('./data.json', import.meta.url));
+const MAX_BODY_BYTES = 5 * 1024 * 1024; // room for imported spreadsheets
+const SEED_OPTIONS = parseMockOptions({
+  scenario: process.env.MOCK_SCENARIO,
+  seed: process.env.MOCK_SEED,
+  vehicles: process.env.MOCK_VEHICLES,
+  lessees: process.env.MOCK_LESSEES,
+  historyMonths: process.env.MOCK_HISTORY_MONTHS,
+  today: process.env.MOCK_TODAY,
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+// An oversized body is rejected as soon as it passes the limit, but the rest
+// is still read (and dropped): closing the connection while the client is
+// sending would reset it before the 413 arrives
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  let tooLarge = false;
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    if (tooLarge) return;
+    raw += chunk;
+    if (raw.length > MAX_BODY_BYTES) {
+      tooLarge = true;
+      raw = '';
+      reject(new DataError('Request body too large', { status: 413 }));
+    }
+  });
+  req.on('end', () => {
+    if (tooLarge) return;
+    try {
+      const body = raw ? JSON.parse(raw) : {};
+      if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        throw new Error('not an object');
+      }
+      resolve(body);
+    } catch {
+      reject(new DataError('Request body must be a JSON object'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// A malformed percent-escape is the client's mistake, not a server error
+const decode = (text) => {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    if (err instanceof URIError) throw new DataError(`Malformed URL encoding: ${text}`);
+    throw err;
+  }
+};
+
+const handleRequest = async (store, req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const [prefix, collection, id, ...rest] = pathname.split('/').filter(Boolean).map(decode);
+  if (prefix !== 'api' || !collection) {
+    throw new DataError('Not found', { status: 404 });
+  }
+  const actor = req.headers['x-operator'] ? decode(req.headers['x-operator']) : undefined;
+
+  // The audit log is append-only; entries are only ever added by writes and undos
+  if (collection === AUDIT_COLLECTION) {
+    if (!id && req.method === 'GET') return sendJson(res, 200, store.auditLog());
+    if (id && rest.length === 1 && rest[0] === 'undo') {
+      if (req.method === 'POST') return sendJson(res, 201, await store.undo(id, actor));
+    } else if (id || rest.length > 0) {
+      throw new DataError('Not found', { status: 404 });
+    }
+    throw new DataError(`Method ${req.method} not allowed`, { status: 405 });
+  }
+
+  if (rest.length > 0) throw new DataError('Not found', { status: 404 });
+
+  // Imported records may keep their own IDs; one invalid row rejects the batch
+  if (id === 'import' && req.method === 'POST') {
+    const { records } = await readJsonBody(req);
+    return sendJson(res, 201, await store.importRecords(collection, records, actor));
+  }
+
+  if (!id) {
+    if (req.method === 'GET') return sendJson(res, 200, store.list(collection));
+    if (req.method === 'POST') return sendJson(res, 201, await store.create(collection, await readJsonBody(req), actor));
+  } else {
+    if (req.method === 'GET') return sendJson(res, 200, store.get(collection, id));
+    if (req.method === 'PUT') return sendJson(res, 200, await store.update(collection, id, await readJsonBody(req), actor));
+    if (req.method === 'DELETE') {
+      await store.remove(collection, id, actor);
+      return sendJson(res, 204);
+    }
+  }
+  throw new DataError(`Method ${req.method} not allowed`, { status: 405 });
+};
+
+const store = await createStore(DATA_FILE, SEED_OPTIONS);
+
+createServer((req, res) => {
+  handleRequest(store, req, res).catch(err => {
+    if (err instanceof DataError) {
+      // Don't wait for the rest of an oversized body on a kept-alive connection
+      if (err.status === 413) res.setHeader('Connection', 'close');
+      sendJson(res, err.status, { error: err.message, details: err.details });
+    } else {
+      console.error(err);
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  });
+}).listen(PORT, () => {
+  console.log(`EasyLease API listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
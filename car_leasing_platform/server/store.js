@@ -0,0 +1,76 @@
+// JSON file store for the REST server
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { COLLECTIONS, assertCollection, getRecord } from '../src/data/collections.js';
+import { AUDIT_COLLECTION } from '../src/data/audit.js';
+import {
+  applyCreate, applyImport, applyUpdate, applyRemove, applyUndo,
+} from '../src/data/mutations.js';
+import { generateMockData } from '../src/data/mockData.js';
+import { SCHEMA_VERSION, migrateData } from '../src/data/migrations.js';
+
+// `seedOptions` go to generateMockData when the file doesn't exist yet
+export const createStore = async (filePath, seedOptions) => {
+  let data;
+  try {
+    const stored = JSON.parse(await readFile(filePath, 'utf8'));
+    COLLECTIONS.forEach(name => { stored[name] = stored[name] || []; });
+    // Files written before versioning was added are version 1
+    data = migrateData(stored, stored.schemaVersion || 1);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    data = generateMockData(seedOptions); // First run: seed with mock data
+  }
+  data = { [AUDIT_COLLECTION]: [], ...data, schemaVersion: SCHEMA_VERSION };
+
+  const save = async (next) => {
+    const tmpPath = `${filePath}.tmp`;
+    await writeFile(tmpPath, JSON.stringify(next, null, 2));
+    await rename(tmpPath, filePath);
+  };
+  await save(data);
+
+  // Changes are applied and saved one at a time, so concurrent requests
+  // never interleave on disk and each builds on the one before. `data` only
+  // moves on once the new version is on disk; a failed write rejects that
+  // request and leaves the chain ready for the next.
+  let pending = Promise.resolve();
+  const commit = (apply) => {
+    const run = pending.then(async () => {
+      const result = apply(data);
+      await save(result.data);
+      data = result.data;
+      return result;
+    });
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    list: (collection) => {
+      assertCollection(collection);
+      return data[collection];
+    },
+
+    get: (collection, id) => getRecord(data, collection, id),
+
+    create: async (collection, input, actor) => (
+      (await commit(current => applyCreate(current, collection, input, actor))).record
+    ),
+
+    importRecords: async (collection, inputs, actor) => (
+      (await commit(current => applyImport(current, collection, inputs, actor))).records
+    ),
+
+    update: async (collection, id, changes, actor) => (
+      (await commit(current => applyUpdate(current, collection, id, changes, actor))).record
+    ),
+
+    remove: async (collection, id, actor) => {
+      await commit(current => applyRemove(current, collection, id, actor));
+    },
+
+    auditLog: () => data[AUDIT_COLLECTION],
+
+    undo: async (entryId, actor) => (await commit(current => applyUndo(current, entryId, actor))).entry,
+  };
+};
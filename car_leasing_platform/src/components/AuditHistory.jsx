@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { describeError } from '../data/client';
+import {
+  AUDIT_ACTION_LABELS, changedFields, isUndone, undoableEntries,
+} from '../data/audit';
+import { filterInputClass, thClass } from './formStyles';
+
+const ENTITY_LABELS = {
+  vehicles: 'Vehicles',
+  lessees: 'Lessees',
+  payments: 'Payments',
+  leases: 'Leases',
+  lateFeePolicies: 'Late fee policies',
+  vehicleEvents: 'Vehicle events',
+  maintenance: 'Maintenance',
+  serviceReminders: 'Service reminders',
+  odometerReadings: 'Odometer readings',
+  vehicleCategories: 'Vehicle categories',
+};
+
+const ACTION_BADGES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// What an entry changed: the edited fields for updates, the whole record otherwise
+const ChangeSummary = ({ entry }) => {
+  if (entry.action === 'update') {
+    return (
+      <ul className="space-y-0.5">
+        {changedFields(entry.before, entry.after).map(({ field, before, after }) => (
+          <li key={field}>
+            <span className="text-gray-400">{field}:</span> {formatValue(before)} → {formatValue(after)}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  const record = entry.action === 'create' ? entry.after : entry.before;
+  return (
+    <span className="text-gray-400">
+      {Object.entries(record)
+        .filter(([field]) => field !== 'id')
+        .map(([field, value]) => `${field}: ${formatValue(value)}`)
+        .join(', ')}
+    </span>
+  );
+};
+
+// Append-only history of every change, with undo for the most recent ones
+const AuditHistory = ({ store }) => {
+  const { loadAuditLog, undoLast } = store;
+  const [log, setLog] = useState(null);
+  const [entityFilter, setEntityFilter] = useState('');
+  const [recordFilter, setRecordFilter] = useState('');
+  const [undoCount, setUndoCount] = useState(1);
+  const [isUndoing, setIsUndoing] = useState(false);
+
+  const refresh = useCallback(() => loadAuditLog()
+    .then(setLog)
+    .catch(err => alert(`Could not load the audit log. ${describeError(err)}`)), [loadAuditLog]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  if (!log) return <p className="text-center text-gray-400">Loading history...</p>;
+
+  const undoable = undoableEntries(log);
+  const visible = log
+    .filter(entry => !entityFilter || entry.collection === entityFilter)
+    .filter(entry => !recordFilter || entry.recordId.toLowerCase().includes(recordFilter.trim().toLowerCase()))
+    .slice()
+    .reverse();
+
+  const handleUndo = async () => {
+    const count = Math.min(Number(undoCount), undoable.length);
+    const summary = undoable
+      .slice(0, count)
+      .map(entry => `${entry.id}: ${AUDIT_ACTION_LABELS[entry.action]} ${entry.recordId}`)
+      .join('\n');
+    if (!confirm(`Undo these ${count} operation${count === 1 ? '' : 's'}, newest first?\n\n${summary}`)) return;
+
+    setIsUndoing(true);
+    try {
+      await undoLast(count);
+    } catch (err) {
+      alert(`Undo stopped. ${describeError(err)}`);
+    }
+    await refresh();
+    setIsUndoing(false);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30"
+    >
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h2 className="text-2xl font-bold">Change History</h2>
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-gray-300">Undo last</span>
+          <input
+            type="number"
+            value={undoCount}
+            onChange={e => setUndoCount(e.target.value)}
+            className={`${filterInputClass} w-20`}
+            min="1"
+            max={Math.max(undoable.length, 1)}
+          />
+          <span className="text-sm text-gray-300">operation{Number(undoCount) === 1 ? '' : 's'}</span>
+          <button
+            onClick={handleUndo}
+            disabled={isUndoing || undoable.length === 0 || !(Number(undoCount) >= 1)}
+            className="px-4 py-2 bg-gradient-to-r from-rose-600 to-red-600 text-white text-sm font-medium rounded-lg shadow-md hover:from-rose-700 hover:to-red-700 disabled:opacity-50"
+          >
+            Undo
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <select
+          value={entityFilter}
+          onChange={e => setEntityFilter(e.target.value)}
+          className={filterInputClass}
+        >
+          <option value="">All entities</option>
+          {Object.entries(ENTITY_LABELS).map(([collection, label]) => (
+            <option key={collection} value={collection}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={recordFilter}
+          onChange={e => setRecordFilter(e.target.value)}
+          className={filterInputClass}
+          placeholder="Record ID, e.g. VEH-1003"
+        />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+          <thead className="bg-gray-700/50">
+            <tr>
+              <th className={thClass}>Entry</th>
+              <th className={thClass}>When</th>
+              <th className={thClass}>Who</th>
+              <th className={thClass}>Action</th>
+              <th className={thClass}>Record</th>
+              <th className={thClass}>Changes</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {visible.map(entry => (
+              <tr key={entry.id} className={`hover:bg-gray-700/30 ${isUndone(log, entry) ? 'opacity-50' : ''}`}>
+                <td className="px-4 py-3 whitespace-nowrap">{entry.id}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{new Date(entry.at).toLocaleString()}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{entry.actor}</td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${ACTION_BADGES[entry.action]}`}>
+                    {AUDIT_ACTION_LABELS[entry.action]}
+                  </span>
+                  {entry.undoes && <span className="block text-xs text-gray-400 mt-1">undoes {entry.undoes}</span>}
+                  {isUndone(log, entry) && <span className="block text-xs text-gray-400 mt-1">undone</span>}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  {entry.recordId}
+                  <span className="block text-xs text-gray-400">{ENTITY_LABELS[entry.collection] || entry.collection}</span>
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <ChangeSummary entry={entry} />
+                </td>
+              </tr>
+            ))}
+            {visible.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-gray-400">No changes recorded yet.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </motion.div>
+  );
+};
+
+export default AuditHistory;
@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { describeError } from '../data/client';
+import { parseStatement } from '../data/bankStatements';
+import { MATCH_STATUS_LABELS, reconcileStatement } from '../domain/reconciliation';
+import { formatDate } from '../domain/dates';
+import { cellInputClass, thClass } from './formStyles';
+
+const STATUS_BADGES = {
+  recorded: 'bg-gray-200 text-gray-700',
+  high: 'bg-green-100 text-green-800',
+  low: 'bg-yellow-100 text-yellow-800',
+  none: 'bg-red-100 text-red-800',
+};
+
+// Where the money goes unless the operator changes it: all of it to the
+// suggested lease, or to nobody yet
+const suggestedAllocations = ({ line, match }) => [{
+  lesseeId: match ? match.lesseeId : '',
+  leaseId: match ? match.leaseId : '',
+  amount: line.amount,
+}];
+
+// A credit can be confirmed once every part has a lessee and a positive
+// amount, and the parts add up to the credit
+const isComplete = (line, allocations) => (
+  allocations.every(a => a.lesseeId && Number(a.amount) > 0)
+  && Math.abs(allocations.reduce((sum, a) => sum + Number(a.amount), 0) - line.amount) < 0.005
+);
+
+// Upload a bank statement, review the suggested match for each credit, and
+// record the confirmed ones as payments in one go
+const BankReconciliation = ({ store }) => {
+  const {
+    lessees, leases, payments, lateFeePolicies, importRecords,
+  } = store;
+  const [statement, setStatement] = useState(null); // { name, lines, skipped }
+  const [edits, setEdits] = useState({}); // by line ID: { allocations, confirmed }
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setStatement({ name: file.name, ...parseStatement(file.name, await file.text()) });
+      setEdits({});
+    } catch (err) {
+      alert(`Could not read ${file.name}. ${err.message}`);
+    }
+  };
+
+  const results = statement ? reconcileStatement(statement.lines, {
+    lessees, leases, payments, lateFeePolicies,
+  }) : [];
+  const rows = results.map(result => {
+    const edit = edits[result.line.id] || {};
+    const allocations = edit.allocations || suggestedAllocations(result);
+    return {
+      ...result, allocations, confirmed: Boolean(edit.confirmed) && isComplete(result.line, allocations),
+    };
+  });
+  const pending = rows.filter(row => row.status !== 'recorded');
+  const confirmed = pending.filter(row => row.confirmed);
+
+  const editRow = (row, changes) => setEdits(prev => ({
+    ...prev,
+    [row.line.id]: { allocations: row.allocations, confirmed: row.confirmed, ...changes },
+  }));
+
+  const editAllocation = (row, idx, changes) => editRow(row, {
+    allocations: row.allocations.map((a, i) => (i === idx ? { ...a, ...changes } : a)),
+  });
+
+  const confirmConfident = () => setEdits(prev => ({
+    ...prev,
+    ...Object.fromEntries(pending
+      .filter(row => row.status === 'high' && isComplete(row.line, row.allocations))
+      .map(row => [row.line.id, { allocations: row.allocations, confirmed: true }])),
+  }));
+
+  const handleRecord = async () => {
+    const records = confirmed.flatMap(({ line, allocations }) => allocations.map(a => ({
+      lesseeId: a.lesseeId,
+      leaseId: a.leaseId || null,
+      amount: Number(a.amount),
+      date: line.date,
+      status: 'completed',
+      bankReference: line.key,
+    })));
+    setIsSaving(true);
+    try {
+      const saved = await importRecords('payments', records);
+      setEdits({});
+      alert(`Recorded ${saved.length} payment${saved.length === 1 ? '' : 's'}: ${saved.map(p => p.id).join(', ')}`);
+    } catch (err) {
+      alert(`No payments were recorded. ${describeError(err)}`);
+    }
+    setIsSaving(false);
+  };
+
+  const counts = Object.fromEntries(Object.keys(MATCH_STATUS_LABELS)
+    .map(status => [status, rows.filter(row => row.status === status).length]));
+  const missingTotal = pending.reduce((sum, row) => sum + row.line.amount, 0);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="mt-8 bg-gradient-to-br from-emerald-600/20 to-teal-800/20 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-emerald-500/30"
+    >
+      <h2 className="text-2xl font-bold mb-2">Bank Statement Reconciliation</h2>
+      <p className="text-gray-300 text-sm mb-4">
+        Upload a statement (CSV or OFX) to match each credit to a lessee and open invoice.
+      </p>
+      <input
+        type="file"
+        accept=".csv,.ofx,.qfx,text/csv"
+        onChange={handleFile}
+        className="mb-6 text-sm text-gray-300 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white"
+      />
+
+      {statement && (
+        <>
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <span className="text-sm text-gray-400 mr-2">
+              {statement.name}: {rows.length} credit{rows.length === 1 ? '' : 's'}
+              {statement.skipped > 0 && `, ${statement.skipped} unreadable line${statement.skipped === 1 ? '' : 's'} skipped`}
+            </span>
+            {Object.entries(MATCH_STATUS_LABELS).map(([status, label]) => (
+              <span key={status} className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_BADGES[status]}`}>
+                {label}: {counts[status]}
+              </span>
+            ))}
+          </div>
+          {pending.length > 0 && (
+            <p className="text-amber-300 mb-4">
+              {pending.length} credit{pending.length === 1 ? '' : 's'} totalling ${missingTotal.toLocaleString()} {pending.length === 1 ? 'is' : 'are'} not in the system yet.
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+              <thead className="bg-gray-700/50">
+                <tr>
+                  <th className={thClass}>Date</th>
+                  <th className={thClass}>Description</th>
+                  <th className={thClass}>Amount</th>
+                  <th className={thClass}>Match</th>
+                  <th className={thClass}>Pay To</th>
+                  <th className={thClass}>Confirm</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {rows.map(row => (
+                  <tr key={row.line.id} className="hover:bg-gray-700/30 align-top">
+                    <td className="px-4 py-3 whitespace-nowrap">{formatDate(row.line.date)}</td>
+                    <td className="px-4 py-3 text-sm">
+                      {row.line.description || '—'}
+                      {row.line.transactionId && <span className="block text-xs text-gray-400">{row.line.transactionId}</span>}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">${row.line.amount.toLocaleString()}</td>
+                    <td className="px-4 py-3 text-sm">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_BADGES[row.status]}`}>
+                        {MATCH_STATUS_LABELS[row.status]}
+                      </span>
+                      {row.paymentId && <span className="block text-xs text-gray-400 mt-1">as {row.paymentId}</span>}
+                      {row.match && (
+                        <span className="block text-xs text-gray-400 mt-1">
+                          {row.match.invoiceId}: {row.match.reasons.join(', ')}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      {row.status !== 'recorded' && (
+                        <div className="space-y-2">
+                          {row.allocations.map((allocation, idx) => (
+                            <div key={idx} className="flex gap-2">
+                              <select
+                                value={allocation.lesseeId}
+                                onChange={e => {
+                                  const lesseeLeases = leases.filter(l => l.lesseeId === e.target.value);
+                                  editAllocation(row, idx, {
+                                    lesseeId: e.target.value,
+                                    leaseId: lesseeLeases.length === 1 ? lesseeLeases[0].id : '',
+                                  });
+                                }}
+                                className={cellInputClass}
+                              >
+                                <option value="">Choose lessee</option>
+                                {lessees.map(lessee => (
+                                  <option key={lessee.id} value={lessee.id}>{lessee.name} ({lessee.id})</option>
+                                ))}
+                              </select>
+                              <select
+                                value={allocation.leaseId}
+                                onChange={e => editAllocation(row, idx, { leaseId: e.target.value })}
+                                className={cellInputClass}
+                                disabled={!allocation.lesseeId}
+                              >
+                                <option value="">No lease</option>
+                                {leases.filter(l => l.lesseeId === allocation.lesseeId).map(lease => (
+                                  <option key={lease.id} value={lease.id}>{lease.id}</option>
+                                ))}
+                              </select>
+                              {row.allocations.length > 1 && (
+                                <>
+                                  <input
+                                    type="number"
+                                    value={allocation.amount}
+                                    onChange={e => editAllocation(row, idx, { amount: e.target.value })}
+                                    className={`${cellInputClass} w-24`}
+                                    min="0.01"
+                                    step="0.01"
+                                  />
+                                  <button
+                                    onClick={() => editRow(row, { allocations: row.allocations.filter((a, i) => i !== idx) })}
+                                    className="text-gray-400 hover:text-white"
+                                    aria-label="Remove part"
+                                  >
+                                    ✕
+                                  </button>
+                                </>
+                              )}
+                            </div>
+                          ))}
+                          <button
+                            onClick={() => editRow(row, {
+                              allocations: [...row.allocations, { lesseeId: '', leaseId: '', amount: 0 }],
+                            })}
+                            className="text-xs text-emerald-300 hover:text-emerald-200"
+                          >
+                            Split
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      {row.status !== 'recorded' && (
+                        <input
+                          type="checkbox"
+                          checked={row.confirmed}
+                          disabled={!isComplete(row.line, row.allocations)}
+                          onChange={e => editRow(row, { confirmed: e.target.checked })}
+                          title={isComplete(row.line, row.allocations) ? '' : 'Choose a lessee for every part; parts must add up to the credit'}
+                        />
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end gap-2 mt-4">
+            <button
+              onClick={confirmConfident}
+              className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+            >
+              Confirm all confident matches
+            </button>
+            <button
+              onClick={handleRecord}
+              disabled={isSaving || confirmed.length === 0}
+              className="px-4 py-2 bg-gradient-to-r from-emerald-600 to-teal-600 text-white font-medium rounded-lg shadow-md hover:from-emerald-700 hover:to-teal-700 disabled:opacity-50"
+            >
+              Record {confirmed.length} confirmed credit{confirmed.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default BankReconciliation;
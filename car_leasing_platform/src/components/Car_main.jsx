@@ -1,279 +1,207 @@
-import React, { useState, useEffect } from 'react';
+import React, { useMemo, useState } from 'react';
 import { 
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
   PieChart, Pie, Cell, LineChart, Line, AreaChart, Area
 } from 'recharts';
 import { motion } from 'framer-motion';
+import { useLeasingData } from '../hooks/useLeasingData';
+import { navigate, useRoute } from '../hooks/useRoute';
+import { describeError, getOperator, setOperator } from '../data/client';
+import { rollBack, startLease } from '../data/leaseActions';
+import { reversePayment, refundPayment, correctPayment } from '../data/paymentActions';
+import { downloadFile } from '../data/download';
+import { receiptPdf } from '../data/pdfDocuments';
+import { LEASE_STATUS_LABELS } from '../domain/leases';
+import { formatDate, localDateString } from '../domain/dates';
+import { AGING_BUCKETS } from '../domain/aging';
+import { describePolicy, leaseLateFees } from '../domain/lateFees';
+import { PAYMENT_STATE_LABELS, netPaymentAmount, paymentState } from '../domain/payments';
+import { PAYMENT_STATUS_LABELS } from '../domain/paymentStatus';
+import { monthlyUtilization } from '../domain/utilization';
+import { UNCATEGORIZED } from '../domain/categories';
+import { SERVICE_STATUS_LABELS, isInService } from '../domain/vehicles';
+import { latestOdometer } from '../domain/maintenance';
+import { DEFAULT_EXCESS_MILEAGE_RATE } from '../domain/mileage';
+import { dashboardMetrics } from '../domain/dashboard';
+import LeaseQuote from './LeaseQuote';
+import VehicleFleet from './VehicleFleet';
+import VehicleProfitability from './VehicleProfitability';
+import LeaseList from './LeaseList';
+import InvoiceSchedule from './InvoiceSchedule';
+import LateFeePolicyDialog from './LateFeePolicyDialog';
+import PaymentBehaviour from './PaymentBehaviour';
+import AuditHistory from './AuditHistory';
+import PaymentAdjustDialog from './PaymentAdjustDialog';
+import DataTransfer from './DataTransfer';
+import BankReconciliation from './BankReconciliation';
+import StatementDialog from './StatementDialog';
+import LesseeDetail from './LesseeDetail';
+import LesseeLink from './LesseeLink';
+import VehicleDetail from './VehicleDetail';
+import Link from './Link';
+import NotFound from './NotFound';
+import DevMenu from './DevMenu';
+import { emeraldInputClass, inputClass, thClass } from './formStyles';
 
+const TERM_OPTIONS = [12, 24, 36, 48, 60];
 
-const generateMockData = () => {
-  // Vehicle makes and models with corresponding price tiers
-  const vehicleOptions = [
-    { make: 'Toyota', models: ['Corolla', 'Camry', 'RAV4'], priceRange: [450, 650] },
-    { make: 'Honda', models: ['Civic', 'Accord', 'CR-V'], priceRange: [470, 680] },
-    { make: 'Tesla', models: ['Model 3', 'Model Y', 'Model S'], priceRange: [900, 1500] },
-    { make: 'Ford', models: ['Focus', 'Fusion', 'Escape'], priceRange: [400, 600] },
-    { make: 'BMW', models: ['3 Series', '5 Series', 'X3'], priceRange: [750, 1200] },
-    { make: 'Mercedes', models: ['C-Class', 'E-Class', 'GLC'], priceRange: [800, 1300] },
-    { make: 'Audi', models: ['A4', 'A6', 'Q5'], priceRange: [780, 1250] },
-  ];
-  
-  const colors = ['Black', 'White', 'Silver', 'Blue', 'Red', 'Gray', 'Green'];
-  
-  // Generate vehicles
-  const vehicles = Array(20).fill().map((_, idx) => {
-    const vehicleType = vehicleOptions[Math.floor(Math.random() * vehicleOptions.length)];
-    const model = vehicleType.models[Math.floor(Math.random() * vehicleType.models.length)];
-    const [min, max] = vehicleType.priceRange;
-    const leaseAmount = Math.floor(Math.random() * (max - min + 1)) + min;
-    
-    // Set some vehicles as already leased to make the dashboard interesting
-    const isLeased = idx < 12; // 12 out of 20 are leased initially
-    
-    return {
-      id: `VEH-${1000 + idx}`,
-      make: vehicleType.make,
-      model: model,
-      year: 2019 + Math.floor(Math.random() * 5), // 2019-2023
-      color: colors[Math.floor(Math.random() * colors.length)],
-      leaseAmount: leaseAmount,
-      isLeased: isLeased,
-      lessee: isLeased ? `LSE-${1000 + Math.floor(idx / 2)}` : null // Create lessees
-    };
-  });
-  
-  // Generate lessees - fewer lessees than leased vehicles (some have multiple)
-  const lesseeNames = [
-    "John Smith", "Emma Johnson", "Michael Brown", "Sophia Davis", "William Miller", 
-    "Olivia Wilson", "James Jones", "Ava Taylor", "Robert Anderson", "Isabella Thomas"
-  ];
-  
-  const lessees = Array(8).fill().map((_, idx) => {
-    // Create lessees with varying registration dates (some recent, some older)
-    const registrationDate = new Date();
-    registrationDate.setMonth(registrationDate.getMonth() - Math.floor(Math.random() * 12)); // 0-12 months ago
-    
-    return {
-      id: `LSE-${1000 + idx}`,
-      name: lesseeNames[idx],
-      email: `${lesseeNames[idx].toLowerCase().replace(' ', '.')}@example.com`,
-      phone: `555-${100 + Math.floor(Math.random() * 900)}-${1000 + Math.floor(Math.random() * 9000)}`,
-      vehicleId: vehicles.filter(v => v.lessee === `LSE-${1000 + idx}`)[0]?.id || '',
-      startDate: registrationDate.toISOString().substr(0, 10),
-    };
-  });
-  
-  // Generate payment history - create a realistic payment history over the last 12 months
-  const payments = [];
-  const currentDate = new Date();
-  
-  // For each lessee
-  lessees.forEach(lessee => {
-    // Skip if no vehicle is assigned
-    if (!lessee.vehicleId) return;
-    
-    const vehicle = vehicles.find(v => v.id === lessee.vehicleId);
-    if (!vehicle) return;
-    
-    // Registration date
-    const startDate = new Date(lessee.startDate);
-    
-    // Generate monthly payments from start date until now
-    for (let month = 0; month < 12; month++) {
-      const paymentDate = new Date(startDate);
-      paymentDate.setMonth(startDate.getMonth() + month);
-      
-      // Skip if payment date is in the future
-      if (paymentDate > currentDate) continue;
-      
-      // Payment amount with some variations
-      const baseAmount = vehicle.leaseAmount;
-      const amount = Math.random() > 0.8 
-        ? baseAmount * (Math.random() > 0.5 ? 0.8 : 1.2) // Sometimes over/under pay
-        : baseAmount;
-      
-      // Sometimes miss payments
-      if (Math.random() > 0.85) continue;
-      
-      // Occasionally delay payments
-      const delayDays = Math.random() > 0.7 ? Math.floor(Math.random() * 15) : 0;
-      paymentDate.setDate(paymentDate.getDate() + delayDays);
-      
-      payments.push({
-        id: `PAY-${1000 + payments.length}`,
-        lesseeId: lessee.id,
-        amount: Math.round(amount),
-        date: paymentDate.toISOString().substr(0, 10),
-        status: 'completed',
-      });
-    }
-    
-    //  some lessees with overdue payments
-    if (lessee.id === 'LSE-1002' || lessee.id === 'LSE-1005') {
-      const lastPaymentDate = new Date();
-      lastPaymentDate.setMonth(lastPaymentDate.getMonth() - 2);
-      // Remove any recent payments
-      const filteredPayments = payments.filter(p => 
-        !(p.lesseeId === lessee.id && new Date(p.date) > lastPaymentDate)
-      );
-      payments.length = 0;
-      payments.push(...filteredPayments);
-    }
-  });
-  
-  return { vehicles, lessees, payments };
+// Top-level sections in nav order, each at its own URL
+const SECTIONS = [
+  { key: 'dashboard', path: '/', label: 'Dashboard' },
+  { key: 'quote', path: '/quote', label: 'Lease Quote' },
+  { key: 'register', path: '/register', label: 'Register Lessee' },
+  { key: 'payment', path: '/payments', label: 'Process Payment' },
+  { key: 'leases', path: '/leases', label: 'Leases' },
+  { key: 'vehicles', path: '/vehicles', label: 'Vehicle Fleet' },
+  { key: 'history', path: '/history', label: 'History' },
+  { key: 'data', path: '/data', label: 'Import / Export' },
+];
+
+// Record pages, e.g. /vehicles/VEH-1003, keyed by their path prefix
+const DETAIL_PAGES = {
+  vehicles: 'vehicle',
+  lessees: 'lessee',
+};
+
+// The page for a URL path as { page, id }, or null when nothing lives there
+const parseRoute = (path) => {
+  const trimmed = path.replace(/(.)\/+$/, '$1');
+  const section = SECTIONS.find(s => s.path === trimmed);
+  if (section) return { page: section.key };
+  const [, prefix, id] = trimmed.match(/^\/([^/]+)\/([^/]+)$/) || [];
+  if (!DETAIL_PAGES[prefix]) return null;
+  try {
+    return { page: DETAIL_PAGES[prefix], id: decodeURIComponent(id) };
+  } catch {
+    return null; // malformed escape sequence
+  }
+};
+
+const PAYMENT_STATE_BADGES = {
+  completed: 'bg-green-100 text-green-800',
+  refunded: 'bg-purple-100 text-purple-800',
+  reversed: 'bg-red-100 text-red-800',
+};
+
+const PAYMENT_ADJUSTMENTS = {
+  reversal: reversePayment,
+  refund: refundPayment,
+  correction: correctPayment,
+};
+
+const EMPTY_REGISTRATION = {
+  lesseeId: '', // empty for a new lessee
+  name: '',
+  email: '',
+  phone: '',
+  vehicleId: '',
+  termMonths: 36,
+  monthlyRate: '',
+  deposit: 0,
+  mileageAllowance: 12000,
+  excessMileageRate: DEFAULT_EXCESS_MILEAGE_RATE,
+  odometer: '',
+  quote: null, // { termMonths, monthlyPayment, downPayment } when priced with the quote calculator
 };
 
+
 const CarLeasingDashboard = () => {
-  const [initialData] = useState(() => generateMockData());
-  const [vehicles, setVehicles] = useState(initialData.vehicles);
-  const [lessees, setLessees] = useState(initialData.lessees);
-  const [payments, setPayments] = useState(initialData.payments);
-  const [activeTab, setActiveTab] = useState('dashboard');
-  const [registrationForm, setRegistrationForm] = useState({
-    name: '',
-    email: '',
-    phone: '',
-    vehicleId: '',
-  });
+  const store = useLeasingData();
+  const {
+    vehicles, lessees, payments, leases, lateFeePolicies, vehicleEvents, maintenance, odometerReadings,
+    vehicleCategories, isLoading, loadError, create,
+  } = store;
+  const route = parseRoute(useRoute());
+  const activeTab = route?.page;
+  // A vehicle's page sits under the fleet in the nav
+  const navSection = activeTab === 'vehicle' ? 'vehicles' : activeTab;
+  const [isEditingPolicy, setIsEditingPolicy] = useState(false);
+  const [adjustingPayment, setAdjustingPayment] = useState(null);
+  const [recordedPayment, setRecordedPayment] = useState(null); // { payment, appliedTo }
+  const [isPrintingStatement, setIsPrintingStatement] = useState(false);
+  const [paymentStatusFilter, setPaymentStatusFilter] = useState('');
+  const [utilizationView, setUtilizationView] = useState('overall');
+  const [operator, setOperatorName] = useState(getOperator);
+  const [registrationForm, setRegistrationForm] = useState(EMPTY_REGISTRATION);
   const [paymentForm, setPaymentForm] = useState({
     lesseeId: '',
+    leaseId: '',
     amount: 500,
-    date: new Date().toISOString().substr(0, 10),
+    date: localDateString(),
   });
 
-  // Calculate dashboard metrics
-  const leasedVehicles = vehicles.filter(v => v.isLeased);
-  const availableVehicles = vehicles.filter(v => !v.isLeased);
-  
-  // Calculate expected payments based on lease duration and amounts
-  const calculateExpectedPayments = () => {
-    const expectedByMonth = {};
-    
-    lessees.forEach(lessee => {
-      const vehicle = vehicles.find(v => v.id === lessee.vehicleId);
-      if (!vehicle) return;
-      
-      const startDate = new Date(lessee.startDate);
-      const currentDate = new Date();
-      
-      // For each month from lease start to current date
-      for (let d = new Date(startDate); d <= currentDate; d.setMonth(d.getMonth() + 1)) {
-        const monthKey = `${d.getFullYear()}-${d.getMonth() + 1}`;
-        if (!expectedByMonth[monthKey]) expectedByMonth[monthKey] = 0;
-        expectedByMonth[monthKey] += vehicle.leaseAmount;
-      }
-    });
-    
-    return expectedByMonth;
-  };
-  
-  const expectedPaymentsByMonth = calculateExpectedPayments();
-  
-  // Organize actual payments by month
-  const actualPaymentsByMonth = {};
-  payments.forEach(payment => {
-    const paymentDate = new Date(payment.date);
-    const monthKey = `${paymentDate.getFullYear()}-${paymentDate.getMonth() + 1}`;
-    if (!actualPaymentsByMonth[monthKey]) actualPaymentsByMonth[monthKey] = 0;
-    actualPaymentsByMonth[monthKey] += payment.amount;
-  });
-  
-  // Total expected and collected
-  const totalExpectedPayments = Object.values(expectedPaymentsByMonth).reduce((sum, val) => sum + val, 0);
-  const totalCollectedPayments = payments.reduce((sum, p) => sum + p.amount, 0);
+  const today = localDateString();
+  const {
+    leasedVehicles, availableVehicles, outOfServiceVehicles, activeLeases, lesseesWithLeases, totals, lateFees, totalLateFees, currentPolicy,
+    recentActivity, overdueLessees, totalOverdue, monthlyPaymentData, paymentEntries, paymentStatusData,
+    vehicleCategoryData,
+  } = useMemo(
+    () => dashboardMetrics({
+      vehicles, lessees, payments, leases, lateFeePolicies, vehicleCategories,
+    }, today),
+    [vehicles, lessees, payments, leases, lateFeePolicies, vehicleCategories, today],
+  );
+
+  // Fleet utilization per month from the recorded lease/return history,
+  // flattened for the chart when broken down by make or category
+  const utilizationHistory = useMemo(
+    () => monthlyUtilization(vehicleEvents, vehicles, vehicleCategories, today),
+    [vehicleEvents, vehicles, vehicleCategories, today],
+  );
+  const utilizationGroups = utilizationView === 'overall'
+    ? []
+    : [...new Set(utilizationHistory.flatMap(row => Object.keys(row[utilizationView])))].sort();
+  const vehicleUtilizationData = utilizationHistory.map(row => ({
+    name: row.name,
+    utilization: row.utilization,
+    outOfService: row.outOfService,
+    ...(utilizationView === 'overall' ? {} : row[utilizationView]),
+  }));
   
-  // Find lessees with overdue payments (no payment in last 30 days)
-  const lesseeWithOverduePayments = lessees.filter(lessee => {
-    if (!lessee.vehicleId) return false;
-    
-    const lastPayment = payments
-      .filter(p => p.lesseeId === lessee.id)
-      .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
-    
-    if (!lastPayment) return true; // No payments made
-    
-    const lastPaymentDate = new Date(lastPayment.date);
-    const currentDate = new Date();
-    const daysSinceLastPayment = Math.floor((currentDate - lastPaymentDate) / (1000 * 60 * 60 * 24));
-    
-    return daysSinceLastPayment > 30; // Overdue if last payment was more than 30 days ago
-  });
+  const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#4BC0C0'];
 
-  // Prepare data for charts
-  const prepareMonthlyPaymentData = () => {
-    const last6Months = [];
-    const currentDate = new Date();
-    
-    for (let i = 5; i >= 0; i--) {
-      const month = new Date();
-      month.setMonth(currentDate.getMonth() - i);
-      const monthKey = `${month.getFullYear()}-${month.getMonth() + 1}`;
-      const monthStr = month.toLocaleString('default', { month: 'short' });
-      const yearStr = month.getFullYear().toString().substr(2, 2);
-      
-      last6Months.push({
-        name: `${monthStr} ${yearStr}`,
-        collected: actualPaymentsByMonth[monthKey] || 0,
-        expected: expectedPaymentsByMonth[monthKey] || 0,
-        month: monthKey
-      });
-    }
-    
-    return last6Months;
+  // Lines take their category's colour when broken down by category
+  const groupColor = (group, index) => (utilizationView === 'byCategory'
+    ? (vehicleCategories.find(c => c.name === group) || UNCATEGORIZED).color
+    : COLORS[index % COLORS.length]);
+
+  // The registration form with `vehicleId` chosen: its list rate and last
+  // odometer reading filled in, and any earlier quote dropped
+  const withVehicle = (form, vehicleId) => {
+    const vehicle = vehicles.find(v => v.id === vehicleId);
+    const odometer = vehicle && latestOdometer([...odometerReadings, ...maintenance], vehicle.id);
+    return {
+      ...form,
+      vehicleId,
+      monthlyRate: vehicle ? vehicle.leaseAmount : '',
+      odometer: odometer ?? '',
+      quote: null,
+    };
   };
-  
-  const monthlyPaymentData = prepareMonthlyPaymentData();
-  
-  // Prepare vehicle utilization trend data (simulate changes over time)
-  const prepareVehicleUtilizationData = () => {
-    const utilizationData = [];
-    const currentDate = new Date();
-    
-    for (let i = 0; i < 12; i++) {
-      const month = new Date();
-      month.setMonth(currentDate.getMonth() - 11 + i);
-      const monthStr = month.toLocaleString('default', { month: 'short' });
-      const yearStr = month.getFullYear().toString().substr(2, 2);
-      
-      // Simulate gradually increasing utilization with some fluctuations
-      const baseUtilization = 40 + i * 5; // Starts at 40%, increases by 5% per month
-      const fluctuation = Math.random() * 10 - 5; // -5 to +5
-      const utilization = Math.min(100, Math.max(0, baseUtilization + fluctuation));
-      
-      utilizationData.push({
-        name: `${monthStr} ${yearStr}`,
-        utilization: Math.round(utilization)
-      });
-    }
-    
-    return utilizationData;
+
+  // Take an accepted quote to the register form
+  // The quote's down payment is taken as the deposit
+  const handleAcceptQuote = ({
+    vehicleId, termMonths, monthlyPayment, downPayment,
+  }) => {
+    const form = vehicleId ? withVehicle(registrationForm, vehicleId) : registrationForm;
+    setRegistrationForm({
+      ...form,
+      termMonths,
+      monthlyRate: monthlyPayment,
+      deposit: downPayment,
+      quote: { termMonths, monthlyPayment, downPayment },
+    });
+    navigate('/register');
   };
-  
-  const vehicleUtilizationData = prepareVehicleUtilizationData();
-  
-  // Payment status distribution
-  const paymentStatusData = [
-    { name: 'Paid On Time', value: payments.length - 15 },
-    { name: 'Paid Late', value: 10 },
-    { name: 'Missed', value: 5 }
-  ];
-  
-  // Vehicle category distribution
-  const vehicleCategoryData = [
-    { name: 'Economy', value: vehicles.filter(v => v.leaseAmount < 600).length },
-    { name: 'Mid-range', value: vehicles.filter(v => v.leaseAmount >= 600 && v.leaseAmount < 900).length },
-    { name: 'Premium', value: vehicles.filter(v => v.leaseAmount >= 900).length }
-  ];
-  
-  const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#4BC0C0'];
 
   // Handle form submissions
-  const handleRegistration = (e) => {
+  const handleRegistration = async (e) => {
     e.preventDefault();
     
     // Validate form
-    if (!registrationForm.name || !registrationForm.email || !registrationForm.phone || !registrationForm.vehicleId) {
+    const isNewLessee = !registrationForm.lesseeId;
+    if ((isNewLessee && (!registrationForm.name || !registrationForm.email || !registrationForm.phone)) || !registrationForm.vehicleId || !registrationForm.monthlyRate || registrationForm.odometer === '') {
       alert('Please fill in all fields');
       return;
     }
@@ -288,41 +216,64 @@ const CarLeasingDashboard = () => {
       alert('Vehicle is already leased');
       return;
     }
+    if (!isInService(vehicle)) {
+      alert(`Vehicle is out of service (${SERVICE_STATUS_LABELS[vehicle.serviceStatus].toLowerCase()})`);
+      return;
+    }
+    const lastOdometer = latestOdometer([...odometerReadings, ...maintenance], vehicle.id);
+    if (lastOdometer !== null && Number(registrationForm.odometer) < lastOdometer) {
+      alert(`The odometer can't be below the last reading of ${lastOdometer.toLocaleString()} miles`);
+      return;
+    }
     
-    // Create new lessee
-    const newLessee = {
-      id: `LSE-${lessees.length + 1000}`,
-      name: registrationForm.name,
-      email: registrationForm.email,
-      phone: registrationForm.phone,
-      vehicleId: registrationForm.vehicleId,
-      startDate: new Date().toISOString().substr(0, 10),
-    };
-    
-    // Update vehicle status
-    const updatedVehicles = vehicles.map(v => 
-      v.id === registrationForm.vehicleId 
-        ? { ...v, isLeased: true, lessee: newLessee.id } 
-        : v
-    );
-    
-    setLessees([...lessees, newLessee]);
-    setVehicles(updatedVehicles);
-    setRegistrationForm({
-      name: '',
-      email: '',
-      phone: '',
-      vehicleId: '',
-    });
+    // Create the lessee if needed and start their lease on the vehicle. A new
+    // lessee is removed again if the lease can't be started.
+    let lessee = lessees.find(l => l.id === registrationForm.lesseeId);
+    let newLease;
+    const created = [];
+    try {
+      if (isNewLessee) {
+        lessee = await create('lessees', {
+          name: registrationForm.name,
+          email: registrationForm.email,
+          phone: registrationForm.phone,
+          startDate: localDateString(),
+        });
+        created.push(['lessees', lessee.id]);
+      }
+      newLease = await startLease(store, {
+        lesseeId: lessee.id,
+        vehicle,
+        terms: {
+          termMonths: Number(registrationForm.termMonths),
+          monthlyRate: Number(registrationForm.monthlyRate),
+          deposit: Number(registrationForm.deposit),
+          mileageAllowance: Number(registrationForm.mileageAllowance),
+          excessMileageRate: Number(registrationForm.excessMileageRate),
+        },
+        odometer: Number(registrationForm.odometer),
+      });
+    } catch (err) {
+      try {
+        await rollBack(store, created);
+      } catch (rollBackErr) {
+        alert(`Registration failed and ${lessee.id} could not be removed again. ${describeError(rollBackErr)}`);
+        return;
+      }
+      alert(`Registration failed. ${describeError(err)}`);
+      return;
+    }
+
+    setRegistrationForm(EMPTY_REGISTRATION);
     
-    alert(`Registration successful! Lessee ID: ${newLessee.id}`);
+    alert(`Registration successful! Lessee ID: ${lessee.id}, Lease ID: ${newLease.id}`);
   };
 
-  const handlePayment = (e) => {
+  const handlePayment = async (e) => {
     e.preventDefault();
     
     // Validate form
-    if (!paymentForm.lesseeId || !paymentForm.amount || !paymentForm.date) {
+    if (!paymentForm.lesseeId || !paymentForm.leaseId || !paymentForm.amount || !paymentForm.date) {
       alert('Please fill in all fields');
       return;
     }
@@ -335,22 +286,60 @@ const CarLeasingDashboard = () => {
     }
     
     // Create new payment
-    const newPayment = {
-      id: `PAY-${payments.length + 1000}`,
-      lesseeId: paymentForm.lesseeId,
-      amount: Number(paymentForm.amount),
-      date: paymentForm.date,
-      status: 'completed',
-    };
-    
-    setPayments([...payments, newPayment]);
+    let newPayment;
+    try {
+      newPayment = await create('payments', {
+        lesseeId: paymentForm.lesseeId,
+        leaseId: paymentForm.leaseId,
+        amount: Number(paymentForm.amount),
+        date: paymentForm.date,
+        status: 'completed',
+      });
+    } catch (err) {
+      alert(`Payment failed. ${describeError(err)}`);
+      return;
+    }
+
     setPaymentForm({
       lesseeId: '',
+      leaseId: '',
       amount: 500,
-      date: new Date().toISOString().substr(0, 10),
+      date: localDateString(),
     });
     
-    alert(`Payment recorded successfully! Payment ID: ${newPayment.id}`);
+    // Tell the operator which invoices and late fees the payment settled
+    const lease = leases.find(l => l.id === newPayment.leaseId);
+    const { invoices, fees } = leaseLateFees(lease, [...payments, newPayment], lateFeePolicies, localDateString());
+    const paidBy = charge => charge.allocations.some(a => a.paymentId === newPayment.id);
+    const appliedTo = [
+      ...invoices.filter(paidBy).map(invoice => `${invoice.id} (due ${formatDate(invoice.dueDate)})`),
+      ...fees.filter(paidBy).map(fee => `late fee on ${fee.invoiceId}`),
+    ];
+    setRecordedPayment({ payment: newPayment, appliedTo });
+  };
+
+  const downloadReceipt = (payment) => downloadFile(`receipt-${payment.id}.pdf`, receiptPdf(payment, store, today));
+
+  const handleSavePolicy = async (policy) => {
+    try {
+      await create('lateFeePolicies', policy);
+    } catch (err) {
+      alert(`Could not save the late fee policy. ${describeError(err)}`);
+      return false;
+    }
+    setIsEditingPolicy(false);
+    return true;
+  };
+
+  const handleAdjustPayment = async (type, values) => {
+    try {
+      await PAYMENT_ADJUSTMENTS[type](store, adjustingPayment, values);
+    } catch (err) {
+      alert(`Could not adjust ${adjustingPayment.id}. ${describeError(err)}`);
+      return false;
+    }
+    setAdjustingPayment(null);
+    return true;
   };
 
   return (
@@ -360,37 +349,41 @@ const CarLeasingDashboard = () => {
         <div className="container mx-auto flex justify-between items-center">
           <h1 className="text-3xl font-bold">EasyLease</h1>
           <nav className="flex space-x-4">
-            <button 
-              onClick={() => setActiveTab('dashboard')}
-              className={`px-4 py-2 rounded-lg transition-all ${activeTab === 'dashboard' ? 'bg-white text-indigo-700' : 'text-white hover:bg-white/10'}`}
-            >
-              Dashboard
-            </button>
-            <button 
-              onClick={() => setActiveTab('register')}
-              className={`px-4 py-2 rounded-lg transition-all ${activeTab === 'register' ? 'bg-white text-indigo-700' : 'text-white hover:bg-white/10'}`}
-            >
-              Register Lessee
-            </button>
-            <button 
-              onClick={() => setActiveTab('payment')}
-              className={`px-4 py-2 rounded-lg transition-all ${activeTab === 'payment' ? 'bg-white text-indigo-700' : 'text-white hover:bg-white/10'}`}
-            >
-              Process Payment
-            </button>
-            <button 
-              onClick={() => setActiveTab('vehicles')}
-              className={`px-4 py-2 rounded-lg transition-all ${activeTab === 'vehicles' ? 'bg-white text-indigo-700' : 'text-white hover:bg-white/10'}`}
-            >
-              Vehicle Fleet
-            </button>
+            {SECTIONS.map(section => (
+              <Link
+                key={section.key}
+                to={section.path}
+                className={`px-4 py-2 rounded-lg transition-all ${navSection === section.key ? 'bg-white text-indigo-700' : 'text-white hover:bg-white/10'}`}
+              >
+                {section.label}
+              </Link>
+            ))}
+            {/* Changes are recorded in the audit log under this name */}
+            <input
+              type="text"
+              value={operator}
+              onChange={e => {
+                setOperatorName(e.target.value);
+                setOperator(e.target.value.trim());
+              }}
+              className="w-36 px-3 py-2 rounded-lg bg-white/10 border border-white/20 placeholder-white/60 text-white text-sm focus:outline-none focus:ring-2 focus:ring-white/40"
+              placeholder="Your name"
+              title="Recorded against every change in the history"
+            />
           </nav>
         </div>
       </header>
 
       {/* Main Content */}
       <main className="container mx-auto p-6">
-        {activeTab === 'dashboard' && (
+        {isLoading && (
+          <p className="text-center text-gray-400">Loading saved data...</p>
+        )}
+        {!isLoading && loadError && (
+          <p className="text-center text-rose-300">Could not load data: {loadError.message}</p>
+        )}
+
+        {!isLoading && activeTab === 'dashboard' && (
           <motion.div 
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
@@ -410,6 +403,10 @@ const CarLeasingDashboard = () => {
                     <p className="text-4xl font-bold">{availableVehicles.length}</p>
                     <p className="text-gray-400">Available</p>
                   </div>
+                  <div>
+                    <p className="text-4xl font-bold">{outOfServiceVehicles.length}</p>
+                    <p className="text-gray-400">Out of service</p>
+                  </div>
                 </div>
 
                 <div className="mt-4 h-4 bg-gray-700 rounded-full overflow-hidden">
@@ -424,32 +421,40 @@ const CarLeasingDashboard = () => {
                 <h3 className="text-xl font-semibold text-emerald-300 mb-2">Payments</h3>
                 <div className="flex justify-between items-center">
                   <div>
-                    <p className="text-4xl font-bold">${totalCollectedPayments.toLocaleString()}</p>
+                    <p className="text-4xl font-bold">${totals.collected.toLocaleString()}</p>
                     <p className="text-gray-400">Collected</p>
                   </div>
                   <div>
-                    <p className="text-4xl font-bold">${totalExpectedPayments.toLocaleString()}</p>
+                    <p className="text-4xl font-bold">${totals.expected.toLocaleString()}</p>
                     <p className="text-gray-400">Expected</p>
                   </div>
                 </div>
+                <p className="mt-2 text-sm text-amber-300">
+                  + ${totalLateFees.toLocaleString()} in late fees ({lateFees.length} charge{lateFees.length === 1 ? '' : 's'})
+                </p>
+                {(totals.refunded > 0 || totals.reversed > 0) && (
+                  <p className="text-sm text-gray-400">
+                    Excludes ${totals.refunded.toLocaleString()} refunded and ${totals.reversed.toLocaleString()} reversed
+                  </p>
+                )}
 
                 <div className="mt-4 h-4 bg-gray-700 rounded-full overflow-hidden">
                   <div 
                     className="h-full bg-gradient-to-r from-emerald-500 to-green-400" 
-                    style={{ width: `${totalExpectedPayments > 0 ? (totalCollectedPayments / totalExpectedPayments) * 100 : 0}%` }}
+                    style={{ width: `${totals.expected > 0 ? (totals.collected / totals.expected) * 100 : 0}%` }}
                   ></div>
                 </div>
               </div>
 
               <div className="bg-gradient-to-br from-rose-600/20 to-rose-800/20 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-rose-500/30">
                 <h3 className="text-xl font-semibold text-rose-300 mb-2">Overdue Payments</h3>
-                <p className="text-4xl font-bold">{lesseeWithOverduePayments.length}</p>
-                <p className="text-gray-400">Lessees with pending/overdue payments</p>
+                <p className="text-4xl font-bold">{overdueLessees.length}</p>
+                <p className="text-gray-400">Lessees owing ${totalOverdue.toLocaleString()} past due</p>
                 
                 <div className="mt-4 h-4 bg-gray-700 rounded-full overflow-hidden">
                   <div 
                     className="h-full bg-gradient-to-r from-rose-500 to-red-400" 
-                    style={{ width: `${lessees.length > 0 ? (lesseeWithOverduePayments.length / lessees.length) * 100 : 0}%` }}
+                    style={{ width: `${lesseesWithLeases > 0 ? Math.min(overdueLessees.length / lesseesWithLeases, 1) * 100 : 0}%` }}
                   ></div>
                 </div>
               </div>
@@ -472,7 +477,7 @@ const CarLeasingDashboard = () => {
                       label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
                     >
                       {vehicleCategoryData.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                        <Cell key={`cell-${index}`} fill={entry.color} />
                       ))}
                     </Pie>
                     <Tooltip formatter={(value) => [value, 'Vehicles']} />
@@ -504,34 +509,86 @@ const CarLeasingDashboard = () => {
               </div>
 
               <div className="bg-gradient-to-br from-blue-600/10 to-blue-800/10 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-blue-500/30">
-                <h3 className="text-xl font-semibold mb-4">Fleet Utilization Trend</h3>
-                <ResponsiveContainer width="100%" height={300}>
-                  <AreaChart
-                    data={vehicleUtilizationData}
-                    margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="text-xl font-semibold">Fleet Utilization Trend</h3>
+                  <select
+                    value={utilizationView}
+                    onChange={e => setUtilizationView(e.target.value)}
+                    className="px-3 py-1 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-blue-500 focus:outline-none text-white text-sm"
                   >
-                    <defs>
-                      <linearGradient id="colorUtilization" x1="0" y1="0" x2="0" y2="1">
-                        <stop offset="5%" stopColor="#8884d8" stopOpacity={0.8}/>
-                        <stop offset="95%" stopColor="#8884d8" stopOpacity={0}/>
-                      </linearGradient>
-                    </defs>
-                    <CartesianGrid strokeDasharray="3 3" stroke="#444" />
-                    <XAxis dataKey="name" tick={{ fill: '#aaa' }} />
-                    <YAxis tick={{ fill: '#aaa' }} />
-                    <Tooltip 
-                      contentStyle={{ backgroundColor: '#222', borderColor: '#555' }} 
-                      labelStyle={{ color: '#ddd' }}
-                      formatter={(value) => [`${value}%`, 'Utilization']}
-                    />
-                    <Area 
-                      type="monotone" 
-                      dataKey="utilization" 
-                      stroke="#8884d8" 
-                      fillOpacity={1} 
-                      fill="url(#colorUtilization)" 
-                    />
-                  </AreaChart>
+                    <option value="overall">Whole fleet</option>
+                    <option value="byMake">By make</option>
+                    <option value="byCategory">By category</option>
+                  </select>
+                </div>
+                <ResponsiveContainer width="100%" height={300}>
+                  {utilizationView === 'overall' ? (
+                    <AreaChart
+                      data={vehicleUtilizationData}
+                      margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+                    >
+                      <defs>
+                        <linearGradient id="colorUtilization" x1="0" y1="0" x2="0" y2="1">
+                          <stop offset="5%" stopColor="#8884d8" stopOpacity={0.8}/>
+                          <stop offset="95%" stopColor="#8884d8" stopOpacity={0}/>
+                        </linearGradient>
+                        <linearGradient id="colorOutOfService" x1="0" y1="0" x2="0" y2="1">
+                          <stop offset="5%" stopColor="#f43f5e" stopOpacity={0.6}/>
+                          <stop offset="95%" stopColor="#f43f5e" stopOpacity={0}/>
+                        </linearGradient>
+                      </defs>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                      <XAxis dataKey="name" tick={{ fill: '#aaa' }} />
+                      <YAxis tick={{ fill: '#aaa' }} domain={[0, 100]} />
+                      <Tooltip 
+                        contentStyle={{ backgroundColor: '#222', borderColor: '#555' }} 
+                        labelStyle={{ color: '#ddd' }}
+                        formatter={(value, name) => [`${value}%`, name]}
+                      />
+                      <Legend />
+                      <Area 
+                        type="monotone" 
+                        dataKey="utilization" 
+                        name="Utilization"
+                        stroke="#8884d8" 
+                        fillOpacity={1} 
+                        fill="url(#colorUtilization)" 
+                      />
+                      <Area
+                        type="monotone"
+                        dataKey="outOfService"
+                        name="Out of service"
+                        stroke="#f43f5e"
+                        fillOpacity={1}
+                        fill="url(#colorOutOfService)"
+                      />
+                    </AreaChart>
+                  ) : (
+                    <LineChart
+                      data={vehicleUtilizationData}
+                      margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                      <XAxis dataKey="name" tick={{ fill: '#aaa' }} />
+                      <YAxis tick={{ fill: '#aaa' }} domain={[0, 100]} />
+                      <Tooltip 
+                        contentStyle={{ backgroundColor: '#222', borderColor: '#555' }} 
+                        labelStyle={{ color: '#ddd' }}
+                        formatter={(value, name) => [`${value}%`, name]}
+                      />
+                      <Legend />
+                      {utilizationGroups.map((group, index) => (
+                        <Line
+                          key={group}
+                          type="monotone"
+                          dataKey={group}
+                          stroke={groupColor(group, index)}
+                          dot={false}
+                          connectNulls
+                        />
+                      ))}
+                    </LineChart>
+                  )}
                 </ResponsiveContainer>
               </div>
 
@@ -548,22 +605,35 @@ const CarLeasingDashboard = () => {
                       fill="#8884d8"
                       dataKey="value"
                       label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+                      onClick={(_, index) => setPaymentStatusFilter(paymentStatusData[index].status)}
+                      className="cursor-pointer"
                     >
                       {paymentStatusData.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                        <Cell
+                          key={`cell-${index}`}
+                          fill={COLORS[index % COLORS.length]}
+                          stroke={entry.status === paymentStatusFilter ? '#fff' : undefined}
+                        />
                       ))}
                     </Pie>
-                    <Tooltip formatter={(value) => [value, 'Payments']} />
+                    <Tooltip formatter={(value, name) => [value, name === PAYMENT_STATUS_LABELS.missed ? 'Installments' : 'Payments']} />
                     <Legend />
                   </PieChart>
                 </ResponsiveContainer>
               </div>
             </div>
 
+            <PaymentBehaviour
+              entries={paymentEntries}
+              lessees={lessees}
+              selectedStatus={paymentStatusFilter}
+              onSelectStatus={setPaymentStatusFilter}
+            />
+
             {/* Overdue Payments Table */}
             <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
               <h3 className="text-xl font-semibold mb-4">Overdue Payments</h3>
-              {lesseeWithOverduePayments.length > 0 ? (
+              {overdueLessees.length > 0 ? (
                 <div className="overflow-x-auto">
                   <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
                     <thead className="bg-gray-700/50">
@@ -572,38 +642,47 @@ const CarLeasingDashboard = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Name</th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Email</th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Phone</th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Vehicle</th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Status</th>
-                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Days Overdue</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Vehicles</th>
+                        {AGING_BUCKETS.map(bucket => (
+                          <th key={bucket.key} className="px-6 py-3 text-right text-xs font-medium text-gray-300 uppercase tracking-wider">{bucket.label}</th>
+                        ))}
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-300 uppercase tracking-wider">Late Fees</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-300 uppercase tracking-wider">Total Owed</th>
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-gray-700">
-                      {lesseeWithOverduePayments.map(lessee => {
-                        const vehicle = vehicles.find(v => v.id === lessee.vehicleId);
-                        const lastPayment = payments
-                          .filter(p => p.lesseeId === lessee.id)
-                          .sort((a, b) => new Date(b.date) - new Date(a.date))[0];
-                        
-                        const daysSinceLastPayment = lastPayment 
-                          ? Math.floor((new Date() - new Date(lastPayment.date)) / (1000 * 60 * 60 * 24)) 
-                          : Math.floor((new Date() - new Date(lessee.startDate)) / (1000 * 60 * 60 * 24));
-                        
+                      {overdueLessees.map(({ lessee, buckets, fees, total }) => {
+                        const lesseeVehicles = leases
+                          .filter(l => l.lesseeId === lessee.id && l.status === 'active')
+                          .map(l => vehicles.find(v => v.id === l.vehicleId))
+                          .filter(Boolean);
+
                         return (
                           <tr key={lessee.id} className="hover:bg-gray-700/30">
                             <td className="px-6 py-4 whitespace-nowrap">{lessee.id}</td>
-                            <td className="px-6 py-4 whitespace-nowrap">{lessee.name}</td>
+                            <td className="px-6 py-4 whitespace-nowrap">
+                              <LesseeLink lessee={lessee} />
+                            </td>
                             <td className="px-6 py-4 whitespace-nowrap">{lessee.email}</td>
                             <td className="px-6 py-4 whitespace-nowrap">{lessee.phone}</td>
                             <td className="px-6 py-4 whitespace-nowrap">
-                              {vehicle ? `${vehicle.make} ${vehicle.model} (${vehicle.id})` : 'N/A'}
+                              {lesseeVehicles.length > 0
+                                ? lesseeVehicles.map(v => `${v.make} ${v.model}`).join(', ')
+                                : 'No active lease'}
                             </td>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-red-100 text-red-800">
-                                {!lastPayment ? 'No payments' : 'Payment overdue'}
-                              </span>
+                            {AGING_BUCKETS.map(bucket => (
+                              <td
+                                key={bucket.key}
+                                className={`px-6 py-4 whitespace-nowrap text-right ${buckets[bucket.key] > 0 ? 'text-rose-300' : 'text-gray-500'}`}
+                              >
+                                ${buckets[bucket.key].toLocaleString()}
+                              </td>
+                            ))}
+                            <td className={`px-6 py-4 whitespace-nowrap text-right ${fees > 0 ? 'text-amber-300' : 'text-gray-500'}`}>
+                              ${fees.toLocaleString()}
                             </td>
-                            <td className="px-6 py-4 whitespace-nowrap">
-                              {daysSinceLastPayment} days
+                            <td className="px-6 py-4 whitespace-nowrap text-right font-semibold">
+                              ${total.toLocaleString()}
                             </td>
                           </tr>
                         );
@@ -612,63 +691,85 @@ const CarLeasingDashboard = () => {
                   </table>
                 </div>
               ) : (
-                <p className="text-gray-400">No overdue payments. All lessees are up to date!</p>
+                <p className="text-gray-400">No overdue payments. All leases are up to date!</p>
               )}
             </div>
           </motion.div>
         )}
 
-        {activeTab === 'register' && (
+        {!isLoading && activeTab === 'register' && (
           <motion.div 
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.5 }}
             className="max-w-2xl mx-auto bg-gradient-to-br from-indigo-600/10 to-indigo-800/10 backdrop-blur-sm p-8 rounded-xl shadow-xl border border-indigo-500/30"
           >
-            <h2 className="text-2xl font-bold mb-6">Register New Lessee</h2>
+            <h2 className="text-2xl font-bold mb-6">
+              {registrationForm.lesseeId ? 'Lease Another Vehicle' : 'Register New Lessee'}
+            </h2>
             <form onSubmit={handleRegistration} className="space-y-6">
               <div>
-                <label className="block text-sm font-medium text-gray-300 mb-1">Full Name</label>
-                <input 
-                  type="text" 
-                  value={registrationForm.name} 
-                  onChange={e => setRegistrationForm({...registrationForm, name: e.target.value})}
-                  className="w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-500/30 text-white"
-                  placeholder="Enter full name"
-                  required
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-1">Email Address</label>
-                <input 
-                  type="email" 
-                  value={registrationForm.email} 
-                  onChange={e => setRegistrationForm({...registrationForm, email: e.target.value})}
-                  className="w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-500/30 text-white"
-                  placeholder="Enter email address"
-                  required
-                />
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-300 mb-1">Phone Number</label>
-                <input 
-                  type="tel" 
-                  value={registrationForm.phone} 
-                  onChange={e => setRegistrationForm({...registrationForm, phone: e.target.value})}
-                  className="w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-500/30 text-white"
-                  placeholder="Enter phone number"
-                  required
-                />
+                <label className="block text-sm font-medium text-gray-300 mb-1">Lessee</label>
+                <select 
+                  value={registrationForm.lesseeId} 
+                  onChange={e => setRegistrationForm({...registrationForm, lesseeId: e.target.value})}
+                  className={inputClass}
+                >
+                  <option value="">New lessee</option>
+                  {lessees.map(lessee => (
+                    <option key={lessee.id} value={lessee.id}>
+                      {lessee.name} ({lessee.id})
+                    </option>
+                  ))}
+                </select>
               </div>
+
+              {!registrationForm.lesseeId && (
+                <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Full Name</label>
+                  <input 
+                    type="text" 
+                    value={registrationForm.name} 
+                    onChange={e => setRegistrationForm({...registrationForm, name: e.target.value})}
+                    className={inputClass}
+                    placeholder="Enter full name"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Email Address</label>
+                  <input 
+                    type="email" 
+                    value={registrationForm.email} 
+                    onChange={e => setRegistrationForm({...registrationForm, email: e.target.value})}
+                    className={inputClass}
+                    placeholder="Enter email address"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Phone Number</label>
+                  <input 
+                    type="tel" 
+                    value={registrationForm.phone} 
+                    onChange={e => setRegistrationForm({...registrationForm, phone: e.target.value})}
+                    className={inputClass}
+                    placeholder="Enter phone number"
+                    required
+                  />
+                </div>
+                </>
+              )}
               
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-1">Vehicle</label>
                 <select 
                   value={registrationForm.vehicleId} 
-                  onChange={e => setRegistrationForm({...registrationForm, vehicleId: e.target.value})}
-                  className="w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-500/30 text-white"
+                  onChange={e => setRegistrationForm(withVehicle(registrationForm, e.target.value))}
+                  className={inputClass}
                   required
                 >
                   <option value="">Select a vehicle</option>
@@ -679,6 +780,90 @@ const CarLeasingDashboard = () => {
                   ))}
                 </select>
               </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Lease Term</label>
+                  <select 
+                    value={registrationForm.termMonths} 
+                    onChange={e => setRegistrationForm({...registrationForm, termMonths: e.target.value})}
+                    className={inputClass}
+                  >
+                    {TERM_OPTIONS.map(months => (
+                      <option key={months} value={months}>{months} months</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Monthly Rate ($)</label>
+                  <input 
+                    type="number" 
+                    value={registrationForm.monthlyRate} 
+                    onChange={e => setRegistrationForm({...registrationForm, monthlyRate: e.target.value})}
+                    className={inputClass}
+                    min="1"
+                    step="0.01"
+                    required
+                  />
+                  {registrationForm.quote ? (
+                    <p className="mt-1 text-xs text-gray-400">
+                      Quoted ${registrationForm.quote.monthlyPayment.toLocaleString()}/month over {registrationForm.quote.termMonths} months
+                      {registrationForm.quote.downPayment > 0 && ` with $${registrationForm.quote.downPayment.toLocaleString()} down`}
+                    </p>
+                  ) : (
+                    <Link to="/quote" className="mt-1 inline-block text-xs text-indigo-400 hover:text-indigo-300">
+                      Price it with a lease quote
+                    </Link>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Deposit ($)</label>
+                  <input 
+                    type="number" 
+                    value={registrationForm.deposit} 
+                    onChange={e => setRegistrationForm({...registrationForm, deposit: e.target.value})}
+                    className={inputClass}
+                    min="0"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Mileage Allowance (miles/year)</label>
+                  <input 
+                    type="number" 
+                    value={registrationForm.mileageAllowance} 
+                    onChange={e => setRegistrationForm({...registrationForm, mileageAllowance: e.target.value})}
+                    className={inputClass}
+                    min="0"
+                    step="1000"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Excess Mileage ($/mile)</label>
+                  <input 
+                    type="number" 
+                    value={registrationForm.excessMileageRate} 
+                    onChange={e => setRegistrationForm({...registrationForm, excessMileageRate: e.target.value})}
+                    className={inputClass}
+                    min="0"
+                    step="0.01"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-1">Odometer at Handover (miles)</label>
+                  <input 
+                    type="number" 
+                    value={registrationForm.odometer} 
+                    onChange={e => setRegistrationForm({...registrationForm, odometer: e.target.value})}
+                    className={inputClass}
+                    min="0"
+                    step="1"
+                    required
+                  />
+                </div>
+              </div>
               
               <button
                 type="submit"
@@ -690,37 +875,110 @@ const CarLeasingDashboard = () => {
           </motion.div>
         )}
 
-        {activeTab === 'payment' && (
+        {!isLoading && activeTab === 'payment' && (
           <motion.div 
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             transition={{ duration: 0.5 }}
             className="max-w-2xl mx-auto bg-gradient-to-br from-emerald-600/10 to-emerald-800/10 backdrop-blur-sm p-8 rounded-xl shadow-xl border border-emerald-500/30"
           >
-            <h2 className="text-2xl font-bold mb-6">Process Lease Payment</h2>
+            <div className="flex justify-between items-start mb-6">
+              <h2 className="text-2xl font-bold">Process Lease Payment</h2>
+              <div className="flex items-start gap-6">
+                <button
+                  onClick={() => setIsPrintingStatement(true)}
+                  className="text-sm text-emerald-300 hover:text-emerald-200"
+                >
+                  Account statement
+                </button>
+                <button
+                  onClick={() => setIsEditingPolicy(true)}
+                  className="text-right text-sm text-emerald-300 hover:text-emerald-200"
+                >
+                  Late fee policy
+                  <span className="block text-xs text-gray-400">
+                    {currentPolicy ? describePolicy(currentPolicy) : 'No late fees'}
+                  </span>
+                </button>
+              </div>
+            </div>
+
+            {recordedPayment && (
+              <div className="flex justify-between items-start gap-4 mb-6 p-4 rounded-lg bg-green-900/30 border border-green-500/30">
+                <div>
+                  <p className="font-medium text-green-300">Payment {recordedPayment.payment.id} recorded</p>
+                  <p className="text-sm text-gray-300">
+                    {recordedPayment.appliedTo.length > 0
+                      ? `Applied to: ${recordedPayment.appliedTo.join(', ')}`
+                      : 'Held as credit on the lease'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-4">
+                  <button
+                    onClick={() => downloadReceipt(recordedPayment.payment)}
+                    className="px-4 py-2 bg-gradient-to-r from-emerald-600 to-teal-600 text-white text-sm font-medium rounded-lg shadow-md hover:from-emerald-700 hover:to-teal-700"
+                  >
+                    Download receipt (PDF)
+                  </button>
+                  <button onClick={() => setRecordedPayment(null)} className="text-gray-400 hover:text-white" aria-label="Dismiss">
+                    ✕
+                  </button>
+                </div>
+              </div>
+            )}
             <form onSubmit={handlePayment} className="space-y-6">
               <div>
                 <label className="block text-sm font-medium text-gray-300 mb-1">Lessee</label>
                 <select 
                   value={paymentForm.lesseeId} 
                   onChange={e => {
-                    const lessee = lessees.find(l => l.id === e.target.value);
-                    const vehicle = lessee ? vehicles.find(v => v.id === lessee.vehicleId) : null;
+                    // Pre-select the lease when the lessee has only one active lease
+                    const lesseeLeases = activeLeases.filter(l => l.lesseeId === e.target.value);
+                    const lease = lesseeLeases.length === 1 ? lesseeLeases[0] : null;
                     setPaymentForm({
                       ...paymentForm, 
                       lesseeId: e.target.value,
-                      amount: vehicle ? vehicle.leaseAmount : 500
+                      leaseId: lease ? lease.id : '',
+                      amount: lease ? lease.monthlyRate : 500
                     });
                   }}
-                  className="w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-emerald-500 focus:outline-none focus:ring-2 focus:ring-emerald-500/30 text-white"
+                  className={emeraldInputClass}
                   required
                 >
                   <option value="">Select a lessee</option>
                   {lessees.map(lessee => {
-                    const vehicle = vehicles.find(v => v.id === lessee.vehicleId);
+                    const leaseCount = activeLeases.filter(l => l.lesseeId === lessee.id).length;
                     return (
                       <option key={lessee.id} value={lessee.id}>
-                        {lessee.name} - {vehicle ? `${vehicle.make} ${vehicle.model}` : 'N/A'} ({lessee.id})
+                        {lessee.name} - {leaseCount} active lease{leaseCount === 1 ? '' : 's'} ({lessee.id})
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">Lease</label>
+                <select 
+                  value={paymentForm.leaseId} 
+                  onChange={e => {
+                    const lease = leases.find(l => l.id === e.target.value);
+                    setPaymentForm({
+                      ...paymentForm, 
+                      leaseId: e.target.value,
+                      amount: lease ? lease.monthlyRate : paymentForm.amount
+                    });
+                  }}
+                  className={emeraldInputClass}
+                  disabled={!paymentForm.lesseeId}
+                  required
+                >
+                  <option value="">Select a lease</option>
+                  {leases.filter(l => l.lesseeId === paymentForm.lesseeId).map(lease => {
+                    const vehicle = vehicles.find(v => v.id === lease.vehicleId);
+                    return (
+                      <option key={lease.id} value={lease.id}>
+                        {vehicle ? `${vehicle.make} ${vehicle.model}` : lease.vehicleId} - ${lease.monthlyRate}/month ({lease.id}{lease.status === 'active' ? '' : `, ${LEASE_STATUS_LABELS[lease.status].toLowerCase()}`})
                       </option>
                     );
                   })}
@@ -733,7 +991,7 @@ const CarLeasingDashboard = () => {
                   type="number" 
                   value={paymentForm.amount} 
                   onChange={e => setPaymentForm({...paymentForm, amount: e.target.value})}
-                  className="w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-emerald-500 focus:outline-none focus:ring-2 focus:ring-emerald-500/30 text-white"
+                  className={emeraldInputClass}
                   min="1"
                   required
                 />
@@ -745,7 +1003,7 @@ const CarLeasingDashboard = () => {
                   type="date" 
                   value={paymentForm.date} 
                   onChange={e => setPaymentForm({...paymentForm, date: e.target.value})}
-                  className="w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-emerald-500 focus:outline-none focus:ring-2 focus:ring-emerald-500/30 text-white"
+                  className={emeraldInputClass}
                   required
                 />
               </div>
@@ -758,6 +1016,17 @@ const CarLeasingDashboard = () => {
               </button>
             </form>
 
+            {/* Invoice schedule for the selected lease */}
+            {paymentForm.leaseId && (
+              <div className="mt-10">
+                <h3 className="text-xl font-semibold mb-4">Invoice Schedule ({paymentForm.leaseId})</h3>
+                <InvoiceSchedule
+                  lease={leases.find(l => l.id === paymentForm.leaseId)}
+                  store={store}
+                />
+              </div>
+            )}
+
             {/* Payment History */}
             {lessees.length > 0 && payments.length > 0 && (
               <div className="mt-10">
@@ -766,27 +1035,65 @@ const CarLeasingDashboard = () => {
                   <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
                     <thead className="bg-gray-700/50">
                       <tr>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Payment ID</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Lessee</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Amount</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Date</th>
-                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Status</th>
+                      <th className={thClass}>Payment / Fee ID</th>
+                        <th className={thClass}>Lessee</th>
+                        <th className={thClass}>Amount</th>
+                        <th className={thClass}>Date</th>
+                        <th className={thClass}>Status</th>
+                        <th className={thClass}>Actions</th>
                       </tr>
                     </thead>
                     <tbody className="divide-y divide-gray-700">
-                      {payments.slice().reverse().slice(0, 5).map(payment => {
-                        const lessee = lessees.find(l => l.id === payment.lesseeId);
-                        
+                      {recentActivity.map(entry => {
+                        const lessee = lessees.find(l => l.id === entry.lesseeId);
+                        const isFee = entry.invoiceId !== undefined;
+                        const net = isFee ? entry.amount : netPaymentAmount(entry);
+                        const state = isFee ? null : paymentState(entry);
+
                         return (
-                          <tr key={payment.id} className="hover:bg-gray-700/30">
-                            <td className="px-4 py-3 whitespace-nowrap">{payment.id}</td>
-                            <td className="px-4 py-3 whitespace-nowrap">{lessee ? lessee.name : 'Unknown'}</td>
-                            <td className="px-4 py-3 whitespace-nowrap">${payment.amount.toLocaleString()}</td>
-                            <td className="px-4 py-3 whitespace-nowrap">{new Date(payment.date).toLocaleDateString()}</td>
+                          <tr key={entry.id} className="hover:bg-gray-700/30">
+                            <td className="px-4 py-3 whitespace-nowrap">{entry.id}</td>
+                            <td className="px-4 py-3 whitespace-nowrap">
+                              <LesseeLink lessee={lessee} />
+                            </td>
+                            <td className={`px-4 py-3 whitespace-nowrap ${isFee ? 'text-amber-300' : ''}`}>
+                              {isFee ? '+' : ''}${net.toLocaleString()}
+                              {net !== entry.amount && (
+                                <span className="ml-2 text-sm text-gray-400 line-through">${entry.amount.toLocaleString()}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap">{formatDate(entry.date)}</td>
                             <td className="px-4 py-3 whitespace-nowrap">
-                              <span className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-green-100 text-green-800">
-                                {payment.status}
-                              </span>
+                              {isFee ? (
+                                <span
+                                  className="px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-amber-100 text-amber-800"
+                                  title={`Invoice ${entry.invoiceId} not paid within the grace period`}
+                                >
+                                  late fee
+                                </span>
+                              ) : (
+                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${PAYMENT_STATE_BADGES[state]}`}>
+                                  {PAYMENT_STATE_LABELS[state]}
+                                </span>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap">
+                              {!isFee && (
+                                <div className="flex gap-3">
+                                  <button
+                                    onClick={() => setAdjustingPayment(entry)}
+                                    className="text-sm text-emerald-300 hover:text-emerald-200"
+                                  >
+                                    {state === 'reversed' ? 'Details' : 'Adjust'}
+                                  </button>
+                                  <button
+                                    onClick={() => downloadReceipt(entry)}
+                                    className="text-sm text-emerald-300 hover:text-emerald-200"
+                                  >
+                                    Receipt
+                                  </button>
+                                </div>
+                              )}
                             </td>
                           </tr>
                         );
@@ -799,141 +1106,68 @@ const CarLeasingDashboard = () => {
           </motion.div>
         )}
 
-        {activeTab === 'vehicles' && (
-          <motion.div 
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ duration: 0.5 }}
-            className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30"
-          >
-            <h2 className="text-2xl font-bold mb-6">Vehicle Fleet Management</h2>
-            
-            <div className="flex justify-between items-center mb-6">
-              <div>
-                <span className="mr-2 px-3 py-1 rounded-full bg-blue-900/40 text-blue-300 text-sm font-medium">
-                  Total: {vehicles.length}
-                </span>
-                <span className="mr-2 px-3 py-1 rounded-full bg-green-900/40 text-green-300 text-sm font-medium">
-                  Available: {availableVehicles.length}
-                </span>
-                <span className="px-3 py-1 rounded-full bg-purple-900/40 text-purple-300 text-sm font-medium">
-                  Leased: {leasedVehicles.length}
-                </span>
-              </div>
-              
-              <div className="flex space-x-2">
-                <select className="px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-500/30 text-white text-sm">
-                  <option value="">Filter by Make</option>
-                  {Array.from(new Set(vehicles.map(v => v.make))).map(make => (
-                    <option key={make} value={make}>{make}</option>
-                  ))}
-                </select>
-                <select className="px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-500/30 text-white text-sm">
-                  <option value="">Filter by Status</option>
-                  <option value="leased">Leased</option>
-                  <option value="available">Available</option>
-                </select>
-              </div>
-            </div>
-            
-            <div className="overflow-x-auto">
-              <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
-                <thead className="bg-gray-700/50">
-                  <tr>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">ID</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Make & Model</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Year</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Color</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Status</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Lessee</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Lease Amount</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Actions</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-700">
-                  {vehicles.map(vehicle => {
-                    const lessee = lessees.find(l => l.id === vehicle.lessee);
-                    
-                    return (
-                      <tr key={vehicle.id} className="hover:bg-gray-700/30">
-                        <td className="px-4 py-3 whitespace-nowrap">{vehicle.id}</td>
-                        <td className="px-4 py-3 whitespace-nowrap">{vehicle.make} {vehicle.model}</td>
-                        <td className="px-4 py-3 whitespace-nowrap">{vehicle.year}</td>
-                        <td className="px-4 py-3 whitespace-nowrap">{vehicle.color}</td>
-                        <td className="px-4 py-3 whitespace-nowrap">
-                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${vehicle.isLeased ? 'bg-purple-100 text-purple-800' : 'bg-green-100 text-green-800'}`}>
-                            {vehicle.isLeased ? 'Leased' : 'Available'}
-                          </span>
-                        </td>
-                        <td className="px-4 py-3 whitespace-nowrap">{lessee ? lessee.name : '-'}</td>
-                        <td className="px-4 py-3 whitespace-nowrap">${vehicle.leaseAmount}/month</td>
-                        <td className="px-4 py-3 whitespace-nowrap">
-                          <button className="text-indigo-400 hover:text-indigo-300 mr-2">
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                              <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
-                            </svg>
-                          </button>
-                          <button className="text-rose-400 hover:text-rose-300">
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                              <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
-                            </svg>
-                          </button>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
+        {!isLoading && activeTab === 'payment' && (
+          <BankReconciliation store={store} />
+        )}
 
-            {/* Vehicle Categories Summary */}
-            <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-6">
-              <div className="bg-gradient-to-br from-amber-600/10 to-amber-800/10 backdrop-blur-sm p-4 rounded-xl shadow-lg border border-amber-500/30">
-                <h3 className="text-lg font-semibold text-amber-300 mb-2">Economy Vehicles</h3>
-                <p className="text-3xl font-bold">{vehicles.filter(v => v.leaseAmount < 600).length}</p>
-                <p className="text-gray-400 text-sm">Average Lease: ${Math.round(
-                  vehicles.filter(v => v.leaseAmount < 600).reduce((sum, v) => sum + v.leaseAmount, 0) / 
-                  Math.max(1, vehicles.filter(v => v.leaseAmount < 600).length)
-                )}/month</p>
-                <p className="text-gray-400 text-sm">Utilization: {Math.round(
-                  (vehicles.filter(v => v.leaseAmount < 600 && v.isLeased).length / 
-                  Math.max(1, vehicles.filter(v => v.leaseAmount < 600).length)) * 100
-                )}%</p>
-              </div>
-              
-              <div className="bg-gradient-to-br from-blue-600/10 to-blue-800/10 backdrop-blur-sm p-4 rounded-xl shadow-lg border border-blue-500/30">
-                <h3 className="text-lg font-semibold text-blue-300 mb-2">Mid-range Vehicles</h3>
-                <p className="text-3xl font-bold">{vehicles.filter(v => v.leaseAmount >= 600 && v.leaseAmount < 900).length}</p>
-                <p className="text-gray-400 text-sm">Average Lease: ${Math.round(
-                  vehicles.filter(v => v.leaseAmount >= 600 && v.leaseAmount < 900).reduce((sum, v) => sum + v.leaseAmount, 0) / 
-                  Math.max(1, vehicles.filter(v => v.leaseAmount >= 600 && v.leaseAmount < 900).length)
-                )}/month</p>
-                <p className="text-gray-400 text-sm">Utilization: {Math.round(
-                  (vehicles.filter(v => v.leaseAmount >= 600 && v.leaseAmount < 900 && v.isLeased).length / 
-                  Math.max(1, vehicles.filter(v => v.leaseAmount >= 600 && v.leaseAmount < 900).length)) * 100
-                )}%</p>
-              </div>
-              
-              <div className="bg-gradient-to-br from-purple-600/10 to-purple-800/10 backdrop-blur-sm p-4 rounded-xl shadow-lg border border-purple-500/30">
-                <h3 className="text-lg font-semibold text-purple-300 mb-2">Premium Vehicles</h3>
-                <p className="text-3xl font-bold">{vehicles.filter(v => v.leaseAmount >= 900).length}</p>
-                <p className="text-gray-400 text-sm">Average Lease: ${Math.round(
-                  vehicles.filter(v => v.leaseAmount >= 900).reduce((sum, v) => sum + v.leaseAmount, 0) / 
-                  Math.max(1, vehicles.filter(v => v.leaseAmount >= 900).length)
-                )}/month</p>
-                <p className="text-gray-400 text-sm">Utilization: {Math.round(
-                  (vehicles.filter(v => v.leaseAmount >= 900 && v.isLeased).length / 
-                  Math.max(1, vehicles.filter(v => v.leaseAmount >= 900).length)) * 100
-                )}%</p>
-              </div>
-            </div>
-          </motion.div>
+        {isEditingPolicy && (
+          <LateFeePolicyDialog
+            policies={lateFeePolicies}
+            onSave={handleSavePolicy}
+            onClose={() => setIsEditingPolicy(false)}
+          />
+        )}
+
+        {isPrintingStatement && (
+          <StatementDialog store={store} onClose={() => setIsPrintingStatement(false)} />
+        )}
+
+        {adjustingPayment && (
+          <PaymentAdjustDialog
+            payment={adjustingPayment}
+            onSave={handleAdjustPayment}
+            onClose={() => setAdjustingPayment(null)}
+          />
         )}
+
+        {!isLoading && activeTab === 'quote' && (
+          <LeaseQuote vehicles={availableVehicles} termOptions={TERM_OPTIONS} onAccept={handleAcceptQuote} />
+        )}
+
+        {!isLoading && activeTab === 'vehicles' && (
+          <div className="space-y-8">
+            <VehicleFleet store={store} />
+            <VehicleProfitability store={store} />
+          </div>
+        )}
+
+        {!isLoading && activeTab === 'leases' && (
+          <LeaseList store={store} />
+        )}
+
+        {!isLoading && activeTab === 'history' && (
+          <AuditHistory store={store} />
+        )}
+
+        {!isLoading && activeTab === 'data' && (
+          <DataTransfer store={store} />
+        )}
+
+        {!isLoading && activeTab === 'vehicle' && (
+          <VehicleDetail key={route.id} store={store} vehicleId={route.id} />
+        )}
+
+        {!isLoading && activeTab === 'lessee' && (
+          <LesseeDetail key={route.id} store={store} lesseeId={route.id} />
+        )}
+
+        {!route && <NotFound />}
       </main>
 
       {/* Footer */}
       <footer className="bg-gray-900 p-6 mt-10">
         <div className="container mx-auto text-center text-gray-400">
+          <DevMenu store={store} />
           <p>© 2023 VehicleLease Pro. All rights reserved.</p>
         </div>
       </footer>
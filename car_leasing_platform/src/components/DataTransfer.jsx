@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { describeError } from '../data/client';
+import { COLLECTIONS, checkImport } from '../data/collections';
+import { parseCsv, downloadCsv } from '../data/csv';
+import {
+  IMPORT_FIELDS, guessMapping, recordsFromRows,
+  vehiclesCsv, lesseesCsv, paymentsCsv, overdueCsv,
+} from '../data/csvFormats';
+import { recordVehicleEvent } from '../data/vehicleEvents';
+import { lesseeAging } from '../domain/aging';
+import { localDateString } from '../domain/dates';
+import { filterInputClass, thClass } from './formStyles';
+
+const IMPORT_TARGETS = {
+  vehicles: 'Vehicles',
+  lessees: 'Lessees',
+  payments: 'Payments',
+};
+
+const buttonClass = 'px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white text-sm font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50';
+
+const formatCell = (value) => (value === null || value === undefined ? '' : String(value));
+
+// CSV export of each table, and an import wizard: pick a file, map its
+// columns, check every row, then save all rows or none
+const DataTransfer = ({ store }) => {
+  const {
+    vehicles, lessees, payments, leases, lateFeePolicies, loadAuditLog, importRecords,
+  } = store;
+  const today = localDateString();
+  const [auditLog, setAuditLog] = useState([]);
+  const [target, setTarget] = useState('vehicles');
+  const [file, setFile] = useState(null); // { name, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [isImporting, setIsImporting] = useState(false);
+
+  // IDs of deleted records can't be reused, so the preview needs the log too
+  useEffect(() => {
+    loadAuditLog().then(setAuditLog).catch(() => setAuditLog([]));
+  }, [loadAuditLog]);
+
+  const exports = [
+    { label: 'Fleet', filename: 'fleet', csv: () => vehiclesCsv(vehicles) },
+    { label: 'Lessees', filename: 'lessees', csv: () => lesseesCsv(lessees) },
+    { label: 'Payments', filename: 'payments', csv: () => paymentsCsv(payments) },
+    {
+      label: 'Overdue list',
+      filename: 'overdue',
+      csv: () => overdueCsv(lesseeAging(lessees, leases, payments, lateFeePolicies, today)),
+    },
+  ];
+
+  const chooseTarget = (collection) => {
+    setTarget(collection);
+    if (file) setMapping(guessMapping(collection, file.headers));
+  };
+
+  const handleFile = async (e) => {
+    const chosen = e.target.files[0];
+    e.target.value = '';
+    if (!chosen) return;
+    const [headers = [], ...rows] = parseCsv(await chosen.text());
+    setFile({ name: chosen.name, headers, rows });
+    setMapping(guessMapping(target, headers));
+  };
+
+  const fields = IMPORT_FIELDS[target];
+  const records = file ? recordsFromRows(target, file.rows, mapping) : [];
+  // Checked against every collection, as the backend will
+  const checked = file
+    ? checkImport({
+      ...Object.fromEntries(COLLECTIONS.map(collection => [collection, store[collection]])), auditLog,
+    }, target, records)
+    : [];
+  const invalidCount = checked.filter(row => row.errors.length > 0).length;
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    try {
+      const saved = await importRecords(target, records);
+      if (target === 'vehicles') {
+        for (const vehicle of saved) {
+          await recordVehicleEvent(store, vehicle, 'added', today);
+        }
+      }
+      alert(`Imported ${saved.length} ${IMPORT_TARGETS[target].toLowerCase()}.`);
+      setFile(null);
+    } catch (err) {
+      alert(`Nothing was imported. ${describeError(err)}`);
+    }
+    setIsImporting(false);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="space-y-8"
+    >
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h2 className="text-2xl font-bold mb-4">Export</h2>
+        <div className="flex flex-wrap gap-2">
+          {exports.map(({ label, filename, csv }) => (
+            <button
+              key={filename}
+              onClick={() => downloadCsv(`easylease-${filename}-${today}.csv`, csv())}
+              className={buttonClass}
+            >
+              {label} (CSV)
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h2 className="text-2xl font-bold mb-4">Import</h2>
+        <div className="flex flex-wrap items-center gap-4 mb-6">
+          <select
+            value={target}
+            onChange={e => chooseTarget(e.target.value)}
+            className={filterInputClass}
+          >
+            {Object.entries(IMPORT_TARGETS).map(([collection, label]) => (
+              <option key={collection} value={collection}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            className="text-sm text-gray-300 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white"
+          />
+          {file && (
+            <span className="text-sm text-gray-400">
+              {file.name}: {file.rows.length} row{file.rows.length === 1 ? '' : 's'}
+            </span>
+          )}
+        </div>
+
+        {file && (
+          <>
+            <h3 className="text-lg font-semibold mb-2">Columns</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+              {fields.map(field => (
+                <label key={field.key} className="block text-sm">
+                  <span className="block text-gray-300 mb-1">
+                    {field.label}{field.optional ? '' : ' *'}
+                  </span>
+                  <select
+                    value={mapping[field.key]}
+                    onChange={e => setMapping({
+                      ...mapping,
+                      [field.key]: e.target.value === '' ? '' : Number(e.target.value),
+                    })}
+                    className={`${filterInputClass} w-full`}
+                  >
+                    <option value="">{field.optional ? 'Not imported' : 'Choose a column'}</option>
+                    {file.headers.map((header, idx) => (
+                      <option key={idx} value={idx}>{header || `Column ${idx + 1}`}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+              <p className={invalidCount > 0 ? 'text-rose-300' : 'text-emerald-300'}>
+                {invalidCount > 0
+                  ? `${invalidCount} of ${checked.length} rows need fixing before anything can be imported.`
+                  : `All ${checked.length} rows are ready to import.`}
+              </p>
+              <button
+                onClick={handleImport}
+                disabled={isImporting || checked.length === 0 || invalidCount > 0}
+                className={buttonClass}
+              >
+                Import {checked.length} {IMPORT_TARGETS[target].toLowerCase()}
+              </button>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+                <thead className="bg-gray-700/50">
+                  <tr>
+                    <th className={thClass}>Row</th>
+                    {fields.map(field => <th key={field.key} className={thClass}>{field.label}</th>)}
+                    <th className={thClass}>Problems</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-700">
+                  {checked.map(({ record, errors }, idx) => (
+                    <tr key={idx} className={errors.length > 0 ? 'bg-rose-900/20' : 'hover:bg-gray-700/30'}>
+                      <td className="px-4 py-3 whitespace-nowrap text-gray-400">{idx + 1}</td>
+                      {fields.map(field => (
+                        <td key={field.key} className="px-4 py-3 whitespace-nowrap">{formatCell(record[field.key])}</td>
+                      ))}
+                      <td className="px-4 py-3 text-sm text-rose-300">{errors.join('; ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default DataTransfer;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { canLoadScenarios, describeError } from '../data/client';
+import {
+  DEFAULT_MOCK_SEED, MOCK_SCENARIOS, mockOptionsQuery, parseMockOptions,
+} from '../data/mockData';
+import { localDateString } from '../domain/dates';
+import { filterInputClass } from './formStyles';
+
+// Number fields that override the scenario's own setting when filled in
+const OVERRIDE_FIELDS = [
+  { key: 'vehicles', label: 'Vehicles' },
+  { key: 'lessees', label: 'Lessees' },
+  { key: 'historyMonths', label: 'History (months)' },
+];
+
+// Development builds only: wipe browser storage and load a mock scenario.
+// The same data set can be shared with the link shown below the form, which
+// fixes `today` so it reproduces on any day.
+const DevMenu = ({ store }) => {
+  const [form, setForm] = useState({
+    scenario: 'default', seed: DEFAULT_MOCK_SEED, vehicles: '', lessees: '', historyMonths: '', today: localDateString(),
+  });
+  const [isLoading, setIsLoading] = useState(false);
+
+  if (!import.meta.env.DEV || !canLoadScenarios) return null;
+
+  let options = null;
+  let optionsError = null;
+  try {
+    options = parseMockOptions(form);
+  } catch (err) {
+    optionsError = err.message;
+  }
+  const scenarioSettings = MOCK_SCENARIOS[form.scenario].settings;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!confirm('Replace all data in this browser, including the history, with the selected scenario?')) return;
+    setIsLoading(true);
+    try {
+      await store.loadScenario(options);
+    } catch (err) {
+      alert(`Could not load the scenario. ${describeError(err)}`);
+    }
+    setIsLoading(false);
+  };
+
+  return (
+    <details className="mb-4 text-left inline-block">
+      <summary className="cursor-pointer text-sm text-gray-500 hover:text-gray-300">Developer tools</summary>
+      <form onSubmit={handleSubmit} className="mt-3 flex flex-wrap items-center gap-3">
+        <select
+          value={form.scenario}
+          onChange={e => setForm({ ...form, scenario: e.target.value })}
+          className={filterInputClass}
+        >
+          {Object.entries(MOCK_SCENARIOS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <label className="text-sm text-gray-400">
+          Seed
+          <input
+            type="number"
+            value={form.seed}
+            onChange={e => setForm({ ...form, seed: e.target.value })}
+            className={`${filterInputClass} w-24 ml-2`}
+            min="1"
+          />
+        </label>
+        {OVERRIDE_FIELDS.map(({ key, label }) => (
+          <label key={key} className="text-sm text-gray-400">
+            {label}
+            <input
+              type="number"
+              value={form[key]}
+              onChange={e => setForm({ ...form, [key]: e.target.value })}
+              className={`${filterInputClass} w-24 ml-2`}
+              placeholder={String(scenarioSettings[key])}
+              min="0"
+            />
+          </label>
+        ))}
+        <label className="text-sm text-gray-400">
+          Today
+          <input
+            type="date"
+            value={form.today}
+            onChange={e => setForm({ ...form, today: e.target.value })}
+            className={`${filterInputClass} ml-2`}
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={isLoading || !options}
+          className="px-4 py-2 rounded-lg text-sm text-gray-200 border border-gray-600 hover:bg-white/10 disabled:opacity-50"
+        >
+          Load mock data
+        </button>
+      </form>
+      {optionsError ? (
+        <p className="mt-2 text-xs text-rose-300">{optionsError}</p>
+      ) : (
+        <p className="mt-2 text-xs text-gray-500">
+          Link to this data set: <code>/?{mockOptionsQuery(options)}</code>
+        </p>
+      )}
+    </details>
+  );
+};
+
+export default DevMenu;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { INVOICE_KIND_LABELS, INVOICE_STATUS_LABELS } from '../domain/invoices';
+import { leaseLateFees } from '../domain/lateFees';
+import { formatDate, formatMonth, localDateString } from '../domain/dates';
+import { downloadFile } from '../data/download';
+import { invoicePdf } from '../data/pdfDocuments';
+import { thClass } from './formStyles';
+
+const STATUS_BADGES = {
+  open: 'bg-blue-100 text-blue-800',
+  partial: 'bg-amber-100 text-amber-800',
+  paid: 'bg-green-100 text-green-800',
+  overdue: 'bg-red-100 text-red-800',
+};
+
+// `store` is the object returned by useLeasingData
+const InvoiceSchedule = ({ lease, store }) => {
+  const { payments, lateFeePolicies } = store;
+  const today = localDateString();
+  const {
+    invoices, fees, total: feesTotal, outstanding: feesOutstanding, credit,
+  } = leaseLateFees(lease, payments, lateFeePolicies, today);
+  const overdue = invoices.filter(i => i.status === 'overdue');
+  const overdueBalance = overdue.reduce((sum, i) => sum + i.balance, 0);
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-3 text-sm">
+        <span className="px-3 py-1 rounded-full bg-red-900/40 text-red-300 font-medium">
+          Overdue: ${overdueBalance.toLocaleString()} ({overdue.length} invoice{overdue.length === 1 ? '' : 's'})
+        </span>
+        {overdue.length > 0 && (
+          <span className="px-3 py-1 rounded-full bg-gray-700/60 text-gray-300 font-medium">
+            Oldest unpaid: {formatMonth(overdue[0].dueDate)}
+          </span>
+        )}
+        {fees.length > 0 && (
+          <span className="px-3 py-1 rounded-full bg-amber-900/40 text-amber-300 font-medium">
+            Late fees: ${feesOutstanding.toLocaleString()} outstanding of ${feesTotal.toLocaleString()}
+          </span>
+        )}
+        {credit > 0 && (
+          <span className="px-3 py-1 rounded-full bg-green-900/40 text-green-300 font-medium">
+            Credit: ${credit.toLocaleString()}
+          </span>
+        )}
+      </div>
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+          <thead className="bg-gray-700/50">
+            <tr>
+              <th className={thClass}>Invoice</th>
+              <th className={thClass}>Due Date</th>
+              <th className={thClass}>Amount</th>
+              <th className={thClass}>Paid</th>
+              <th className={thClass}>Balance</th>
+              <th className={thClass}>Late Fee</th>
+              <th className={thClass}>Status</th>
+              <th className={thClass}>Document</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {invoices.map(invoice => {
+              const fee = fees.find(f => f.invoiceId === invoice.id);
+              return (
+                <tr key={invoice.id} className="hover:bg-gray-700/30">
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    {invoice.id}
+                    {invoice.kind !== 'installment' && (
+                      <span className="ml-2 text-xs text-amber-300">{INVOICE_KIND_LABELS[invoice.kind]}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatDate(invoice.dueDate)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">${invoice.amount.toLocaleString()}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">${invoice.paid.toLocaleString()}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">${invoice.balance.toLocaleString()}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    {fee ? (
+                      <span className="text-amber-300" title={`Charged ${formatDate(fee.date)} on $${fee.missedAmount.toLocaleString()} unpaid`}>
+                        ${fee.amount.toLocaleString()}
+                      </span>
+                    ) : (
+                      <span className="text-gray-500">-</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_BADGES[invoice.status]}`}>
+                      {INVOICE_STATUS_LABELS[invoice.status]}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <button
+                      onClick={() => downloadFile(`${invoice.id}.pdf`, invoicePdf(lease, invoice.id, store, today))}
+                      className="text-sm text-emerald-300 hover:text-emerald-200"
+                    >
+                      PDF
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceSchedule;
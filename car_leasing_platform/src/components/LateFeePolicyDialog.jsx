@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import {
+  LATE_FEE_TYPES, DEFAULT_LATE_FEE_POLICY, policyOn, describePolicy,
+} from '../domain/lateFees';
+import { formatDate, localDateString } from '../domain/dates';
+import Modal from './Modal';
+import { emeraldInputClass } from './formStyles';
+
+// Change the late-fee policy. Policies are never edited in place: saving adds
+// a new one from its effective date, so fees on earlier invoices don't change.
+const LateFeePolicyDialog = ({ policies, onSave, onClose }) => {
+  const today = localDateString();
+  const current = policyOn(policies, today);
+  const [form, setForm] = useState(() => {
+    const base = current || DEFAULT_LATE_FEE_POLICY;
+    return {
+      effectiveFrom: today,
+      graceDays: base.graceDays,
+      feeType: base.feeType,
+      feeAmount: base.feeAmount,
+      feeCap: base.feeCap ?? '',
+      dailyInterestRate: base.dailyInterestRate,
+    };
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      effectiveFrom: form.effectiveFrom,
+      graceDays: Number(form.graceDays),
+      feeType: form.feeType,
+      feeAmount: Number(form.feeAmount),
+      feeCap: form.feeCap === '' ? null : Number(form.feeCap),
+      dailyInterestRate: Number(form.dailyInterestRate),
+    });
+    if (!saved) setIsSaving(false);
+  };
+
+  const history = policies.slice().sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+  return (
+    <Modal title="Late Fee Policy" onClose={onClose}>
+      <p className="text-gray-300 text-sm mb-4">
+        Current: {current ? describePolicy(current) : 'no late fees'}
+      </p>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Grace Period (days)</label>
+            <input
+              type="number"
+              value={form.graceDays}
+              onChange={e => setForm({ ...form, graceDays: e.target.value })}
+              className={emeraldInputClass}
+              min="0"
+              max="60"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Fee Type</label>
+            <select
+              value={form.feeType}
+              onChange={e => setForm({ ...form, feeType: e.target.value })}
+              className={emeraldInputClass}
+            >
+              {Object.entries(LATE_FEE_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">
+              {form.feeType === 'percent' ? 'Fee (%)' : 'Fee ($)'}
+            </label>
+            <input
+              type="number"
+              value={form.feeAmount}
+              onChange={e => setForm({ ...form, feeAmount: e.target.value })}
+              className={emeraldInputClass}
+              min="0"
+              max={form.feeType === 'percent' ? 100 : undefined}
+              step="0.01"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Fee Cap ($, optional)</label>
+            <input
+              type="number"
+              value={form.feeCap}
+              onChange={e => setForm({ ...form, feeCap: e.target.value })}
+              className={emeraldInputClass}
+              min="0"
+              step="0.01"
+              placeholder="No cap"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Daily Interest (%)</label>
+            <input
+              type="number"
+              value={form.dailyInterestRate}
+              onChange={e => setForm({ ...form, dailyInterestRate: e.target.value })}
+              className={emeraldInputClass}
+              min="0"
+              max="1"
+              step="0.001"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Applies to Invoices Due From</label>
+            <input
+              type="date"
+              value={form.effectiveFrom}
+              onChange={e => setForm({ ...form, effectiveFrom: e.target.value })}
+              className={emeraldInputClass}
+              required
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-gradient-to-r from-emerald-600 to-teal-600 text-white font-medium rounded-lg shadow-md hover:from-emerald-700 hover:to-teal-700 disabled:opacity-50"
+          >
+            Save Policy
+          </button>
+        </div>
+      </form>
+
+      {history.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-gray-300 mb-2">Policy History</h4>
+          <ul className="space-y-1 text-sm text-gray-400">
+            {history.map(policy => (
+              <li key={policy.id}>
+                From {formatDate(policy.effectiveFrom)}: {describePolicy(policy)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default LateFeePolicyDialog;
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { describeError } from '../data/client';
+import { endLease } from '../data/leaseActions';
+import { LEASE_STATUS_BADGES, LEASE_STATUS_LABELS } from '../domain/leases';
+import { excessMileageFor, handoverReading } from '../domain/mileage';
+import { formatDate, localDateString } from '../domain/dates';
+import Modal from './Modal';
+import InvoiceSchedule from './InvoiceSchedule';
+import LesseeLink from './LesseeLink';
+import Link from './Link';
+import { filterInputClass, inputClass, thClass } from './formStyles';
+
+// `readings` are the odometer readings on record, to preview the excess-mileage charge
+const EndLeaseDialog = ({
+  lease, vehicleLabel, readings, onConfirm, onClose,
+}) => {
+  const [endedOn, setEndedOn] = useState(() => {
+    const today = localDateString();
+    return today < lease.endDate ? today : lease.endDate;
+  });
+  const [odometer, setOdometer] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const isEarly = endedOn < lease.endDate;
+  const hasHandover = Boolean(handoverReading(readings, lease));
+  const excess = odometer === '' ? null : excessMileageFor(lease, Number(odometer), endedOn, readings);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    if (!(await onConfirm(endedOn, Number(odometer)))) setIsSaving(false);
+  };
+
+  return (
+    <Modal title={`End lease ${lease.id}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-gray-300">
+          {vehicleLabel} will be returned and become available for a new lease.
+        </p>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Return Date</label>
+          <input
+            type="date"
+            value={endedOn}
+            min={lease.startDate}
+            onChange={e => setEndedOn(e.target.value)}
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Odometer at Return (miles)</label>
+          <input
+            type="number"
+            value={odometer}
+            min="0"
+            step="1"
+            onChange={e => setOdometer(e.target.value)}
+            className={inputClass}
+            required
+          />
+        </div>
+        {!hasHandover && (
+          <p className="text-gray-400 text-sm">
+            There is no handover reading for this lease, so excess mileage can't be charged.
+          </p>
+        )}
+        {excess && (
+          <p className={`text-sm ${excess.miles > 0 ? 'text-amber-300' : 'text-gray-400'}`}>
+            {excess.miles > 0
+              ? `${excess.miles.toLocaleString()} miles over the allowance will be billed at $${lease.excessMileageRate}/mile: $${excess.amount.toLocaleString()}.`
+              : 'Within the mileage allowance, nothing extra to bill.'}
+          </p>
+        )}
+        {isEarly && (
+          <p className="text-amber-300 text-sm">
+            This is before the scheduled end date ({formatDate(lease.endDate)}),
+            so the lease will be recorded as terminated early.
+          </p>
+        )}
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-gradient-to-r from-rose-600 to-red-600 text-white font-medium rounded-lg shadow-md hover:from-rose-700 hover:to-red-700 disabled:opacity-50"
+          >
+            {isEarly ? 'Terminate Early' : 'End Lease'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const LeaseList = ({ store }) => {
+  const { leases, lessees, vehicles, odometerReadings } = store;
+  const [endingLease, setEndingLease] = useState(null);
+  const [scheduleLease, setScheduleLease] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('active');
+
+  const vehicleLabel = (vehicleId) => {
+    const vehicle = vehicles.find(v => v.id === vehicleId);
+    return vehicle ? `${vehicle.make} ${vehicle.model} (${vehicle.id})` : vehicleId;
+  };
+
+  const visibleLeases = leases
+    .filter(lease => !statusFilter || lease.status === statusFilter)
+    .slice()
+    .sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+  const handleEndLease = async (endedOn, odometer) => {
+    try {
+      const { status, excessMileage } = await endLease(store, endingLease, endedOn, odometer);
+      const charge = excessMileage && excessMileage.amount > 0
+        ? ` Excess mileage of $${excessMileage.amount.toLocaleString()} has been billed.`
+        : '';
+      alert(`Lease ${endingLease.id} ${status === 'terminated' ? 'terminated early' : 'ended'}.${charge}`);
+    } catch (err) {
+      alert(`Could not end lease. ${describeError(err)}`);
+      return false;
+    }
+    setEndingLease(null);
+    return true;
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30"
+    >
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold">Lease Contracts</h2>
+        <select
+          value={statusFilter}
+          onChange={e => setStatusFilter(e.target.value)}
+          className={filterInputClass}
+        >
+          <option value="">All Leases</option>
+          {Object.entries(LEASE_STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+          <thead className="bg-gray-700/50">
+            <tr>
+              <th className={thClass}>Lease ID</th>
+              <th className={thClass}>Lessee</th>
+              <th className={thClass}>Vehicle</th>
+              <th className={thClass}>Term</th>
+              <th className={thClass}>Monthly Rate</th>
+              <th className={thClass}>Deposit</th>
+              <th className={thClass}>Start</th>
+              <th className={thClass}>End</th>
+              <th className={thClass}>Status</th>
+              <th className={thClass}>Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {visibleLeases.map(lease => {
+              const lessee = lessees.find(l => l.id === lease.lesseeId);
+              return (
+                <tr key={lease.id} className="hover:bg-gray-700/30">
+                  <td className="px-4 py-3 whitespace-nowrap">{lease.id}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <LesseeLink lessee={lessee} fallback={lease.lesseeId} />
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <Link to={`/vehicles/${encodeURIComponent(lease.vehicleId)}`} className="hover:text-indigo-300">
+                      {vehicleLabel(lease.vehicleId)}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">{lease.termMonths} months</td>
+                  <td className="px-4 py-3 whitespace-nowrap">${lease.monthlyRate.toLocaleString()}/month</td>
+                  <td className="px-4 py-3 whitespace-nowrap">${lease.deposit.toLocaleString()}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatDate(lease.startDate)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    {formatDate(lease.endedOn || lease.endDate)}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LEASE_STATUS_BADGES[lease.status]}`}>
+                      {LEASE_STATUS_LABELS[lease.status]}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <button
+                      onClick={() => setScheduleLease(lease)}
+                      className="text-indigo-400 hover:text-indigo-300 text-sm font-medium mr-3"
+                    >
+                      Invoices
+                    </button>
+                    {lease.status === 'active' && (
+                      <button
+                        onClick={() => setEndingLease(lease)}
+                        className="text-rose-400 hover:text-rose-300 text-sm font-medium"
+                      >
+                        End Lease
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+            {visibleLeases.length === 0 && (
+              <tr>
+                <td colSpan={10} className="px-4 py-6 text-center text-gray-400">No leases to show.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {scheduleLease && (
+        <Modal
+          title={`Invoices for ${scheduleLease.id} - ${vehicleLabel(scheduleLease.vehicleId)}`}
+          onClose={() => setScheduleLease(null)}
+          wide
+        >
+          <InvoiceSchedule lease={scheduleLease} store={store} />
+        </Modal>
+      )}
+
+      {endingLease && (
+        <EndLeaseDialog
+          lease={endingLease}
+          vehicleLabel={vehicleLabel(endingLease.vehicleId)}
+          readings={odometerReadings}
+          onConfirm={handleEndLease}
+          onClose={() => setEndingLease(null)}
+        />
+      )}
+    </motion.div>
+  );
+};
+
+export default LeaseList;
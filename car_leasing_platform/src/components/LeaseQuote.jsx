@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { localDateString } from '../domain/dates';
+import { bookValueOn } from '../domain/depreciation';
+import {
+  DEFAULT_QUOTE_INPUTS, DEFAULT_QUOTE_TERMS, aprToMoneyFactor, compareQuotes, moneyFactorToApr, quoteErrors,
+} from '../domain/quotes';
+import { inputClass, thClass } from './formStyles';
+
+const money = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Comparison rows, top to bottom
+const COMPARISON_ROWS = [
+  { key: 'monthlyPayment', label: 'Monthly payment', emphasis: true },
+  { key: 'depreciationFee', label: 'Depreciation' },
+  { key: 'financeFee', label: 'Rent charge' },
+  { key: 'tax', label: 'Tax' },
+  { key: 'residualValue', label: 'Residual value' },
+  { key: 'totalPayments', label: 'Total of payments' },
+  { key: 'totalCost', label: 'Total cost incl. down payment' },
+];
+
+// Price a lease on several terms side by side. `vehicles` are the vehicles a
+// quote can be for; choosing one fills in its book value as the price.
+// `onAccept({ vehicleId, termMonths, monthlyPayment, downPayment })` takes the
+// chosen quote to the register form.
+const LeaseQuote = ({ vehicles, termOptions, onAccept }) => {
+  const [form, setForm] = useState({ vehicleId: '', ...DEFAULT_QUOTE_INPUTS, rateMode: 'moneyFactor' });
+  const [terms, setTerms] = useState(DEFAULT_QUOTE_TERMS);
+  const [breakdownTerm, setBreakdownTerm] = useState(null);
+
+  const inputs = {
+    price: Number(form.price),
+    downPayment: Number(form.downPayment),
+    residualPercent: Number(form.residualPercent),
+    moneyFactor: form.rateMode === 'apr' ? aprToMoneyFactor(Number(form.moneyFactor)) : Number(form.moneyFactor),
+    taxRate: Number(form.taxRate),
+  };
+  const errors = form.price === '' ? [] : quoteErrors(inputs);
+  const quotes = form.price === '' || errors.length > 0 ? [] : compareQuotes(inputs, terms);
+  const breakdown = quotes.find(q => q.termMonths === breakdownTerm) || quotes[0];
+
+  const handleVehicle = (vehicleId) => {
+    const vehicle = vehicles.find(v => v.id === vehicleId);
+    const bookValue = vehicle ? bookValueOn(vehicle, localDateString()) : null;
+    setForm({ ...form, vehicleId, price: bookValue ?? form.price });
+  };
+
+  // Switching between money factor and APR converts the rate already entered
+  const handleRateMode = (rateMode) => {
+    if (rateMode === form.rateMode) return;
+    const rate = Number(form.moneyFactor);
+    const converted = rateMode === 'apr' ? moneyFactorToApr(rate) : aprToMoneyFactor(rate);
+    setForm({ ...form, rateMode, moneyFactor: Number(converted.toFixed(rateMode === 'apr' ? 2 : 5)) });
+  };
+
+  const toggleTerm = (termMonths) => {
+    setTerms(terms.includes(termMonths) ? terms.filter(t => t !== termMonths) : [...terms, termMonths]);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="space-y-8"
+    >
+      <div className="max-w-3xl mx-auto bg-gradient-to-br from-indigo-600/10 to-indigo-800/10 backdrop-blur-sm p-8 rounded-xl shadow-xl border border-indigo-500/30">
+        <h2 className="text-2xl font-bold mb-6">Lease Quote</h2>
+        <div className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Vehicle</label>
+            <select value={form.vehicleId} onChange={e => handleVehicle(e.target.value)} className={inputClass}>
+              <option value="">No vehicle selected</option>
+              {vehicles.map(vehicle => (
+                <option key={vehicle.id} value={vehicle.id}>
+                  {vehicle.make} {vehicle.model} ({vehicle.year}) - {vehicle.id}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Vehicle Price ($)</label>
+              <input
+                type="number"
+                value={form.price}
+                onChange={e => setForm({ ...form, price: e.target.value })}
+                className={inputClass}
+                min="1"
+                placeholder="Enter price"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Down Payment ($)</label>
+              <input
+                type="number"
+                value={form.downPayment}
+                onChange={e => setForm({ ...form, downPayment: e.target.value })}
+                className={inputClass}
+                min="0"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Residual (% of price)</label>
+              <input
+                type="number"
+                value={form.residualPercent}
+                onChange={e => setForm({ ...form, residualPercent: e.target.value })}
+                className={inputClass}
+                min="0"
+                max="100"
+                step="0.5"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Tax Rate (%)</label>
+              <input
+                type="number"
+                value={form.taxRate}
+                onChange={e => setForm({ ...form, taxRate: e.target.value })}
+                className={inputClass}
+                min="0"
+                step="0.01"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Rate As</label>
+              <select value={form.rateMode} onChange={e => handleRateMode(e.target.value)} className={inputClass}>
+                <option value="moneyFactor">Money factor</option>
+                <option value="apr">APR (%)</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">
+                {form.rateMode === 'apr' ? 'APR (%)' : 'Money Factor'}
+              </label>
+              <input
+                type="number"
+                value={form.moneyFactor}
+                onChange={e => setForm({ ...form, moneyFactor: e.target.value })}
+                className={inputClass}
+                min="0"
+                step={form.rateMode === 'apr' ? '0.01' : '0.00001'}
+              />
+              <p className="mt-1 text-xs text-gray-400">
+                {form.rateMode === 'apr'
+                  ? `Money factor ${inputs.moneyFactor.toFixed(5)}`
+                  : `APR ${moneyFactorToApr(inputs.moneyFactor).toFixed(2)}%`}
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-300 mb-2">Compare Terms</span>
+            <div className="flex flex-wrap gap-4">
+              {termOptions.map(months => (
+                <label key={months} className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={terms.includes(months)}
+                    onChange={() => toggleTerm(months)}
+                    className="rounded"
+                  />
+                  <span>{months} months</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {errors.length > 0 && (
+            <ul className="text-sm text-rose-300 list-disc list-inside">
+              {errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {quotes.length > 0 && (
+        <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+          <h3 className="text-xl font-semibold mb-4">Comparison</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+              <thead className="bg-gray-700/50">
+                <tr>
+                  <th className={thClass}>Term</th>
+                  {quotes.map(quote => (
+                    <th key={quote.termMonths} className={thClass}>{quote.termMonths} months</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {COMPARISON_ROWS.map(row => (
+                  <tr key={row.key} className="hover:bg-gray-700/30">
+                    <td className="px-4 py-3 whitespace-nowrap text-gray-300">{row.label}</td>
+                    {quotes.map(quote => (
+                      <td
+                        key={quote.termMonths}
+                        className={`px-4 py-3 whitespace-nowrap ${row.emphasis ? 'text-lg font-bold text-indigo-300' : ''}`}
+                      >
+                        {money(quote[row.key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+                <tr>
+                  <td />
+                  {quotes.map(quote => (
+                    <td key={quote.termMonths} className="px-4 py-3 whitespace-nowrap space-x-3">
+                      <button
+                        onClick={() => setBreakdownTerm(quote.termMonths)}
+                        className="text-indigo-400 hover:text-indigo-300 text-sm font-medium"
+                      >
+                        Breakdown
+                      </button>
+                      <button
+                        onClick={() => onAccept({
+                          vehicleId: form.vehicleId,
+                          termMonths: quote.termMonths,
+                          monthlyPayment: quote.monthlyPayment,
+                          downPayment: inputs.downPayment,
+                        })}
+                        className="px-3 py-1 bg-gradient-to-r from-indigo-600 to-purple-600 text-white text-sm font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700"
+                      >
+                        Accept
+                      </button>
+                    </td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {breakdown && (
+        <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+          <h3 className="text-xl font-semibold mb-1">{breakdown.termMonths}-Month Breakdown</h3>
+          <p className="mb-4 text-sm text-gray-400">
+            Capitalized cost {money(breakdown.capitalizedCost)}, paid down to the residual value of
+            {' '}{money(breakdown.residualValue)} over the term.
+          </p>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+              <thead className="bg-gray-700/50">
+                <tr>
+                  <th className={thClass}>Month</th>
+                  <th className={thClass}>Opening Balance</th>
+                  <th className={thClass}>Depreciation</th>
+                  <th className={thClass}>Rent Charge</th>
+                  <th className={thClass}>Tax</th>
+                  <th className={thClass}>Payment</th>
+                  <th className={thClass}>Closing Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {breakdown.schedule.map(row => (
+                  <tr key={row.month} className="hover:bg-gray-700/30">
+                    <td className="px-4 py-3 whitespace-nowrap">{row.month}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.openingBalance)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.depreciation)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.financeCharge)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.tax)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.payment)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.closingBalance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default LeaseQuote;
@@ -0,0 +1,353 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { describeError } from '../data/client';
+import { LEASE_STATUS_BADGES, LEASE_STATUS_LABELS } from '../domain/leases';
+import { formatDate, localDateString } from '../domain/dates';
+import { AGING_BUCKETS, lesseeAging } from '../domain/aging';
+import { leaseLateFees } from '../domain/lateFees';
+import { netPaymentAmount } from '../domain/payments';
+import { accountStatement } from '../domain/statements';
+import Modal from './Modal';
+import InvoiceSchedule from './InvoiceSchedule';
+import StatementDialog from './StatementDialog';
+import Link from './Link';
+import NotFound from './NotFound';
+import { inputClass, thClass } from './formStyles';
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString()}`;
+
+const ContactFormDialog = ({ lessee, onSave, onClose }) => {
+  const [form, setForm] = useState({ name: lessee.name, email: lessee.email, phone: lessee.phone });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      name: form.name.trim(),
+      email: form.email.trim(),
+      phone: form.phone.trim(),
+    });
+    if (!saved) setIsSaving(false);
+  };
+
+  return (
+    <Modal title={`Edit ${lessee.id}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Full Name</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={e => setForm({ ...form, name: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Email</label>
+          <input
+            type="email"
+            value={form.email}
+            onChange={e => setForm({ ...form, email: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Phone</label>
+          <input
+            type="tel"
+            value={form.phone}
+            onChange={e => setForm({ ...form, phone: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50"
+          >
+            Save Changes
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+// Everything about one lessee: contact details, their leases and vehicles,
+// what they owe and their full account ledger
+const LesseeDetail = ({ store, lesseeId }) => {
+  const { lessees, leases, vehicles, payments, lateFeePolicies, update } = store;
+  const lessee = lessees.find(l => l.id === lesseeId);
+  const [isEditing, setIsEditing] = useState(false);
+  const [isPrintingStatement, setIsPrintingStatement] = useState(false);
+  const [scheduleLease, setScheduleLease] = useState(null);
+  const [notes, setNotes] = useState(lessee?.notes || '');
+  const [isSavingNotes, setIsSavingNotes] = useState(false);
+
+  if (!lessee) return <NotFound message={`There is no lessee ${lesseeId}.`} />;
+
+  const today = localDateString();
+  const lesseeLeases = leases
+    .filter(l => l.lesseeId === lessee.id)
+    .sort((a, b) => b.startDate.localeCompare(a.startDate));
+  const lesseePayments = payments.filter(p => p.lesseeId === lessee.id);
+  const aging = lesseeAging([lessee], leases, payments, lateFeePolicies, today)[0];
+  const overdueBreakdown = aging ? [
+    ...AGING_BUCKETS
+      .filter(bucket => aging.buckets[bucket.key] > 0)
+      .map(bucket => `${formatMoney(aging.buckets[bucket.key])} ${bucket.label}`),
+    ...(aging.fees > 0 ? [`${formatMoney(aging.fees)} late fees`] : []),
+  ] : [];
+  const ledger = accountStatement(lessee.id, store, '', today, today);
+  const totalPaid = lesseePayments.reduce((sum, p) => sum + netPaymentAmount(p), 0);
+
+  const vehicleLabel = (vehicleId) => {
+    const vehicle = vehicles.find(v => v.id === vehicleId);
+    return vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model} (${vehicle.id})` : `${vehicleId} (no longer on file)`;
+  };
+
+  // Overdue lease payments plus unpaid late fees on one lease
+  const leaseOverdue = (lease) => {
+    const { invoices, outstanding } = leaseLateFees(lease, payments, lateFeePolicies, today);
+    return invoices
+      .filter(invoice => invoice.status === 'overdue')
+      .reduce((sum, invoice) => sum + invoice.balance, outstanding);
+  };
+
+  const handleSaveContact = async (fields) => {
+    try {
+      await update('lessees', lessee.id, fields);
+    } catch (err) {
+      alert(`Could not save ${lessee.id}. ${describeError(err)}`);
+      return false;
+    }
+    setIsEditing(false);
+    return true;
+  };
+
+  const handleSaveNotes = async () => {
+    setIsSavingNotes(true);
+    try {
+      await update('lessees', lessee.id, { notes: notes.trim() });
+    } catch (err) {
+      alert(`Could not save notes. ${describeError(err)}`);
+    }
+    setIsSavingNotes(false);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="space-y-8"
+    >
+      <div className="bg-gradient-to-br from-indigo-600/20 to-purple-800/20 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-indigo-500/30">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-3xl font-bold">{lessee.name}</h2>
+            <p className="text-gray-400">{lessee.id} · Customer since {formatDate(lessee.startDate)}</p>
+            <p className="mt-3">{lessee.email}</p>
+            <p>{lessee.phone}</p>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={() => setIsPrintingStatement(true)}
+              className="px-4 py-2 rounded-lg text-indigo-200 border border-indigo-400/40 hover:bg-white/10"
+            >
+              Account statement
+            </button>
+            <button
+              onClick={() => setIsEditing(true)}
+              className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700"
+            >
+              Edit contact
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-gradient-to-br from-rose-600/20 to-rose-800/20 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-rose-500/30">
+          <h3 className="text-xl font-semibold text-rose-300 mb-2">Overdue</h3>
+          <p className="text-4xl font-bold">{formatMoney(aging ? aging.total : 0)}</p>
+          <p className="text-gray-400 text-sm mt-2">
+            {overdueBreakdown.length > 0 ? overdueBreakdown.join(', ') : 'Nothing past due'}
+          </p>
+        </div>
+        <div className="bg-gradient-to-br from-blue-600/20 to-blue-800/20 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-blue-500/30">
+          <h3 className="text-xl font-semibold text-blue-300 mb-2">Account Balance</h3>
+          <p className="text-4xl font-bold">{formatMoney(ledger.closingBalance)}</p>
+          <p className="text-gray-400 text-sm mt-2">
+            {ledger.closingBalance < 0 ? 'Credit held on the account' : 'Charged to date less payments'}
+          </p>
+        </div>
+        <div className="bg-gradient-to-br from-green-600/20 to-green-800/20 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-green-500/30">
+          <h3 className="text-xl font-semibold text-green-300 mb-2">Total Paid</h3>
+          <p className="text-4xl font-bold">{formatMoney(totalPaid)}</p>
+          <p className="text-gray-400 text-sm mt-2">
+            {lesseePayments.length} payment{lesseePayments.length === 1 ? '' : 's'}, net of refunds and reversals
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h3 className="text-xl font-semibold mb-4">Vehicles and Leases</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+            <thead className="bg-gray-700/50">
+              <tr>
+                <th className={thClass}>Lease ID</th>
+                <th className={thClass}>Vehicle</th>
+                <th className={thClass}>Term</th>
+                <th className={thClass}>Monthly Rate</th>
+                <th className={thClass}>Deposit</th>
+                <th className={thClass}>Mileage</th>
+                <th className={thClass}>Start</th>
+                <th className={thClass}>End</th>
+                <th className={thClass}>Status</th>
+                <th className={thClass}>Overdue</th>
+                <th className={thClass}></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {lesseeLeases.map(lease => {
+                const overdue = leaseOverdue(lease);
+                return (
+                  <tr key={lease.id} className="hover:bg-gray-700/30">
+                    <td className="px-4 py-3 whitespace-nowrap">{lease.id}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <Link to={`/vehicles/${encodeURIComponent(lease.vehicleId)}`} className="hover:text-indigo-300">
+                        {vehicleLabel(lease.vehicleId)}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">{lease.termMonths} months</td>
+                    <td className="px-4 py-3 whitespace-nowrap">${lease.monthlyRate.toLocaleString()}/month</td>
+                    <td className="px-4 py-3 whitespace-nowrap">${lease.deposit.toLocaleString()}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{lease.mileageAllowance.toLocaleString()} mi/year</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{formatDate(lease.startDate)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {formatDate(lease.endedOn || lease.endDate)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LEASE_STATUS_BADGES[lease.status]}`}>
+                        {LEASE_STATUS_LABELS[lease.status]}
+                      </span>
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap ${overdue > 0 ? 'text-rose-300' : 'text-gray-500'}`}>
+                      {formatMoney(overdue)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <button
+                        onClick={() => setScheduleLease(lease)}
+                        className="text-indigo-400 hover:text-indigo-300 text-sm font-medium"
+                      >
+                        Invoices
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {lesseeLeases.length === 0 && (
+                <tr>
+                  <td colSpan={11} className="px-4 py-6 text-center text-gray-400">No leases yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h3 className="text-xl font-semibold mb-4">Account Ledger</h3>
+        <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+          <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+            <thead className="bg-gray-700/50">
+              <tr>
+                <th className={thClass}>Date</th>
+                <th className={thClass}>Description</th>
+                <th className={`${thClass} text-right`}>Charges</th>
+                <th className={`${thClass} text-right`}>Payments</th>
+                <th className={`${thClass} text-right`}>Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {/* Newest first; each balance is the running total after that entry */}
+              {[...ledger.entries].reverse().map((entry, idx) => (
+                <tr key={idx} className="hover:bg-gray-700/30">
+                  <td className="px-4 py-3 whitespace-nowrap">{formatDate(entry.date)}</td>
+                  <td className="px-4 py-3">{entry.description}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right text-amber-300">
+                    {entry.charge ? formatMoney(entry.charge) : ''}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right text-green-300">
+                    {entry.payment ? formatMoney(entry.payment) : ''}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right">{formatMoney(entry.balance)}</td>
+                </tr>
+              ))}
+              {ledger.entries.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-6 text-center text-gray-400">No account activity yet.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h3 className="text-xl font-semibold mb-4">Notes</h3>
+        <textarea
+          value={notes}
+          onChange={e => setNotes(e.target.value)}
+          rows={4}
+          className={inputClass}
+          placeholder="Anything the team should know about this lessee"
+        />
+        <div className="flex justify-end mt-3">
+          <button
+            onClick={handleSaveNotes}
+            disabled={isSavingNotes || notes.trim() === (lessee.notes || '')}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50"
+          >
+            Save notes
+          </button>
+        </div>
+      </div>
+
+      {isEditing && (
+        <ContactFormDialog lessee={lessee} onSave={handleSaveContact} onClose={() => setIsEditing(false)} />
+      )}
+
+      {isPrintingStatement && (
+        <StatementDialog store={store} lesseeId={lessee.id} onClose={() => setIsPrintingStatement(false)} />
+      )}
+
+      {scheduleLease && (
+        <Modal
+          title={`Invoices for ${scheduleLease.id} - ${vehicleLabel(scheduleLease.vehicleId)}`}
+          onClose={() => setScheduleLease(null)}
+          wide
+        >
+          <InvoiceSchedule lease={scheduleLease} store={store} />
+        </Modal>
+      )}
+    </motion.div>
+  );
+};
+
+export default LesseeDetail;
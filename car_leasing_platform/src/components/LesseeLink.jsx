@@ -0,0 +1,18 @@
+import React from 'react';
+import Link from './Link';
+
+// A lessee's name linking to their profile, or `fallback` when the lessee is
+// no longer on file
+const LesseeLink = ({ lessee, fallback = 'Unknown', children }) => {
+  if (!lessee) return <>{fallback}</>;
+  return (
+    <Link
+      to={`/lessees/${encodeURIComponent(lessee.id)}`}
+      className="text-indigo-300 hover:text-indigo-200 underline-offset-2 hover:underline"
+    >
+      {children || lessee.name}
+    </Link>
+  );
+};
+
+export default LesseeLink;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { navigate } from '../hooks/useRoute';
+
+// An in-app link: a real href so it can be copied or opened in a new tab,
+// while plain clicks change the route without reloading the page
+const Link = ({ to, className, children }) => {
+  const handleClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} className={className}>
+      {children}
+    </a>
+  );
+};
+
+export default Link;
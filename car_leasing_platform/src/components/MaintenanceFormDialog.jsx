@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { localDateString } from '../domain/dates';
+import { MAINTENANCE_TYPE_LABELS } from '../domain/maintenance';
+import Modal from './Modal';
+import { inputClass } from './formStyles';
+
+// Record work done on a vehicle. `reminders` are its open service reminders,
+// one of which the work can complete; `odometer` is its last known reading.
+const MaintenanceFormDialog = ({ vehicle, reminders, odometer, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    date: localDateString(),
+    type: 'service',
+    vendor: '',
+    odometer: odometer ?? '',
+    cost: '',
+    notes: '',
+    reminderId: '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      vehicleId: vehicle.id,
+      date: form.date,
+      type: form.type,
+      vendor: form.vendor.trim(),
+      odometer: Number(form.odometer),
+      cost: Number(form.cost),
+      notes: form.notes.trim() || null,
+    }, reminders.find(r => r.id === form.reminderId) || null);
+    if (!saved) setIsSaving(false);
+  };
+
+  return (
+    <Modal title={`Maintenance for ${vehicle.id}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Date</label>
+            <input
+              type="date"
+              value={form.date}
+              onChange={e => setForm({ ...form, date: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Type</label>
+            <select
+              value={form.type}
+              onChange={e => setForm({ ...form, type: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(MAINTENANCE_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Odometer (miles)</label>
+            <input
+              type="number"
+              value={form.odometer}
+              onChange={e => setForm({ ...form, odometer: e.target.value })}
+              className={inputClass}
+              min="0"
+              step="1"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Cost ($)</label>
+            <input
+              type="number"
+              value={form.cost}
+              onChange={e => setForm({ ...form, cost: e.target.value })}
+              className={inputClass}
+              min="0"
+              step="0.01"
+              required
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Vendor</label>
+          <input
+            type="text"
+            value={form.vendor}
+            onChange={e => setForm({ ...form, vendor: e.target.value })}
+            className={inputClass}
+            required
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Notes</label>
+          <textarea
+            value={form.notes}
+            onChange={e => setForm({ ...form, notes: e.target.value })}
+            className={inputClass}
+            rows={2}
+          />
+        </div>
+
+        {reminders.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Completes reminder</label>
+            <select
+              value={form.reminderId}
+              onChange={e => setForm({ ...form, reminderId: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">None</option>
+              {reminders.map(reminder => (
+                <option key={reminder.id} value={reminder.id}>{reminder.description} ({reminder.id})</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50"
+          >
+            Save Record
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default MaintenanceFormDialog;
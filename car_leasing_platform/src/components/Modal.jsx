@@ -0,0 +1,29 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+
+const Modal = ({ title, onClose, children, wide = false }) => (
+  <div
+    className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4"
+    onClick={onClose}
+  >
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ duration: 0.2 }}
+      className={`w-full ${wide ? 'max-w-4xl' : 'max-w-lg'} max-h-[90vh] overflow-y-auto bg-gray-900 p-6 rounded-xl shadow-2xl border border-gray-600/50 text-white`}
+      onClick={e => e.stopPropagation()}
+      role="dialog"
+      aria-modal="true"
+    >
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold">{title}</h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Close">
+          ✕
+        </button>
+      </div>
+      {children}
+    </motion.div>
+  </div>
+);
+
+export default Modal;
@@ -0,0 +1,12 @@
+import React from 'react';
+import Link from './Link';
+
+const NotFound = ({ message = 'There is no page at this address.' }) => (
+  <div className="max-w-lg mx-auto text-center bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-10 rounded-xl shadow-xl border border-gray-500/30">
+    <h2 className="text-3xl font-bold mb-2">Not Found</h2>
+    <p className="text-gray-400 mb-6">{message}</p>
+    <Link to="/" className="text-indigo-300 hover:text-indigo-200">Back to the dashboard</Link>
+  </div>
+);
+
+export default NotFound;
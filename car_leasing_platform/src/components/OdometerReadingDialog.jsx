@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { localDateString } from '../domain/dates';
+import Modal from './Modal';
+import { inputClass } from './formStyles';
+
+// Record a periodic odometer reading. `leaseId` is the lease the vehicle is
+// currently on, if any, so the reading counts against its allowance.
+const OdometerReadingDialog = ({
+  vehicle, leaseId, odometer, onSave, onClose,
+}) => {
+  const [form, setForm] = useState({ date: localDateString(), odometer: odometer ?? '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      vehicleId: vehicle.id,
+      leaseId: leaseId || null,
+      kind: 'periodic',
+      date: form.date,
+      odometer: Number(form.odometer),
+    });
+    if (!saved) setIsSaving(false);
+  };
+
+  return (
+    <Modal title={`Odometer reading for ${vehicle.id}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Date</label>
+            <input
+              type="date"
+              value={form.date}
+              onChange={e => setForm({ ...form, date: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Odometer (miles)</label>
+            <input
+              type="number"
+              value={form.odometer}
+              onChange={e => setForm({ ...form, odometer: e.target.value })}
+              className={inputClass}
+              min="0"
+              step="1"
+              required
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50"
+          >
+            Save Reading
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default OdometerReadingDialog;
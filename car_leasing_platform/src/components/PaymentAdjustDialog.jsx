@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import {
+  ADJUSTMENT_LABELS, PAYMENT_STATE_LABELS, netPaymentAmount, paymentState,
+} from '../domain/payments';
+import { formatDate, localDateString } from '../domain/dates';
+import Modal from './Modal';
+import { emeraldInputClass } from './formStyles';
+
+const ACTIONS = {
+  refund: 'Refund',
+  correction: 'Correct amount',
+  reversal: 'Reverse',
+};
+
+const describeAdjustment = (adjustment) => {
+  if (adjustment.type === 'refund') return `$${adjustment.amount.toLocaleString()} refunded`;
+  if (adjustment.type === 'correction') return `was $${adjustment.previousAmount.toLocaleString()}`;
+  return 'payment voided';
+};
+
+// Reverse, refund or correct a payment. Adjustments are appended to the
+// payment rather than editing it, so earlier ones stay visible here.
+const PaymentAdjustDialog = ({ payment, onSave, onClose }) => {
+  const isReversed = paymentState(payment) === 'reversed';
+  const refundable = netPaymentAmount(payment);
+  const [form, setForm] = useState({
+    type: 'refund',
+    date: localDateString(),
+    amount: '',
+    reason: '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave(form.type, {
+      date: form.date,
+      amount: Number(form.amount),
+      reason: form.reason.trim(),
+    });
+    if (!saved) setIsSaving(false);
+  };
+
+  const adjustments = payment.adjustments || [];
+
+  return (
+    <Modal title={`Adjust ${payment.id}`} onClose={onClose}>
+      <p className="text-gray-300 text-sm mb-4">
+        ${payment.amount.toLocaleString()} paid {formatDate(payment.date)}
+        {' · '}{PAYMENT_STATE_LABELS[paymentState(payment)]}
+        {refundable !== payment.amount && ` · $${refundable.toLocaleString()} net`}
+      </p>
+
+      {adjustments.length > 0 && (
+        <ul className="mb-4 space-y-1 text-sm">
+          {adjustments.map((adjustment, idx) => (
+            <li key={idx} className="text-gray-400">
+              {formatDate(adjustment.date)} · {ADJUSTMENT_LABELS[adjustment.type]}:
+              {' '}{describeAdjustment(adjustment)} — {adjustment.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isReversed ? (
+        <p className="text-gray-400">This payment has been reversed and can no longer be adjusted.</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Adjustment</label>
+              <select
+                value={form.type}
+                onChange={e => setForm({ ...form, type: e.target.value })}
+                className={emeraldInputClass}
+              >
+                {Object.entries(ACTIONS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Date</label>
+              <input
+                type="date"
+                value={form.date}
+                onChange={e => setForm({ ...form, date: e.target.value })}
+                className={emeraldInputClass}
+                required
+              />
+            </div>
+            {form.type !== 'reversal' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-300 mb-1">
+                  {form.type === 'refund' ? 'Refund Amount ($)' : 'Correct Amount ($)'}
+                </label>
+                <input
+                  type="number"
+                  value={form.amount}
+                  onChange={e => setForm({ ...form, amount: e.target.value })}
+                  className={emeraldInputClass}
+                  min="0.01"
+                  max={form.type === 'refund' ? refundable : undefined}
+                  step="0.01"
+                  required
+                />
+              </div>
+            )}
+            <div className={form.type === 'reversal' ? 'col-span-2' : ''}>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Reason</label>
+              <input
+                type="text"
+                value={form.reason}
+                onChange={e => setForm({ ...form, reason: e.target.value })}
+                className={emeraldInputClass}
+                placeholder={form.type === 'reversal' ? 'e.g. cheque bounced' : ''}
+                required
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-2 pt-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-gradient-to-r from-emerald-600 to-teal-600 text-white font-medium rounded-lg shadow-md hover:from-emerald-700 hover:to-teal-700 disabled:opacity-50"
+            >
+              {ACTIONS[form.type]}
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+export default PaymentAdjustDialog;
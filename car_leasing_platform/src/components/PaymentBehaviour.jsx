@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { PAYMENT_STATUS_LABELS, PAYMENT_STATUSES, paymentBehaviourByLessee } from '../domain/paymentStatus';
+import { formatDate } from '../domain/dates';
+import LesseeLink from './LesseeLink';
+import { thClass } from './formStyles';
+
+const STATUS_BADGES = {
+  onTime: 'bg-green-100 text-green-800',
+  late: 'bg-amber-100 text-amber-800',
+  partial: 'bg-blue-100 text-blue-800',
+  missed: 'bg-red-100 text-red-800',
+};
+
+// Per-lessee payment behaviour plus the payments behind a selected status.
+// `selectedStatus` is shared with the dashboard pie so a slice click drills down here.
+const PaymentBehaviour = ({ entries, lessees, selectedStatus, onSelectStatus }) => {
+  const [selectedLesseeId, setSelectedLesseeId] = useState('');
+  const rows = paymentBehaviourByLessee(lessees, entries)
+    .sort((a, b) => a.onTimeRate - b.onTimeRate);
+
+  const lesseeName = (id) => lessees.find(l => l.id === id)?.name || id;
+
+  const drillDown = entries
+    .filter(e => e.status === selectedStatus && (!selectedLesseeId || e.lesseeId === selectedLesseeId))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  const select = (status, lesseeId = '') => {
+    onSelectStatus(status);
+    setSelectedLesseeId(lesseeId);
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+      <h3 className="text-xl font-semibold mb-4">Payment Behaviour by Lessee</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+          <thead className="bg-gray-700/50">
+            <tr>
+              <th className={thClass}>Lessee</th>
+              {PAYMENT_STATUSES.map(status => (
+                <th key={status} className={thClass}>{PAYMENT_STATUS_LABELS[status]}</th>
+              ))}
+              <th className={thClass}>On-Time Rate</th>
+              <th className={thClass}>Avg. Days Late</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {rows.map(({ lessee, counts, onTimeRate, averageDaysLate }) => (
+              <tr key={lessee.id} className="hover:bg-gray-700/30">
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <LesseeLink lessee={lessee} /> ({lessee.id})
+                </td>
+                {PAYMENT_STATUSES.map(status => (
+                  <td key={status} className="px-4 py-3 whitespace-nowrap">
+                    {counts[status] > 0 ? (
+                      <button
+                        onClick={() => select(status, lessee.id)}
+                        className="text-indigo-300 hover:text-indigo-200 underline-offset-2 hover:underline"
+                      >
+                        {counts[status]}
+                      </button>
+                    ) : (
+                      <span className="text-gray-500">0</span>
+                    )}
+                  </td>
+                ))}
+                <td className="px-4 py-3 whitespace-nowrap">{Math.round(onTimeRate * 100)}%</td>
+                <td className="px-4 py-3 whitespace-nowrap">{averageDaysLate > 0 ? `${averageDaysLate} days` : '-'}</td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={PAYMENT_STATUSES.length + 3} className="px-4 py-6 text-center text-gray-400">
+                  No payment history yet.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedStatus && (
+        <div className="mt-8">
+          <div className="flex justify-between items-center mb-4">
+            <h4 className="text-lg font-semibold">
+              {PAYMENT_STATUS_LABELS[selectedStatus]}
+              {selectedLesseeId && ` - ${lesseeName(selectedLesseeId)}`}
+              <span className="text-gray-400 font-normal"> ({drillDown.length})</span>
+            </h4>
+            <button
+              onClick={() => select('')}
+              className="text-sm text-gray-300 hover:text-white"
+            >
+              Clear
+            </button>
+          </div>
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+              <thead className="bg-gray-700/50">
+                <tr>
+                  <th className={thClass}>{selectedStatus === 'missed' ? 'Invoice' : 'Payment'}</th>
+                  <th className={thClass}>Lessee</th>
+                  <th className={thClass}>Lease</th>
+                  <th className={thClass}>Due Date</th>
+                  <th className={thClass}>{selectedStatus === 'missed' ? 'Amount Due' : 'Paid'}</th>
+                  <th className={thClass}>Days Late</th>
+                  <th className={thClass}>Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {drillDown.map(entry => (
+                  <tr key={entry.id} className="hover:bg-gray-700/30">
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.id}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <LesseeLink lessee={lessees.find(l => l.id === entry.lesseeId)} fallback={entry.lesseeId} />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.leaseId}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {entry.dueDate ? formatDate(entry.dueDate) : '-'}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      ${entry.amount.toLocaleString()}
+                      {entry.kind === 'payment' && (
+                        <span className="text-gray-400"> on {formatDate(entry.date)}</span>
+                      )}
+                      {entry.catchUp > 0 && (
+                        <span className="block text-xs text-amber-300">
+                          incl. ${entry.catchUp.toLocaleString()} towards earlier invoices or late fees
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">{entry.daysLate > 0 ? entry.daysLate : '-'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_BADGES[entry.status]}`}>
+                        {PAYMENT_STATUS_LABELS[entry.status]}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentBehaviour;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { addMonths, localDateString } from '../domain/dates';
+import Modal from './Modal';
+import { inputClass } from './formStyles';
+
+// Schedule a service for a vehicle, due on a date, at a mileage or both
+const ReminderFormDialog = ({ vehicle, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    description: '',
+    dueDate: addMonths(localDateString(), 6),
+    dueOdometer: '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const hasDue = form.dueDate !== '' || form.dueOdometer !== '';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      vehicleId: vehicle.id,
+      description: form.description.trim(),
+      dueDate: form.dueDate || null,
+      dueOdometer: form.dueOdometer === '' ? null : Number(form.dueOdometer),
+      completedOn: null,
+    });
+    if (!saved) setIsSaving(false);
+  };
+
+  return (
+    <Modal title={`Service reminder for ${vehicle.id}`} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Description</label>
+          <input
+            type="text"
+            value={form.description}
+            onChange={e => setForm({ ...form, description: e.target.value })}
+            className={inputClass}
+            placeholder="e.g. Annual inspection"
+            required
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Due date</label>
+            <input
+              type="date"
+              value={form.dueDate}
+              onChange={e => setForm({ ...form, dueDate: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Due at (miles)</label>
+            <input
+              type="number"
+              value={form.dueOdometer}
+              onChange={e => setForm({ ...form, dueOdometer: e.target.value })}
+              className={inputClass}
+              min="0"
+              step="1"
+            />
+          </div>
+        </div>
+        <p className="text-sm text-gray-400">Due at whichever comes first. Leave one empty to track only the other.</p>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving || !hasDue}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50"
+          >
+            Add Reminder
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReminderFormDialog;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { downloadFile } from '../data/download';
+import { statementPdf } from '../data/pdfDocuments';
+import { localDateString } from '../domain/dates';
+import Modal from './Modal';
+import { emeraldInputClass } from './formStyles';
+
+// Pick a lessee and date range and download their account statement as a PDF.
+// `store` is the object returned by useLeasingData.
+const StatementDialog = ({ store, lesseeId = '', onClose }) => {
+  const today = localDateString();
+  const [form, setForm] = useState({
+    lesseeId,
+    from: `${today.slice(0, 4)}-01-01`,
+    to: today,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    downloadFile(
+      `statement-${form.lesseeId}-${form.from}-to-${form.to}.pdf`,
+      statementPdf(form.lesseeId, form.from, form.to, store, today),
+    );
+    onClose();
+  };
+
+  return (
+    <Modal title="Account Statement" onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-1">Lessee</label>
+          <select
+            value={form.lesseeId}
+            onChange={e => setForm({ ...form, lesseeId: e.target.value })}
+            className={emeraldInputClass}
+            required
+          >
+            <option value="">Select a lessee</option>
+            {store.lessees.map(lessee => (
+              <option key={lessee.id} value={lessee.id}>{lessee.name} ({lessee.id})</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">From</label>
+            <input
+              type="date"
+              value={form.from}
+              onChange={e => setForm({ ...form, from: e.target.value })}
+              className={emeraldInputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">To</label>
+            <input
+              type="date"
+              value={form.to}
+              onChange={e => setForm({ ...form, to: e.target.value })}
+              className={emeraldInputClass}
+              min={form.from}
+              required
+            />
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-gradient-to-r from-emerald-600 to-teal-600 text-white font-medium rounded-lg shadow-md hover:from-emerald-700 hover:to-teal-700"
+          >
+            Download PDF
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default StatementDialog;
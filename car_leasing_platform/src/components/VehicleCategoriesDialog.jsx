@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { describeError } from '../data/client';
+import { addCategory, moveCategory } from '../data/categoryActions';
+import {
+  BODY_TYPE_LABELS, UNCATEGORIZED, describeRules, groupByCategory,
+} from '../domain/categories';
+import Modal from './Modal';
+import { inputClass } from './formStyles';
+
+const EMPTY_CATEGORY = {
+  name: '', color: '#10b981', minLeaseAmount: '', maxLeaseAmount: '', bodyTypes: [], makes: '',
+};
+
+const toForm = (category) => ({
+  name: category.name,
+  color: category.color,
+  minLeaseAmount: category.minLeaseAmount ?? '',
+  maxLeaseAmount: category.maxLeaseAmount ?? '',
+  bodyTypes: category.bodyTypes,
+  makes: category.makes.join(', '),
+});
+
+const optionalNumber = (value) => (value === '' ? null : Number(value));
+
+// Edit the vehicle categories used by the dashboard chart and the fleet
+// summary. A vehicle falls in the first category whose rules it meets, so
+// the order of the list matters. `store` is the object returned by useLeasingData.
+const VehicleCategoriesDialog = ({ store, onClose }) => {
+  const { vehicles, vehicleCategories, update, remove } = store;
+  // { category, form } while adding or editing; category is null when adding
+  const [editing, setEditing] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const groups = groupByCategory(vehicleCategories, vehicles);
+  const uncategorized = groups.find(group => group.category === UNCATEGORIZED);
+  const ordered = groups.filter(group => group.category !== UNCATEGORIZED);
+  const makes = [...new Set(vehicles.map(v => v.make))].sort();
+  const form = editing?.form;
+  const setForm = (changes) => setEditing({ ...editing, form: { ...form, ...changes } });
+
+  const toggleBodyType = (type) => setForm({
+    bodyTypes: form.bodyTypes.includes(type) ? form.bodyTypes.filter(t => t !== type) : [...form.bodyTypes, type],
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const fields = {
+      name: form.name.trim(),
+      color: form.color,
+      minLeaseAmount: optionalNumber(form.minLeaseAmount),
+      maxLeaseAmount: optionalNumber(form.maxLeaseAmount),
+      bodyTypes: form.bodyTypes,
+      makes: form.makes.split(',').map(make => make.trim()).filter(Boolean),
+    };
+    setIsSaving(true);
+    try {
+      if (editing.category) {
+        await update('vehicleCategories', editing.category.id, fields);
+      } else {
+        await addCategory(store, fields);
+      }
+      setEditing(null);
+    } catch (err) {
+      alert(`Could not save the category. ${describeError(err)}`);
+    }
+    setIsSaving(false);
+  };
+
+  const handleMove = async (category, offset) => {
+    try {
+      await moveCategory(store, category, offset);
+    } catch (err) {
+      alert(`Could not reorder the categories. ${describeError(err)}`);
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!confirm(`Delete the ${category.name} category? Its vehicles will fall into the next category that matches them.`)) {
+      return;
+    }
+    try {
+      await remove('vehicleCategories', category.id);
+      if (editing?.category?.id === category.id) setEditing(null);
+    } catch (err) {
+      alert(`Could not delete the category. ${describeError(err)}`);
+    }
+  };
+
+  return (
+    <Modal title="Vehicle Categories" onClose={onClose} wide>
+      <p className="text-gray-300 text-sm mb-4">
+        Each vehicle is counted in the first category whose rules it meets. Leave a rule empty to match any vehicle.
+      </p>
+      <ul className="divide-y divide-gray-700 mb-4">
+        {ordered.map(({ category, vehicles: members }, idx) => (
+          <li key={category.id} className="py-2 flex items-center justify-between">
+            <div className="flex items-center">
+              <span className="inline-block w-4 h-4 rounded-full mr-3" style={{ backgroundColor: category.color }} />
+              <div>
+                <p className="font-medium">
+                  {category.name}
+                  <span className="ml-2 text-sm text-gray-400">
+                    {members.length} vehicle{members.length === 1 ? '' : 's'}
+                  </span>
+                </p>
+                <p className="text-sm text-gray-400">{describeRules(category)}</p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3 text-sm">
+              <button
+                onClick={() => handleMove(category, -1)}
+                disabled={idx === 0}
+                className="text-gray-300 hover:text-white disabled:opacity-30"
+                title="Match earlier"
+              >
+                ▲
+              </button>
+              <button
+                onClick={() => handleMove(category, 1)}
+                disabled={idx === ordered.length - 1}
+                className="text-gray-300 hover:text-white disabled:opacity-30"
+                title="Match later"
+              >
+                ▼
+              </button>
+              <button
+                onClick={() => setEditing({ category, form: toForm(category) })}
+                className="text-indigo-400 hover:text-indigo-300 font-medium"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => handleDelete(category)}
+                className="text-rose-400 hover:text-rose-300 font-medium"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+        {ordered.length === 0 && <li className="py-2 text-gray-400">No categories defined.</li>}
+        {uncategorized && (
+          <li className="py-2 text-sm text-amber-300">
+            {uncategorized.vehicles.length} vehicle{uncategorized.vehicles.length === 1 ? ' matches' : 's match'} no category
+          </li>
+        )}
+      </ul>
+
+      {editing ? (
+        <form onSubmit={handleSubmit} className="space-y-4 border-t border-gray-700 pt-4">
+          <h4 className="text-sm font-semibold text-gray-300">
+            {editing.category ? `Edit ${editing.category.name}` : 'New Category'}
+          </h4>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={e => setForm({ name: e.target.value })}
+                className={inputClass}
+                placeholder="e.g. EV"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Colour</label>
+              <input
+                type="color"
+                value={form.color}
+                onChange={e => setForm({ color: e.target.value })}
+                className="w-full h-10 rounded-lg bg-gray-800/60 border border-gray-700"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Lease From ($/month)</label>
+              <input
+                type="number"
+                value={form.minLeaseAmount}
+                onChange={e => setForm({ minLeaseAmount: e.target.value })}
+                className={inputClass}
+                min="0"
+                placeholder="No minimum"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Lease Under ($/month)</label>
+              <input
+                type="number"
+                value={form.maxLeaseAmount}
+                onChange={e => setForm({ maxLeaseAmount: e.target.value })}
+                className={inputClass}
+                min="0"
+                placeholder="No maximum"
+              />
+            </div>
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-gray-300 mb-2">Body Types</span>
+            <div className="flex flex-wrap gap-4">
+              {Object.entries(BODY_TYPE_LABELS).map(([type, label]) => (
+                <label key={type} className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.bodyTypes.includes(type)}
+                    onChange={() => toggleBodyType(type)}
+                    className="rounded"
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Makes (comma-separated)</label>
+            <input
+              type="text"
+              value={form.makes}
+              onChange={e => setForm({ makes: e.target.value })}
+              className={inputClass}
+              placeholder={makes.slice(0, 3).join(', ') || 'Any make'}
+            />
+          </div>
+          <div className="flex justify-end space-x-2 pt-2">
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50"
+            >
+              {editing.category ? 'Save Category' : 'Add Category'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex justify-end">
+          <button
+            onClick={() => setEditing({ category: null, form: EMPTY_CATEGORY })}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700"
+          >
+            Add Category
+          </button>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default VehicleCategoriesDialog;
@@ -0,0 +1,522 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { describeError } from '../data/client';
+import { recordMaintenance, setServiceStatus } from '../data/maintenanceActions';
+import { formatDate, localDateString } from '../domain/dates';
+import { DEPRECIATION_METHOD_LABELS, depreciationSchedule, hasAcquisition } from '../domain/depreciation';
+import { LEASE_STATUS_BADGES, LEASE_STATUS_LABELS, activeLeaseForVehicle } from '../domain/leases';
+import {
+  MAINTENANCE_TYPE_LABELS, REMINDER_STATUS_LABELS, describeDue, latestOdometer, maintenanceFor, remindersWithStatus,
+} from '../domain/maintenance';
+import { ODOMETER_READING_KIND_LABELS, leaseMileage } from '../domain/mileage';
+import { vehicleProfitability } from '../domain/profitability';
+import { SERVICE_STATUS_LABELS } from '../domain/vehicles';
+import { BODY_TYPE_LABELS, categoryFor } from '../domain/categories';
+import Modal from './Modal';
+import InvoiceSchedule from './InvoiceSchedule';
+import VehicleFormDialog from './VehicleFormDialog';
+import MaintenanceFormDialog from './MaintenanceFormDialog';
+import ReminderFormDialog from './ReminderFormDialog';
+import OdometerReadingDialog from './OdometerReadingDialog';
+import VehicleStatusBadge from './VehicleStatusBadge';
+import LesseeLink from './LesseeLink';
+import NotFound from './NotFound';
+import { thClass } from './formStyles';
+
+const money = (amount) => (amount === null ? '-' : `$${amount.toLocaleString()}`);
+
+const EVENT_LABELS = {
+  added: 'Added to fleet',
+  leased: 'Leased',
+  returned: 'Returned',
+  removed: 'Removed from fleet',
+  outOfService: 'Taken out of service',
+  backInService: 'Back in service',
+};
+
+const REMINDER_BADGES = {
+  overdue: 'bg-red-100 text-red-800',
+  dueSoon: 'bg-amber-100 text-amber-800',
+  upcoming: 'bg-blue-100 text-blue-800',
+  done: 'bg-gray-200 text-gray-800',
+};
+
+// One vehicle with everyone who has leased it, its lease/return history,
+// mileage and maintenance record
+const VehicleDetail = ({ store, vehicleId }) => {
+  const {
+    vehicles, lessees, leases, vehicleEvents, maintenance, serviceReminders, odometerReadings, vehicleCategories,
+    create, update,
+  } = store;
+  const vehicle = vehicles.find(v => v.id === vehicleId);
+  const [isEditing, setIsEditing] = useState(false);
+  const [scheduleLease, setScheduleLease] = useState(null);
+  const [isRecordingMaintenance, setIsRecordingMaintenance] = useState(false);
+  const [isAddingReminder, setIsAddingReminder] = useState(false);
+  const [isRecordingReading, setIsRecordingReading] = useState(false);
+
+  if (!vehicle) return <NotFound message={`There is no vehicle ${vehicleId} in the fleet.`} />;
+
+  const lesseeOf = (id) => lessees.find(l => l.id === id);
+  const category = categoryFor(vehicleCategories, vehicle);
+  const activeLease = activeLeaseForVehicle(leases, vehicle.id);
+  const vehicleLeases = leases
+    .filter(l => l.vehicleId === vehicle.id)
+    .sort((a, b) => b.startDate.localeCompare(a.startDate));
+  const events = vehicleEvents
+    .filter(e => e.vehicleId === vehicle.id)
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const records = maintenanceFor(maintenance, vehicle.id);
+  const readings = [...odometerReadings, ...maintenance];
+  const odometer = latestOdometer(readings, vehicle.id);
+  const vehicleReadings = odometerReadings
+    .filter(r => r.vehicleId === vehicle.id)
+    .sort((a, b) => b.date.localeCompare(a.date) || b.odometer - a.odometer);
+  const mileage = activeLease && leaseMileage(activeLease, readings);
+  const today = localDateString();
+  const reminders = remindersWithStatus(
+    serviceReminders.filter(r => r.vehicleId === vehicle.id),
+    readings,
+    today,
+  );
+  const profitability = vehicleProfitability(vehicle, store, today);
+  const schedule = depreciationSchedule(vehicle);
+  const openReminders = reminders.filter(({ status }) => status !== 'done').map(({ reminder }) => reminder);
+
+  const handleSave = async (fields) => {
+    try {
+      await update('vehicles', vehicle.id, fields);
+    } catch (err) {
+      alert(`Could not save vehicle. ${describeError(err)}`);
+      return false;
+    }
+    setIsEditing(false);
+    return true;
+  };
+
+  const handleServiceStatus = async (serviceStatus) => {
+    try {
+      await setServiceStatus(store, vehicle, serviceStatus, today);
+    } catch (err) {
+      alert(`Could not change the service status. ${describeError(err)}`);
+    }
+  };
+
+  const handleSaveMaintenance = async (fields, reminder) => {
+    try {
+      await recordMaintenance(store, fields, reminder);
+    } catch (err) {
+      alert(`Could not save maintenance record. ${describeError(err)}`);
+      return false;
+    }
+    setIsRecordingMaintenance(false);
+    return true;
+  };
+
+  const handleSaveReminder = async (fields) => {
+    try {
+      await create('serviceReminders', fields);
+    } catch (err) {
+      alert(`Could not save reminder. ${describeError(err)}`);
+      return false;
+    }
+    setIsAddingReminder(false);
+    return true;
+  };
+
+  const handleSaveReading = async (fields) => {
+    try {
+      await create('odometerReadings', fields);
+    } catch (err) {
+      alert(`Could not save odometer reading. ${describeError(err)}`);
+      return false;
+    }
+    setIsRecordingReading(false);
+    return true;
+  };
+
+  const handleCompleteReminder = async (reminder) => {
+    try {
+      await update('serviceReminders', reminder.id, { completedOn: today });
+    } catch (err) {
+      alert(`Could not update reminder. ${describeError(err)}`);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="space-y-8"
+    >
+      <div className="bg-gradient-to-br from-indigo-600/20 to-purple-800/20 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-indigo-500/30">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-3xl font-bold">{vehicle.year} {vehicle.make} {vehicle.model}</h2>
+            <p className="text-gray-400">
+              {vehicle.id} · {vehicle.color}
+              {vehicle.bodyType && ` · ${BODY_TYPE_LABELS[vehicle.bodyType]}`}
+              {' · '}<span style={{ color: category.color }}>{category.name}</span>
+            </p>
+            <p className="mt-3">${vehicle.leaseAmount.toLocaleString()}/month</p>
+            <p className="mt-1">
+              <VehicleStatusBadge vehicle={vehicle} />
+              {vehicle.isLeased && (
+                <span className="ml-2">
+                  to <LesseeLink lessee={lesseeOf(vehicle.lessee)} fallback={vehicle.lessee} />
+                  {activeLease && <span className="text-gray-400"> under {activeLease.id}</span>}
+                </span>
+              )}
+            </p>
+            {odometer !== null && (
+              <p className="mt-1 text-sm text-gray-400">Last odometer reading: {odometer.toLocaleString()} miles</p>
+            )}
+          </div>
+          <div className="flex flex-col items-end space-y-2">
+            <button
+              onClick={() => setIsEditing(true)}
+              className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700"
+            >
+              Edit vehicle
+            </button>
+            <label className="text-sm text-gray-300">
+              Service status{' '}
+              <select
+                value={vehicle.serviceStatus}
+                onChange={e => handleServiceStatus(e.target.value)}
+                disabled={vehicle.isLeased}
+                title={vehicle.isLeased ? 'End the lease before taking the vehicle out of service' : undefined}
+                className="ml-1 px-3 py-1 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-indigo-500 focus:outline-none text-white text-sm disabled:opacity-50"
+              >
+                {Object.entries(SERVICE_STATUS_LABELS).map(([status, label]) => (
+                  <option key={status} value={status}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h3 className="text-xl font-semibold mb-4">Lease History</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+            <thead className="bg-gray-700/50">
+              <tr>
+                <th className={thClass}>Lease ID</th>
+                <th className={thClass}>Lessee</th>
+                <th className={thClass}>Term</th>
+                <th className={thClass}>Monthly Rate</th>
+                <th className={thClass}>Start</th>
+                <th className={thClass}>End</th>
+                <th className={thClass}>Status</th>
+                <th className={thClass}></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {vehicleLeases.map(lease => (
+                <tr key={lease.id} className="hover:bg-gray-700/30">
+                  <td className="px-4 py-3 whitespace-nowrap">{lease.id}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <LesseeLink lessee={lesseeOf(lease.lesseeId)} fallback={lease.lesseeId} />
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">{lease.termMonths} months</td>
+                  <td className="px-4 py-3 whitespace-nowrap">${lease.monthlyRate.toLocaleString()}/month</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatDate(lease.startDate)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    {formatDate(lease.endedOn || lease.endDate)}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${LEASE_STATUS_BADGES[lease.status]}`}>
+                      {LEASE_STATUS_LABELS[lease.status]}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <button
+                      onClick={() => setScheduleLease(lease)}
+                      className="text-indigo-400 hover:text-indigo-300 text-sm font-medium"
+                    >
+                      Invoices
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {vehicleLeases.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-4 py-6 text-center text-gray-400">This vehicle has never been leased.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h3 className="text-xl font-semibold mb-4">Value &amp; Profitability</h3>
+        {hasAcquisition(vehicle) ? (
+          <p className="mb-4 text-gray-400">
+            Acquired {formatDate(vehicle.acquisitionDate)} for ${vehicle.acquisitionCost.toLocaleString()}
+            {' · '}{DEPRECIATION_METHOD_LABELS[vehicle.depreciationMethod]} over {vehicle.usefulLifeYears} years
+            {' · '}Residual value ${(vehicle.residualValue ?? 0).toLocaleString()}
+          </p>
+        ) : (
+          <p className="mb-4 text-gray-400">
+            No acquisition cost on record. Edit the vehicle to add one and track its depreciation.
+          </p>
+        )}
+        <div className="mb-4 grid grid-cols-2 md:grid-cols-5 gap-4">
+          <div>
+            <p className="text-2xl font-bold">{money(profitability.bookValue)}</p>
+            <p className="text-gray-400 text-sm">Book value today</p>
+          </div>
+          <div>
+            <p className="text-2xl font-bold">{money(profitability.depreciation)}</p>
+            <p className="text-gray-400 text-sm">Depreciation to date</p>
+          </div>
+          <div>
+            <p className="text-2xl font-bold">{money(profitability.income)}</p>
+            <p className="text-gray-400 text-sm">Lease income collected</p>
+          </div>
+          <div>
+            <p className="text-2xl font-bold">{money(profitability.maintenanceCost)}</p>
+            <p className="text-gray-400 text-sm">Maintenance spend</p>
+          </div>
+          <div>
+            <p className={`text-2xl font-bold ${profitability.net < 0 ? 'text-red-300' : 'text-green-300'}`}>
+              {money(profitability.net)}
+            </p>
+            <p className="text-gray-400 text-sm">Net to date</p>
+          </div>
+        </div>
+        {schedule.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+              <thead className="bg-gray-700/50">
+                <tr>
+                  <th className={thClass}>Year</th>
+                  <th className={thClass}>Period</th>
+                  <th className={thClass}>Opening</th>
+                  <th className={thClass}>Depreciation</th>
+                  <th className={thClass}>Closing</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {schedule.map(row => (
+                  <tr key={row.year} className={row.from <= today && today < row.to ? 'bg-indigo-900/20' : 'hover:bg-gray-700/30'}>
+                    <td className="px-4 py-3 whitespace-nowrap">{row.year}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {formatDate(row.from)} - {formatDate(row.to)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.opening)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.depreciation)}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">{money(row.closing)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold">Mileage</h3>
+          <button
+            onClick={() => setIsRecordingReading(true)}
+            className="text-indigo-400 hover:text-indigo-300 text-sm font-medium"
+          >
+            Record reading
+          </button>
+        </div>
+        {activeLease && !mileage && (
+          <p className="mb-4 text-gray-400">No handover reading was recorded for {activeLease.id}.</p>
+        )}
+        {mileage && (
+          <div className="mb-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className="text-2xl font-bold">{mileage.driven.toLocaleString()}</p>
+              <p className="text-gray-400 text-sm">Miles driven on {activeLease.id}</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold">{mileage.allowance.toLocaleString()}</p>
+              <p className="text-gray-400 text-sm">Allowed by {formatDate(mileage.latestDate)}</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold">{mileage.projected === null ? '-' : mileage.projected.toLocaleString()}</p>
+              <p className="text-gray-400 text-sm">Projected of {mileage.termAllowance.toLocaleString()} for the term</p>
+            </div>
+            <div>
+              <p className={`text-2xl font-bold ${mileage.projectedOverage > 0 ? 'text-amber-300' : ''}`}>
+                ${(Math.round(mileage.projectedOverage * activeLease.excessMileageRate * 100) / 100).toLocaleString()}
+              </p>
+              <p className="text-gray-400 text-sm">
+                Projected excess charge at ${activeLease.excessMileageRate}/mile
+              </p>
+            </div>
+          </div>
+        )}
+        <ul className="divide-y divide-gray-700">
+          {vehicleReadings.map(reading => (
+            <li key={reading.id} className="py-2 flex justify-between">
+              <span>
+                {reading.odometer.toLocaleString()} miles
+                <span className="text-gray-400">
+                  {' · '}{ODOMETER_READING_KIND_LABELS[reading.kind]}
+                  {reading.leaseId && ` (${reading.leaseId})`}
+                </span>
+              </span>
+              <span className="text-gray-400">{formatDate(reading.date)}</span>
+            </li>
+          ))}
+          {vehicleReadings.length === 0 && <li className="py-2 text-gray-400">No odometer readings.</li>}
+        </ul>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold">Service Reminders</h3>
+          <button
+            onClick={() => setIsAddingReminder(true)}
+            className="text-indigo-400 hover:text-indigo-300 text-sm font-medium"
+          >
+            Add reminder
+          </button>
+        </div>
+        <ul className="divide-y divide-gray-700">
+          {reminders.map(({ reminder, status }) => (
+            <li key={reminder.id} className="py-2 flex justify-between items-center">
+              <span>
+                <span className={`mr-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${REMINDER_BADGES[status]}`}>
+                  {REMINDER_STATUS_LABELS[status]}
+                </span>
+                {reminder.description}
+                <span className="text-gray-400">
+                  {' · '}
+                  {status === 'done' ? `done ${formatDate(reminder.completedOn)}` : describeDue(reminder)}
+                </span>
+              </span>
+              {status !== 'done' && (
+                <button
+                  onClick={() => handleCompleteReminder(reminder)}
+                  className="text-emerald-400 hover:text-emerald-300 text-sm font-medium"
+                >
+                  Mark done
+                </button>
+              )}
+            </li>
+          ))}
+          {reminders.length === 0 && <li className="py-2 text-gray-400">No service reminders.</li>}
+        </ul>
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold">Maintenance</h3>
+          <button
+            onClick={() => setIsRecordingMaintenance(true)}
+            className="text-indigo-400 hover:text-indigo-300 text-sm font-medium"
+          >
+            Add record
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+            <thead className="bg-gray-700/50">
+              <tr>
+                <th className={thClass}>Date</th>
+                <th className={thClass}>Type</th>
+                <th className={thClass}>Vendor</th>
+                <th className={thClass}>Odometer</th>
+                <th className={thClass}>Cost</th>
+                <th className={thClass}>Notes</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-700">
+              {records.map(record => (
+                <tr key={record.id} className="hover:bg-gray-700/30">
+                  <td className="px-4 py-3 whitespace-nowrap">{formatDate(record.date)}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{MAINTENANCE_TYPE_LABELS[record.type]}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{record.vendor}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{record.odometer.toLocaleString()} mi</td>
+                  <td className="px-4 py-3 whitespace-nowrap">${record.cost.toLocaleString()}</td>
+                  <td className="px-4 py-3 text-gray-400">{record.notes || '-'}</td>
+                </tr>
+              ))}
+              {records.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-6 text-center text-gray-400">No maintenance recorded.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+        {records.length > 0 && (
+          <p className="mt-3 text-sm text-gray-400">
+            Total spent: ${records.reduce((sum, record) => sum + record.cost, 0).toLocaleString()}
+          </p>
+        )}
+      </div>
+
+      <div className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30">
+        <h3 className="text-xl font-semibold mb-4">Fleet History</h3>
+        <ul className="divide-y divide-gray-700">
+          {events.map(event => (
+            <li key={event.id} className="py-2 flex justify-between">
+              <span>
+                {EVENT_LABELS[event.type]}
+                {event.leaseId && <span className="text-gray-400"> ({event.leaseId})</span>}
+              </span>
+              <span className="text-gray-400">{formatDate(event.date)}</span>
+            </li>
+          ))}
+          {events.length === 0 && <li className="py-2 text-gray-400">No recorded events.</li>}
+        </ul>
+      </div>
+
+      {isEditing && (
+        <VehicleFormDialog vehicle={vehicle} onSave={handleSave} onClose={() => setIsEditing(false)} />
+      )}
+
+      {isRecordingMaintenance && (
+        <MaintenanceFormDialog
+          vehicle={vehicle}
+          reminders={openReminders}
+          odometer={odometer}
+          onSave={handleSaveMaintenance}
+          onClose={() => setIsRecordingMaintenance(false)}
+        />
+      )}
+
+      {isRecordingReading && (
+        <OdometerReadingDialog
+          vehicle={vehicle}
+          leaseId={activeLease?.id}
+          odometer={odometer}
+          onSave={handleSaveReading}
+          onClose={() => setIsRecordingReading(false)}
+        />
+      )}
+
+      {isAddingReminder && (
+        <ReminderFormDialog
+          vehicle={vehicle}
+          onSave={handleSaveReminder}
+          onClose={() => setIsAddingReminder(false)}
+        />
+      )}
+
+      {scheduleLease && (
+        <Modal
+          title={`Invoices for ${scheduleLease.id}`}
+          onClose={() => setScheduleLease(null)}
+          wide
+        >
+          <InvoiceSchedule lease={scheduleLease} store={store} />
+        </Modal>
+      )}
+    </motion.div>
+  );
+};
+
+export default VehicleDetail;
@@ -0,0 +1,412 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { describeError } from '../data/client';
+import { endLease } from '../data/leaseActions';
+import { recordVehicleEvent } from '../data/vehicleEvents';
+import { activeLeaseForVehicle } from '../domain/leases';
+import { categorySummaries, describeRules } from '../domain/categories';
+import { localDateString } from '../domain/dates';
+import { DEFAULT_USEFUL_LIFE_YEARS, bookValueOn } from '../domain/depreciation';
+import { REMINDER_STATUS_LABELS, describeDue, dueReminders } from '../domain/maintenance';
+import { leaseMileage } from '../domain/mileage';
+import { isAvailable, isInService } from '../domain/vehicles';
+import { useQueryParams } from '../hooks/useQueryParams';
+import VehicleFormDialog from './VehicleFormDialog';
+import VehicleCategoriesDialog from './VehicleCategoriesDialog';
+import VehicleStatusBadge from './VehicleStatusBadge';
+import LesseeLink from './LesseeLink';
+import Link from './Link';
+import { filterInputClass, thClass } from './formStyles';
+
+const PAGE_SIZE = 10;
+
+// Table view state kept in the URL so a filtered view can be shared
+const VIEW_DEFAULTS = { make: '', status: '', q: '', sort: 'id', dir: 'asc', page: '1' };
+
+// Sort value for each sortable column, from a table row
+const SORT_KEYS = {
+  id: ({ vehicle }) => vehicle.id,
+  model: ({ vehicle }) => `${vehicle.make} ${vehicle.model}`.toLowerCase(),
+  year: ({ vehicle }) => vehicle.year,
+  color: ({ vehicle }) => vehicle.color.toLowerCase(),
+  status: ({ vehicle }) => (vehicle.isLeased ? 1 : isInService(vehicle) ? 0 : 2),
+  lessee: ({ lessee }) => (lessee ? lessee.name.toLowerCase() : ''),
+  leaseAmount: ({ vehicle }) => vehicle.leaseAmount,
+  // Vehicles without a cost on record sort below every book value
+  bookValue: ({ bookValue }) => (bookValue === null ? -1 : bookValue),
+};
+
+const filterVehicles = (rows, { make, status, q }) => {
+  const term = q.trim().toLowerCase();
+  return rows.filter(({ vehicle, lessee }) => {
+    if (make && vehicle.make !== make) return false;
+    if (status === 'leased' && !vehicle.isLeased) return false;
+    if (status === 'available' && !isAvailable(vehicle)) return false;
+    if (status === 'outOfService' && isInService(vehicle)) return false;
+    if (!term) return true;
+    return [vehicle.id, vehicle.make, vehicle.model, lessee?.name]
+      .some(value => value && value.toLowerCase().includes(term));
+  });
+};
+
+const sortVehicles = (rows, sort, dir) => {
+  const sortKey = SORT_KEYS[sort] || SORT_KEYS.id;
+  const direction = dir === 'desc' ? -1 : 1;
+  return rows.slice().sort((a, b) => {
+    const valueA = sortKey(a);
+    const valueB = sortKey(b);
+    if (valueA < valueB) return -1 * direction;
+    if (valueA > valueB) return 1 * direction;
+    return 0;
+  });
+};
+
+const SortableHeader = ({ column, label, view, onSort }) => {
+  const isActive = view.sort === column;
+  return (
+    <th className={thClass}>
+      <button onClick={() => onSort(column)} className="uppercase tracking-wider hover:text-white">
+        {label}
+        <span className="ml-1 text-gray-500">{isActive ? (view.dir === 'asc' ? '▲' : '▼') : ''}</span>
+      </button>
+    </th>
+  );
+};
+
+const VehicleFleet = ({ store }) => {
+  const {
+    vehicles, lessees, leases, maintenance, serviceReminders, odometerReadings, vehicleCategories,
+    create, update, remove,
+  } = store;
+  // { vehicle } while the add/edit dialog is open; vehicle is null when adding
+  const [dialog, setDialog] = useState(null);
+  const [isEditingCategories, setIsEditingCategories] = useState(false);
+  const [view, setView] = useQueryParams(VIEW_DEFAULTS);
+
+  const leasedVehicles = vehicles.filter(v => v.isLeased);
+  const availableVehicles = vehicles.filter(isAvailable);
+  const outOfServiceVehicles = vehicles.filter(v => !isInService(v));
+  const readings = [...odometerReadings, ...maintenance];
+  const today = localDateString();
+  const serviceDue = dueReminders(serviceReminders, readings, vehicles, today);
+
+  // Miles a leased vehicle is on course to go over its lease's allowance, or 0
+  const projectedOverage = (vehicle) => {
+    const lease = vehicle.isLeased && activeLeaseForVehicle(leases, vehicle.id);
+    const mileage = lease && leaseMileage(lease, readings);
+    return mileage ? mileage.projectedOverage : 0;
+  };
+
+  const rows = vehicles.map(vehicle => ({
+    vehicle,
+    lessee: lessees.find(l => l.id === vehicle.lessee),
+    bookValue: bookValueOn(vehicle, today),
+  }));
+
+  const matchingRows = sortVehicles(filterVehicles(rows, view), view.sort, view.dir);
+  const pageCount = Math.max(1, Math.ceil(matchingRows.length / PAGE_SIZE));
+  const page = Math.min(pageCount, Math.max(1, Number(view.page) || 1));
+  const pageRows = matchingRows.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+
+  // Any change to the filters starts again from the first page
+  const setFilter = (changes) => setView({ ...changes, page: '1' });
+
+  const handleSort = (column) => {
+    const dir = view.sort === column && view.dir === 'asc' ? 'desc' : 'asc';
+    setView({ sort: column, dir });
+  };
+
+  const handleSave = async (fields) => {
+    try {
+      if (dialog.vehicle) {
+        await update('vehicles', dialog.vehicle.id, fields);
+      } else {
+        const created = await create('vehicles', {
+          depreciationMethod: 'straightLine',
+          usefulLifeYears: DEFAULT_USEFUL_LIFE_YEARS,
+          ...fields,
+          isLeased: false,
+          lessee: null,
+          serviceStatus: 'inService',
+        });
+        await recordVehicleEvent(store, created, 'added', localDateString());
+        alert(`Vehicle added! Vehicle ID: ${created.id}`);
+      }
+    } catch (err) {
+      alert(`Could not save vehicle. ${describeError(err)}`);
+      return false;
+    }
+    setDialog(null);
+    return true;
+  };
+
+  // End the vehicle's lease today, or just free it if it has no lease record
+  const releaseVehicle = async (vehicle, today) => {
+    const lease = activeLeaseForVehicle(leases, vehicle.id);
+    if (lease) {
+      await endLease(store, lease, today);
+    } else {
+      await update('vehicles', vehicle.id, { isLeased: false, lessee: null });
+      await recordVehicleEvent(store, vehicle, 'returned', today);
+    }
+  };
+
+  const handleDelete = async (vehicle) => {
+    const label = `${vehicle.make} ${vehicle.model} (${vehicle.id})`;
+    if (vehicle.isLeased) {
+      const lessee = lessees.find(l => l.id === vehicle.lessee);
+      const leasedTo = lessee ? lessee.name : vehicle.lessee;
+      if (!confirm(`${label} is leased to ${leasedTo}. End the lease and delete the vehicle?`)) return;
+    } else if (!confirm(`Delete ${label}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      if (vehicle.isLeased) await releaseVehicle(vehicle, today);
+      await remove('vehicles', vehicle.id);
+      await recordVehicleEvent(store, vehicle, 'removed', today);
+    } catch (err) {
+      alert(`Could not delete vehicle. ${describeError(err)}`);
+    }
+  };
+
+  return (
+    <motion.div 
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30"
+    >
+      <h2 className="text-2xl font-bold mb-6">Vehicle Fleet Management</h2>
+      
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <span className="mr-2 px-3 py-1 rounded-full bg-blue-900/40 text-blue-300 text-sm font-medium">
+            Total: {vehicles.length}
+          </span>
+          <span className="mr-2 px-3 py-1 rounded-full bg-green-900/40 text-green-300 text-sm font-medium">
+            Available: {availableVehicles.length}
+          </span>
+          <span className="mr-2 px-3 py-1 rounded-full bg-purple-900/40 text-purple-300 text-sm font-medium">
+            Leased: {leasedVehicles.length}
+          </span>
+          <span className="px-3 py-1 rounded-full bg-rose-900/40 text-rose-300 text-sm font-medium">
+            Out of service: {outOfServiceVehicles.length}
+          </span>
+        </div>
+        
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setDialog({ vehicle: null })}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white text-sm font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700"
+          >
+            Add Vehicle
+          </button>
+          <input
+            type="search"
+            value={view.q}
+            onChange={e => setFilter({ q: e.target.value })}
+            placeholder="Search ID, make, model, lessee"
+            className={filterInputClass}
+          />
+          <select
+            value={view.make}
+            onChange={e => setFilter({ make: e.target.value })}
+            className={filterInputClass}
+          >
+            <option value="">Filter by Make</option>
+            {Array.from(new Set(vehicles.map(v => v.make))).sort().map(make => (
+              <option key={make} value={make}>{make}</option>
+            ))}
+          </select>
+          <select
+            value={view.status}
+            onChange={e => setFilter({ status: e.target.value })}
+            className={filterInputClass}
+          >
+            <option value="">Filter by Status</option>
+            <option value="leased">Leased</option>
+            <option value="available">Available</option>
+            <option value="outOfService">Out of service</option>
+          </select>
+        </div>
+      </div>
+
+      {serviceDue.length > 0 && (
+        <div className="mb-6 p-4 rounded-xl bg-amber-900/20 border border-amber-500/30">
+          <h3 className="text-lg font-semibold text-amber-300 mb-2">Service Due</h3>
+          <ul className="space-y-1 text-sm">
+            {serviceDue.map(({ reminder, status }) => (
+              <li key={reminder.id}>
+                <Link
+                  to={`/vehicles/${encodeURIComponent(reminder.vehicleId)}`}
+                  className="text-indigo-300 hover:text-indigo-200 underline-offset-2 hover:underline"
+                >
+                  {reminder.vehicleId}
+                </Link>
+                {' '}{reminder.description}
+                <span className="text-gray-400"> · {describeDue(reminder)}</span>
+                <span className={status === 'overdue' ? 'text-red-300' : 'text-amber-300'}>
+                  {' '}({REMINDER_STATUS_LABELS[status].toLowerCase()})
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
+      <div className="overflow-x-auto">
+        <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+          <thead className="bg-gray-700/50">
+            <tr>
+              <SortableHeader column="id" label="ID" view={view} onSort={handleSort} />
+              <SortableHeader column="model" label="Make & Model" view={view} onSort={handleSort} />
+              <SortableHeader column="year" label="Year" view={view} onSort={handleSort} />
+              <SortableHeader column="color" label="Color" view={view} onSort={handleSort} />
+              <SortableHeader column="status" label="Status" view={view} onSort={handleSort} />
+              <SortableHeader column="lessee" label="Lessee" view={view} onSort={handleSort} />
+              <SortableHeader column="leaseAmount" label="Lease Amount" view={view} onSort={handleSort} />
+              <SortableHeader column="bookValue" label="Book Value" view={view} onSort={handleSort} />
+              <th className={thClass}>Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {pageRows.map(({ vehicle, lessee, bookValue }) => (
+              <tr key={vehicle.id} className="hover:bg-gray-700/30">
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <Link
+                    to={`/vehicles/${encodeURIComponent(vehicle.id)}`}
+                    className="text-indigo-300 hover:text-indigo-200 underline-offset-2 hover:underline"
+                  >
+                    {vehicle.id}
+                  </Link>
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">{vehicle.make} {vehicle.model}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{vehicle.year}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{vehicle.color}</td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <VehicleStatusBadge vehicle={vehicle} />
+                  {projectedOverage(vehicle) > 0 && (
+                    <div
+                      className="mt-1 text-xs text-amber-300"
+                      title="Projected from the miles driven so far against the lease's mileage allowance"
+                    >
+                      ⚠ {projectedOverage(vehicle).toLocaleString()} mi over allowance
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <LesseeLink lessee={lessee} fallback="-" />
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">${vehicle.leaseAmount}/month</td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  {bookValue === null ? '-' : `$${bookValue.toLocaleString()}`}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <button
+                    onClick={() => setDialog({ vehicle })}
+                    className="text-indigo-400 hover:text-indigo-300 mr-2"
+                    title="Edit vehicle"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                      <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                    </svg>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(vehicle)}
+                    className="text-rose-400 hover:text-rose-300"
+                    title="Delete vehicle"
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                    </svg>
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={9} className="px-4 py-6 text-center text-gray-400">
+                  No vehicles match the current filters.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-between items-center mt-4 text-sm text-gray-400">
+        <span>
+          {matchingRows.length === 0
+            ? 'No results'
+            : `Showing ${(page - 1) * PAGE_SIZE + 1}-${Math.min(page * PAGE_SIZE, matchingRows.length)} of ${matchingRows.length}`}
+        </span>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setView({ page: String(page - 1) })}
+            disabled={page <= 1}
+            className="px-3 py-1 rounded-lg bg-gray-800/60 border border-gray-700 hover:bg-gray-700/60 disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button
+            onClick={() => setView({ page: String(page + 1) })}
+            disabled={page >= pageCount}
+            className="px-3 py-1 rounded-lg bg-gray-800/60 border border-gray-700 hover:bg-gray-700/60 disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      {/* Vehicle Categories Summary */}
+      <div className="mt-8 flex justify-between items-center">
+        <h3 className="text-xl font-semibold">Categories</h3>
+        <button
+          onClick={() => setIsEditingCategories(true)}
+          className="text-indigo-400 hover:text-indigo-300 text-sm font-medium"
+        >
+          Manage categories
+        </button>
+      </div>
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+        {categorySummaries(vehicleCategories, vehicles, today).map(({
+          category, count, averageLease, utilization, averageBookValue,
+        }) => (
+          <div
+            key={category.id ?? 'uncategorized'}
+            className="backdrop-blur-sm p-4 rounded-xl shadow-lg border"
+            style={{
+              backgroundImage: `linear-gradient(to bottom right, ${category.color}1a, ${category.color}0d)`,
+              borderColor: `${category.color}4d`,
+            }}
+          >
+            <h3 className="text-lg font-semibold mb-2" style={{ color: category.color }}>{category.name}</h3>
+            <p className="text-3xl font-bold">{count}</p>
+            <p className="text-gray-400 text-sm">Average Lease: ${averageLease}/month</p>
+            <p className="text-gray-400 text-sm">Utilization: {utilization}%</p>
+            <p className="text-gray-400 text-sm">
+              Average Book Value: {averageBookValue === null ? '-' : `$${averageBookValue.toLocaleString()}`}
+            </p>
+            {category.id && <p className="mt-1 text-gray-500 text-xs">{describeRules(category)}</p>}
+          </div>
+        ))}
+      </div>
+
+      {dialog && (
+        <VehicleFormDialog
+          vehicle={dialog.vehicle}
+          onSave={handleSave}
+          onClose={() => setDialog(null)}
+        />
+      )}
+
+      {isEditingCategories && (
+        <VehicleCategoriesDialog store={store} onClose={() => setIsEditingCategories(false)} />
+      )}
+    </motion.div>
+  );
+};
+
+export default VehicleFleet;
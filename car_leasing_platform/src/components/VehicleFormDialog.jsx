@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { BODY_TYPE_LABELS } from '../domain/categories';
+import { DEFAULT_USEFUL_LIFE_YEARS, DEPRECIATION_METHOD_LABELS } from '../domain/depreciation';
+import Modal from './Modal';
+import { inputClass } from './formStyles';
+
+// Add or edit a vehicle. `vehicle` is null when adding.
+const VehicleFormDialog = ({ vehicle, onSave, onClose }) => {
+  const [form, setForm] = useState(() => ({
+    make: vehicle?.make || '',
+    model: vehicle?.model || '',
+    year: vehicle?.year || new Date().getFullYear(),
+    color: vehicle?.color || '',
+    bodyType: vehicle?.bodyType || '',
+    leaseAmount: vehicle?.leaseAmount || 500,
+    acquisitionCost: vehicle?.acquisitionCost ?? '',
+    acquisitionDate: vehicle?.acquisitionDate || '',
+    residualValue: vehicle?.residualValue ?? '',
+    depreciationMethod: vehicle?.depreciationMethod || 'straightLine',
+    usefulLifeYears: vehicle?.usefulLifeYears || DEFAULT_USEFUL_LIFE_YEARS,
+  }));
+  const optionalNumber = (value) => (value === '' ? null : Number(value));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const saved = await onSave({
+      make: form.make.trim(),
+      model: form.model.trim(),
+      year: Number(form.year),
+      color: form.color.trim(),
+      bodyType: form.bodyType || null,
+      leaseAmount: Number(form.leaseAmount),
+      acquisitionCost: optionalNumber(form.acquisitionCost),
+      acquisitionDate: form.acquisitionDate || null,
+      residualValue: optionalNumber(form.residualValue),
+      depreciationMethod: form.depreciationMethod,
+      usefulLifeYears: Number(form.usefulLifeYears),
+    });
+    if (!saved) setIsSaving(false);
+  };
+
+  return (
+    <Modal title={vehicle ? `Edit ${vehicle.id}` : 'Add Vehicle'} onClose={onClose}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Make</label>
+            <input
+              type="text"
+              value={form.make}
+              onChange={e => setForm({ ...form, make: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Model</label>
+            <input
+              type="text"
+              value={form.model}
+              onChange={e => setForm({ ...form, model: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Year</label>
+            <input
+              type="number"
+              value={form.year}
+              onChange={e => setForm({ ...form, year: e.target.value })}
+              className={inputClass}
+              min="1990"
+              max={new Date().getFullYear() + 1}
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Color</label>
+            <input
+              type="text"
+              value={form.color}
+              onChange={e => setForm({ ...form, color: e.target.value })}
+              className={inputClass}
+              required
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Body Type</label>
+            <select
+              value={form.bodyType}
+              onChange={e => setForm({ ...form, bodyType: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Not recorded</option>
+              {Object.entries(BODY_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Lease Amount ($/month)</label>
+            <input
+              type="number"
+              value={form.leaseAmount}
+              onChange={e => setForm({ ...form, leaseAmount: e.target.value })}
+              className={inputClass}
+              min="1"
+              required
+            />
+          </div>
+        </div>
+
+        <fieldset className="space-y-4">
+          <legend className="text-sm font-semibold text-gray-200 mb-2">Acquisition &amp; Depreciation</legend>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Acquisition Cost ($)</label>
+              <input
+                type="number"
+                value={form.acquisitionCost}
+                onChange={e => setForm({ ...form, acquisitionCost: e.target.value })}
+                className={inputClass}
+                min="1"
+                required={form.acquisitionDate !== ''}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Acquisition Date</label>
+              <input
+                type="date"
+                value={form.acquisitionDate}
+                onChange={e => setForm({ ...form, acquisitionDate: e.target.value })}
+                className={inputClass}
+                required={form.acquisitionCost !== ''}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Residual Value ($)</label>
+              <input
+                type="number"
+                value={form.residualValue}
+                onChange={e => setForm({ ...form, residualValue: e.target.value })}
+                className={inputClass}
+                min="0"
+                max={form.acquisitionCost || undefined}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-1">Useful Life (years)</label>
+              <input
+                type="number"
+                value={form.usefulLifeYears}
+                onChange={e => setForm({ ...form, usefulLifeYears: e.target.value })}
+                className={inputClass}
+                min="1"
+                max="30"
+                step="1"
+                required
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-1">Depreciation Method</label>
+            <select
+              value={form.depreciationMethod}
+              onChange={e => setForm({ ...form, depreciationMethod: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(DEPRECIATION_METHOD_LABELS).map(([method, label]) => (
+                <option key={method} value={method}>{label}</option>
+              ))}
+            </select>
+          </div>
+        </fieldset>
+
+        <div className="flex justify-end space-x-2 pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-gray-300 hover:bg-white/10"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-medium rounded-lg shadow-md hover:from-indigo-700 hover:to-purple-700 disabled:opacity-50"
+          >
+            {vehicle ? 'Save Changes' : 'Add Vehicle'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default VehicleFormDialog;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { localDateString } from '../domain/dates';
+import { sum } from '../domain/numbers';
+import { fleetProfitability } from '../domain/profitability';
+import Link from './Link';
+import { thClass } from './formStyles';
+
+const money = (amount) => (amount === null ? '-' : `$${amount.toLocaleString()}`);
+
+// Income against depreciation and maintenance for every vehicle, most
+// profitable first. `store` is the object returned by useLeasingData.
+const VehicleProfitability = ({ store }) => {
+  const rows = fleetProfitability(store, localDateString());
+  const totals = {
+    bookValue: sum(rows.map(r => r.bookValue)),
+    income: sum(rows.map(r => r.income)),
+    depreciation: sum(rows.map(r => r.depreciation)),
+    maintenanceCost: sum(rows.map(r => r.maintenanceCost)),
+    net: sum(rows.map(r => r.net)),
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.1 }}
+      className="bg-gradient-to-br from-gray-700/30 to-gray-800/30 backdrop-blur-sm p-6 rounded-xl shadow-xl border border-gray-500/30"
+    >
+      <h2 className="text-2xl font-bold mb-2">Vehicle Profitability</h2>
+      <p className="text-sm text-gray-400 mb-6">
+        Lease income collected to date, less depreciation and maintenance. Vehicles without an acquisition cost on record
+        show no depreciation.
+      </p>
+
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="min-w-full bg-gray-800/50 rounded-lg overflow-hidden">
+          <thead className="bg-gray-700/50">
+            <tr>
+              <th className={thClass}>Vehicle</th>
+              <th className={thClass}>Book Value</th>
+              <th className={thClass}>Income</th>
+              <th className={thClass}>Depreciation</th>
+              <th className={thClass}>Maintenance</th>
+              <th className={thClass}>Net</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-700">
+            {rows.map(({
+              vehicle, bookValue, income, depreciation, maintenanceCost, net,
+            }) => (
+              <tr key={vehicle.id} className="hover:bg-gray-700/30">
+                <td className="px-4 py-3 whitespace-nowrap">
+                  <Link
+                    to={`/vehicles/${encodeURIComponent(vehicle.id)}`}
+                    className="text-indigo-300 hover:text-indigo-200 underline-offset-2 hover:underline"
+                  >
+                    {vehicle.id}
+                  </Link>
+                  <span className="ml-2 text-gray-400">{vehicle.make} {vehicle.model}</span>
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(bookValue)}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(income)}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(depreciation)}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(maintenanceCost)}</td>
+                <td className={`px-4 py-3 whitespace-nowrap font-medium ${net < 0 ? 'text-red-300' : 'text-green-300'}`}>
+                  {money(net)}
+                </td>
+              </tr>
+            ))}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-gray-400">No vehicles in the fleet.</td>
+              </tr>
+            )}
+          </tbody>
+          {rows.length > 0 && (
+            <tfoot className="bg-gray-700/30 font-semibold">
+              <tr>
+                <td className="px-4 py-3 whitespace-nowrap">Fleet total</td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(totals.bookValue)}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(totals.income)}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(totals.depreciation)}</td>
+                <td className="px-4 py-3 whitespace-nowrap">{money(totals.maintenanceCost)}</td>
+                <td className={`px-4 py-3 whitespace-nowrap ${totals.net < 0 ? 'text-red-300' : 'text-green-300'}`}>
+                  {money(totals.net)}
+                </td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </motion.div>
+  );
+};
+
+export default VehicleProfitability;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { SERVICE_STATUS_LABELS, isInService } from '../domain/vehicles';
+
+const badgeClass = 'px-2 inline-flex text-xs leading-5 font-semibold rounded-full';
+
+// Leased, available, or why the vehicle is out of service
+const VehicleStatusBadge = ({ vehicle }) => {
+  if (vehicle.isLeased) return <span className={`${badgeClass} bg-purple-100 text-purple-800`}>Leased</span>;
+  if (isInService(vehicle)) return <span className={`${badgeClass} bg-green-100 text-green-800`}>Available</span>;
+  return (
+    <span className={`${badgeClass} bg-rose-100 text-rose-800`}>
+      {SERVICE_STATUS_LABELS[vehicle.serviceStatus]}
+    </span>
+  );
+};
+
+export default VehicleStatusBadge;
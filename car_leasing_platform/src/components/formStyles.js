@@ -0,0 +1,16 @@
+// Input and table styles shared by the forms, dialogs and tables. Each accent
+// is written out in full so Tailwind can find the class names.
+
+export const inputClass = 'w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-500/30 text-white';
+
+// For payment and late-fee forms, which use the green accent
+export const emeraldInputClass = 'w-full px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-emerald-500 focus:outline-none focus:ring-2 focus:ring-emerald-500/30 text-white';
+
+// Compact filters above tables
+export const filterInputClass = 'px-4 py-2 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-500/30 text-white text-sm';
+
+// Small inputs inside table rows, e.g. when allocating a bank credit
+export const cellInputClass = 'px-2 py-1 rounded-lg bg-gray-800/60 border border-gray-700 focus:border-emerald-500 focus:outline-none text-white text-sm';
+
+// Column headers of the data tables
+export const thClass = 'px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider';
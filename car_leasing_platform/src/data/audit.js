@@ -0,0 +1,79 @@
+// Append-only audit log of every create, update and delete, shared by the
+// REST server and the browser-only store. Undoing an operation is itself a
+// new entry that points at the one it reverses; nothing is ever rewritten.
+import { DataError } from './collections.js';
+import { ID_PREFIXES, nextId } from './ids.js';
+
+export const AUDIT_COLLECTION = 'auditLog';
+
+export const AUDIT_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+};
+
+export const auditEntry = (log, {
+  action, collection, recordId, before = null, after = null, actor, undoes = null,
+}) => ({
+  id: nextId(ID_PREFIXES.auditLog, log),
+  at: new Date().toISOString(),
+  actor: actor || 'unknown',
+  action,
+  collection,
+  recordId,
+  before,
+  after,
+  undoes,
+});
+
+const canonical = (record) => JSON.stringify(record, Object.keys(record).sort());
+const sameRecord = (a, b) => Boolean(a && b) && canonical(a) === canonical(b);
+
+// Fields that differ between two snapshots, for showing what an update changed
+export const changedFields = (before, after) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return fields
+    .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map(field => ({ field, before: before?.[field], after: after?.[field] }));
+};
+
+export const isUndone = (log, entry) => log.some(e => e.undoes === entry.id);
+
+// Entries that can still be undone, newest first
+export const undoableEntries = (log) => log
+  .filter(entry => !entry.undoes && !isUndone(log, entry))
+  .reverse();
+
+// Work out the operation that reverses an entry, refusing when the record
+// has changed since (undo the later change first) so nothing is overwritten.
+// Returns { action, collection, id, record } for the backend to apply.
+export const planUndo = (data, entryId) => {
+  const log = data[AUDIT_COLLECTION];
+  const entry = log.find(e => e.id === entryId);
+  if (!entry) throw new DataError(`${entryId} not found`, { status: 404 });
+  if (entry.undoes) throw new DataError(`${entryId} is an undo and can't itself be undone`);
+  if (isUndone(log, entry)) throw new DataError(`${entryId} has already been undone`, { status: 409 });
+
+  const { collection, recordId } = entry;
+  const current = (data[collection] || []).find(r => r.id === recordId);
+  const changedSince = () => new DataError(
+    `${recordId} has changed since ${entryId}; undo the later changes first`,
+    { status: 409 },
+  );
+
+  if (entry.action === 'delete') {
+    if (current) throw changedSince();
+    return { action: 'create', collection, id: recordId, record: entry.before };
+  }
+  if (!sameRecord(current, entry.after)) throw changedSince();
+  // Registering a lease also leases out its vehicle, which only ending the lease undoes
+  if (entry.action === 'create' && collection === 'leases' && current.status === 'active'
+    && data.vehicles.some(v => v.id === current.vehicleId && v.isLeased)) {
+    throw new DataError(
+      `${recordId} has leased out ${current.vehicleId}; end the lease instead of undoing it`,
+      { status: 409 },
+    );
+  }
+  if (entry.action === 'create') return { action: 'delete', collection, id: recordId, record: null };
+  return { action: 'update', collection, id: recordId, record: entry.before };
+};
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCreate, applyUndo, applyUpdate } from './mutations.js';
+import { undoableEntries } from './audit.js';
+import { COLLECTIONS } from './collections.js';
+
+const empty = () => Object.fromEntries([...COLLECTIONS, 'auditLog'].map(collection => [collection, []]));
+
+// A lessee and an available vehicle, then a lease registered the way
+// startLease does it: the lease first, then the vehicle
+const registered = () => {
+  let data = empty();
+  data = applyCreate(data, 'lessees', {
+    name: 'Ada Lovelace', email: 'ada@example.com', phone: '555-0100', startDate: '2026-01-15',
+  }, 'test').data;
+  data = applyCreate(data, 'vehicles', {
+    make: 'Toyota',
+    model: 'Corolla',
+    year: 2024,
+    color: 'Blue',
+    leaseAmount: 400,
+    isLeased: false,
+    lessee: null,
+    serviceStatus: 'inService',
+    acquisitionCost: 20000,
+    acquisitionDate: '2026-01-01',
+    residualValue: 8000,
+    depreciationMethod: 'straightLine',
+    usefulLifeYears: 5,
+  }, 'test').data;
+  data = applyCreate(data, 'leases', {
+    lesseeId: 'LSE-1000',
+    vehicleId: 'VEH-1000',
+    startDate: '2026-02-01',
+    endDate: '2027-02-01',
+    termMonths: 12,
+    monthlyRate: 400,
+    deposit: 0,
+    status: 'active',
+    endedOn: null,
+    mileageAllowance: 12000,
+    excessMileageRate: 0.25,
+    excessMileage: null,
+  }, 'test').data;
+  return applyUpdate(data, 'vehicles', 'VEH-1000', { isLeased: true, lessee: 'LSE-1000' }, 'test').data;
+};
+
+test('undoing a registration is refused while the vehicle stays leased', () => {
+  const data = registered();
+  const [vehicleUpdate, leaseCreate] = undoableEntries(data.auditLog);
+  assert.equal(vehicleUpdate.collection, 'vehicles');
+  assert.throws(() => applyUndo(data, vehicleUpdate.id, 'test'), { status: 400 });
+  assert.throws(
+    () => applyUndo(data, leaseCreate.id, 'test'),
+    { status: 409, message: 'LEA-1000 has leased out VEH-1000; end the lease instead of undoing it' },
+  );
+});
+
+test('a lease whose vehicle was never leased out can be undone', () => {
+  let data = registered();
+  const [, leaseCreate] = undoableEntries(data.auditLog);
+  data = { ...data, vehicles: data.vehicles.map(v => ({ ...v, isLeased: false, lessee: null })) };
+  const undone = applyUndo(data, leaseCreate.id, 'test').data;
+  assert.deepEqual(undone.leases, []);
+});
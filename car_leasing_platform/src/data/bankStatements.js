@@ -0,0 +1,80 @@
+// Bank statements read into the credits they contain. Each line is
+// { id, key, transactionId, date, amount, description }, where transactionId
+// is the bank's own ID for the transaction when the file has one and key
+// identifies the credit across uploads (the bank's ID, or failing that its
+// date, amount and description).
+import { parseCsv } from './csv.js';
+import { parseDate } from '../domain/dates.js';
+
+// Header names banks commonly use, compared without case or punctuation
+const CSV_COLUMNS = {
+  date: ['date', 'posted', 'posteddate', 'postingdate', 'transactiondate', 'bookingdate', 'valuedate'],
+  amount: ['amount', 'transactionamount'],
+  credit: ['credit', 'creditamount', 'paidin', 'deposit', 'deposits', 'moneyin'],
+  description: ['description', 'memo', 'details', 'narrative', 'payee', 'name', 'transactiondescription'],
+  reference: ['reference', 'ref', 'fitid', 'transactionid', 'bankreference'],
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const readAmount = (text) => {
+  const cleaned = String(text || '').replace(/[$,\s]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+const parseStatementCsv = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  const columnFor = (names) => headers.findIndex(header => names.includes(normalize(header)));
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [key, columnFor(names)]));
+  if (columns.date === -1 || (columns.amount === -1 && columns.credit === -1)) {
+    throw new Error('The statement needs a date column and an amount or credit column');
+  }
+
+  const cell = (cells, key) => (columns[key] === -1 ? '' : (cells[columns[key]] || '').trim());
+
+  return rows.map(cells => ({
+    date: parseDate(cell(cells, 'date')),
+    // A separate credit column holds money in (empty on debits); a single
+    // amount column is signed
+    amount: columns.credit !== -1
+      ? readAmount(cell(cells, 'credit') || '0')
+      : readAmount(cell(cells, 'amount')),
+    description: cell(cells, 'description'),
+    transactionId: cell(cells, 'reference') || null,
+  }));
+};
+
+// OFX 1.x is SGML and often leaves elements unclosed, so values are read up
+// to the next tag or line break rather than parsed as XML
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+const parseOfx = (text) => text
+  .split(/<STMTTRN>/i)
+  .slice(1)
+  .map(block => ({
+    date: parseDate(ofxValue(block, 'DTPOSTED')),
+    amount: readAmount(ofxValue(block, 'TRNAMT')),
+    description: [ofxValue(block, 'NAME'), ofxValue(block, 'MEMO')].filter(Boolean).join(' '),
+    transactionId: ofxValue(block, 'FITID') || null,
+  }));
+
+// Credits from a CSV or OFX statement. Debits are left out; lines whose
+// date or amount can't be read are counted in `skipped`.
+export const parseStatement = (filename, text) => {
+  const isOfx = /\.(ofx|qfx)$/i.test(filename) || /<OFX>/i.test(text);
+  const transactions = isOfx ? parseOfx(text) : parseStatementCsv(text);
+  const readable = transactions.filter(t => t.date && !Number.isNaN(t.amount));
+  return {
+    lines: readable
+      .filter(t => t.amount > 0)
+      .map((t, idx) => ({
+        id: `line-${idx + 1}`,
+        key: t.transactionId || `${t.date} ${t.amount} ${t.description}`,
+        ...t,
+      })),
+    skipped: transactions.length - readable.length,
+  };
+};
@@ -0,0 +1,22 @@
+// Vehicle category settings. `store` is the object returned by
+// useLeasingData (records plus create/update).
+import { sortedCategories } from '../domain/categories';
+
+// New categories go last, so they only pick up vehicles no earlier category matches
+export const addCategory = (store, fields) => store.create('vehicleCategories', {
+  ...fields,
+  position: store.vehicleCategories.reduce((highest, c) => Math.max(highest, c.position), 0) + 1,
+});
+
+// Move a category one place up (-1) or down (+1) in matching order. Positions
+// are renumbered from 1, and only categories whose position changed are saved.
+export const moveCategory = async (store, category, offset) => {
+  const ordered = sortedCategories(store.vehicleCategories);
+  const from = ordered.findIndex(c => c.id === category.id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= ordered.length) return;
+  [ordered[from], ordered[to]] = [ordered[to], ordered[from]];
+  for (const [idx, c] of ordered.entries()) {
+    if (c.position !== idx + 1) await store.update('vehicleCategories', c.id, { position: idx + 1 });
+  }
+};
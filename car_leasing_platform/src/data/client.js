@@ -0,0 +1,140 @@
+// Data-access client used by the dashboard. Talks to the REST server when
+// VITE_API_URL is set (e.g. "/api"), otherwise keeps data in this browser's
+// IndexedDB. Both backends share the rules in collections.js.
+import { COLLECTIONS, DataError } from './collections';
+import { AUDIT_COLLECTION } from './audit';
+import {
+  applyCreate, applyImport, applyUpdate, applyRemove, applyUndo,
+} from './mutations';
+import { loadData, commitChanges, replaceData } from './db';
+import { generateMockData } from './mockData';
+
+// Name recorded against every change in the audit log. There are no user
+// accounts, so whoever is at the keyboard says who they are.
+const OPERATOR_KEY = 'easylease.operator';
+
+export const getOperator = () => localStorage.getItem(OPERATOR_KEY) || '';
+
+export const setOperator = (name) => {
+  if (name) localStorage.setItem(OPERATOR_KEY, name);
+  else localStorage.removeItem(OPERATOR_KEY);
+};
+
+const createRestClient = (baseUrl) => {
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(getOperator() ? { 'X-Operator': encodeURIComponent(getOperator()) } : {}),
+        ...options.headers,
+      },
+    });
+    if (response.status === 204) return null;
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new DataError(body.error || `Request failed (${response.status})`, {
+        status: response.status,
+        details: body.details || [],
+      });
+    }
+    return body;
+  };
+
+  return {
+    loadAll: async () => {
+      const lists = await Promise.all(COLLECTIONS.map(name => request(`/${name}`)));
+      return Object.fromEntries(COLLECTIONS.map((name, idx) => [name, lists[idx]]));
+    },
+    create: (collection, record) => request(`/${collection}`, {
+      method: 'POST',
+      body: JSON.stringify(record),
+    }),
+    importRecords: (collection, records) => request(`/${collection}/import`, {
+      method: 'POST',
+      body: JSON.stringify({ records }),
+    }),
+    update: (collection, id, changes) => request(`/${collection}/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes),
+    }),
+    remove: (collection, id) => request(`/${collection}/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+    }),
+    auditLog: () => request(`/${AUDIT_COLLECTION}`),
+    undo: (entryId) => request(`/${AUDIT_COLLECTION}/${encodeURIComponent(entryId)}/undo`, {
+      method: 'POST',
+    }),
+    // Shared data is never wiped from a browser; seed the server with
+    // MOCK_SCENARIO and MOCK_SEED on its first run instead
+    loadScenario: async () => {
+      throw new DataError('Mock scenarios can only be loaded into browser storage');
+    },
+  };
+};
+
+const createLocalClient = () => {
+  // Validation needs the other collections, so keep what was last loaded
+  let data = null;
+
+  // Save the changed record and its audit entry, then keep the new data set
+  const commit = async ({ data: next, record, entry }) => {
+    await commitChanges([
+      record
+        ? { storeName: entry.collection, put: [record] }
+        : { storeName: entry.collection, remove: [entry.recordId] },
+      { storeName: AUDIT_COLLECTION, put: [entry] },
+    ]);
+    data = next;
+    return { record, entry };
+  };
+
+  return {
+    loadAll: async () => {
+      data = await loadData(generateMockData);
+      return Object.fromEntries(COLLECTIONS.map(name => [name, data[name]]));
+    },
+    create: async (collection, input) => (
+      (await commit(applyCreate(data, collection, input, getOperator()))).record
+    ),
+    // Every record and audit entry goes into one transaction, so a failed
+    // write leaves nothing behind
+    importRecords: async (collection, inputs) => {
+      const { data: next, records, entries } = applyImport(data, collection, inputs, getOperator());
+      await commitChanges([
+        { storeName: collection, put: records },
+        { storeName: AUDIT_COLLECTION, put: entries },
+      ]);
+      data = next;
+      return records;
+    },
+    update: async (collection, id, changes) => (
+      (await commit(applyUpdate(data, collection, id, changes, getOperator()))).record
+    ),
+    remove: async (collection, id) => {
+      await commit(applyRemove(data, collection, id, getOperator()));
+      return null;
+    },
+    auditLog: async () => data[AUDIT_COLLECTION],
+    undo: async (entryId) => (await commit(applyUndo(data, entryId, getOperator()))).entry,
+    // Replace all stored data with a generated scenario. `options` go to generateMockData.
+    loadScenario: async (options) => {
+      data = await replaceData(generateMockData(options));
+      return null;
+    },
+  };
+};
+
+const API_URL = import.meta.env.VITE_API_URL;
+
+export const client = API_URL ? createRestClient(API_URL) : createLocalClient();
+
+export const canLoadScenarios = !API_URL;
+
+// Readable message for alerts, including validation details
+export const describeError = (err) => (
+  err.details && err.details.length > 0
+    ? `${err.message}: ${err.details.join(', ')}`
+    : err.message
+);
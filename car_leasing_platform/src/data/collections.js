@@ -0,0 +1,517 @@
+// Collection rules shared by the REST server and the browser-only store:
+// validation, ID assignment and referential checks.
+import { ID_PREFIXES, nextId } from './ids.js';
+import { parseDate } from '../domain/dates.js';
+import { LEASE_STATUS_LABELS } from '../domain/leases.js';
+import { LATE_FEE_TYPES } from '../domain/lateFees.js';
+import { VEHICLE_EVENT_TYPES } from '../domain/utilization.js';
+import { SERVICE_STATUS_LABELS } from '../domain/vehicles.js';
+import { MAINTENANCE_TYPE_LABELS } from '../domain/maintenance.js';
+import { ODOMETER_READING_KIND_LABELS } from '../domain/mileage.js';
+import { DEPRECIATION_METHOD_LABELS } from '../domain/depreciation.js';
+import { BODY_TYPE_LABELS } from '../domain/categories.js';
+import {
+  PAYMENT_STATE_LABELS, ADJUSTMENT_LABELS, paymentState, refundedAmount,
+} from '../domain/payments.js';
+
+export const COLLECTIONS = [
+  'vehicles', 'lessees', 'payments', 'leases', 'lateFeePolicies', 'vehicleEvents',
+  'maintenance', 'serviceReminders', 'odometerReadings', 'vehicleCategories',
+];
+
+export class DataError extends Error {
+  constructor(message, { status = 400, details = [] } = {}) {
+    super(message);
+    this.name = 'DataError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const LEASE_STATUSES = Object.keys(LEASE_STATUS_LABELS);
+const FEE_TYPES = Object.keys(LATE_FEE_TYPES);
+const PAYMENT_STATES = Object.keys(PAYMENT_STATE_LABELS);
+const ADJUSTMENT_TYPES = Object.keys(ADJUSTMENT_LABELS);
+const SERVICE_STATUSES = Object.keys(SERVICE_STATUS_LABELS);
+const MAINTENANCE_TYPES = Object.keys(MAINTENANCE_TYPE_LABELS);
+const READING_KINDS = Object.keys(ODOMETER_READING_KIND_LABELS);
+const DEPRECIATION_METHODS = Object.keys(DEPRECIATION_METHOD_LABELS);
+const BODY_TYPES = Object.keys(BODY_TYPE_LABELS);
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+// A real calendar day: Date would quietly roll 2026-02-30 over into March
+const isIsoDate = (value) => typeof value === 'string'
+  && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && parseDate(value) === value;
+const isMileage = (value) => Number.isInteger(value) && value >= 0;
+const isOptionalAmount = (value) => value == null || (typeof value === 'number' && value >= 0);
+
+// Service records outlive a deleted vehicle, but must name one that was in the fleet
+const knownVehicle = (vehicleId, data) => (
+  data.vehicles.some(v => v.id === vehicleId) || data.vehicleEvents.some(e => e.vehicleId === vehicleId)
+);
+
+// Adjustments are an append-only trail: each needs a type, date and reason,
+// nothing may follow a reversal, and the status must match what they imply
+const adjustmentErrors = (payment) => {
+  const adjustments = payment.adjustments === undefined ? [] : payment.adjustments;
+  if (!Array.isArray(adjustments) || adjustments.some(a => (
+    !a || !ADJUSTMENT_TYPES.includes(a.type) || !isIsoDate(a.date) || !isNonEmptyString(a.reason)
+  ))) {
+    return [`adjustments must each have a type (${ADJUSTMENT_TYPES.join(', ')}), a date and a reason`];
+  }
+
+  const errors = [];
+  const reversalAt = adjustments.findIndex(a => a.type === 'reversal');
+  if (reversalAt !== -1 && reversalAt !== adjustments.length - 1) {
+    errors.push('a reversed payment cannot be adjusted any further');
+  }
+  if (adjustments.some(a => a.type === 'refund' && (typeof a.amount !== 'number' || !(a.amount > 0)))) {
+    errors.push('refunds must be for a positive amount');
+  } else if (refundedAmount(payment) > payment.amount) {
+    errors.push('refunds cannot add up to more than the payment amount');
+  }
+  if (adjustments.some(a => a.type === 'correction' && typeof a.previousAmount !== 'number')) {
+    errors.push('corrections must record the previous amount');
+  }
+  if (errors.length === 0 && PAYMENT_STATES.includes(payment.status) && payment.status !== paymentState(payment)) {
+    errors.push(`status must be "${paymentState(payment)}" given the adjustments`);
+  }
+  return errors;
+};
+
+// Cost and date go together; the residual value is optional and defaults to nothing
+const acquisitionErrors = (vehicle) => {
+  const errors = [];
+  if (vehicle.acquisitionCost != null && (typeof vehicle.acquisitionCost !== 'number' || !(vehicle.acquisitionCost > 0))) {
+    errors.push('acquisitionCost must be empty or a positive number');
+  }
+  if (vehicle.acquisitionDate != null && !isIsoDate(vehicle.acquisitionDate)) {
+    errors.push('acquisitionDate must be empty or a YYYY-MM-DD date');
+  }
+  if ((vehicle.acquisitionCost == null) !== (vehicle.acquisitionDate == null)) {
+    errors.push('acquisitionCost and acquisitionDate must be given together');
+  }
+  if (vehicle.residualValue != null && (
+    typeof vehicle.residualValue !== 'number' || !(vehicle.residualValue >= 0)
+    || (typeof vehicle.acquisitionCost === 'number' && vehicle.residualValue > vehicle.acquisitionCost)
+  )) {
+    errors.push('residualValue must be empty or between zero and the acquisition cost');
+  }
+  if (!DEPRECIATION_METHODS.includes(vehicle.depreciationMethod)) {
+    errors.push(`depreciationMethod must be one of ${DEPRECIATION_METHODS.join(', ')}`);
+  }
+  if (!Number.isInteger(vehicle.usefulLifeYears) || vehicle.usefulLifeYears < 1 || vehicle.usefulLifeYears > 30) {
+    errors.push('usefulLifeYears must be a whole number between 1 and 30');
+  }
+  return errors;
+};
+
+const validators = {
+  vehicles: (vehicle, data) => {
+    const errors = [];
+    const maxYear = new Date().getFullYear() + 1;
+    if (!isNonEmptyString(vehicle.make)) errors.push('make is required');
+    if (!isNonEmptyString(vehicle.model)) errors.push('model is required');
+    if (!Number.isInteger(vehicle.year) || vehicle.year < 1990 || vehicle.year > maxYear) {
+      errors.push(`year must be a whole number between 1990 and ${maxYear}`);
+    }
+    if (!isNonEmptyString(vehicle.color)) errors.push('color is required');
+    if (typeof vehicle.leaseAmount !== 'number' || !(vehicle.leaseAmount > 0)) {
+      errors.push('leaseAmount must be a positive number');
+    }
+    if (typeof vehicle.isLeased !== 'boolean') errors.push('isLeased must be true or false');
+    if (!SERVICE_STATUSES.includes(vehicle.serviceStatus)) {
+      errors.push(`serviceStatus must be one of ${SERVICE_STATUSES.join(', ')}`);
+    } else if (vehicle.isLeased && vehicle.serviceStatus !== 'inService') {
+      errors.push('a leased vehicle must be in service');
+    }
+    if (vehicle.lessee && !data.lessees.some(l => l.id === vehicle.lessee)) {
+      errors.push(`lessee ${vehicle.lessee} does not exist`);
+    }
+    // Only registering a lease leases the vehicle, and only ending it frees the vehicle
+    const activeLease = data.leases.find(l => l.vehicleId === vehicle.id && l.status === 'active');
+    if (activeLease && (!vehicle.isLeased || vehicle.lessee !== activeLease.lesseeId)) {
+      errors.push(`vehicle is on active lease ${activeLease.id}, so it must stay leased to ${activeLease.lesseeId}`);
+    } else if (!activeLease && (vehicle.isLeased || vehicle.lessee)) {
+      errors.push('vehicle has no active lease, so it must not be leased; register a lease for it instead');
+    }
+    if (vehicle.bodyType != null && !BODY_TYPES.includes(vehicle.bodyType)) {
+      errors.push(`bodyType must be empty or one of ${BODY_TYPES.join(', ')}`);
+    }
+    errors.push(...acquisitionErrors(vehicle));
+    return errors;
+  },
+
+  lessees: (lessee) => {
+    const errors = [];
+    if (!isNonEmptyString(lessee.name)) errors.push('name is required');
+    if (!EMAIL_PATTERN.test(lessee.email || '')) errors.push('email must be a valid address');
+    if (!isNonEmptyString(lessee.phone)) errors.push('phone is required');
+    if (!isIsoDate(lessee.startDate)) errors.push('startDate must be a YYYY-MM-DD date');
+    if (lessee.notes != null && typeof lessee.notes !== 'string') errors.push('notes must be text');
+    return errors;
+  },
+
+  payments: (payment, data) => {
+    const errors = [];
+    if (!data.lessees.some(l => l.id === payment.lesseeId)) {
+      errors.push(`lessee ${payment.lesseeId} does not exist`);
+    }
+    // Payments recorded before leases existed may not belong to one
+    if (payment.leaseId && !data.leases.some(l => l.id === payment.leaseId && l.lesseeId === payment.lesseeId)) {
+      errors.push(`lease ${payment.leaseId} does not belong to lessee ${payment.lesseeId}`);
+    }
+    if (typeof payment.amount !== 'number' || !(payment.amount > 0)) {
+      errors.push('amount must be a positive number');
+    }
+    if (!isIsoDate(payment.date)) errors.push('date must be a YYYY-MM-DD date');
+    // Set on payments recorded from a bank statement
+    if (payment.bankReference != null && !isNonEmptyString(payment.bankReference)) {
+      errors.push('bankReference must be empty or text');
+    }
+    if (!PAYMENT_STATES.includes(payment.status)) {
+      errors.push(`status must be one of ${PAYMENT_STATES.join(', ')}`);
+    }
+    errors.push(...adjustmentErrors(payment));
+    return errors;
+  },
+
+  leases: (lease, data) => {
+    const errors = [];
+    if (!data.lessees.some(l => l.id === lease.lesseeId)) {
+      errors.push(`lessee ${lease.lesseeId} does not exist`);
+    }
+    // Past leases may outlive a deleted vehicle; only active ones must point at a real car
+    const vehicle = data.vehicles.find(v => v.id === lease.vehicleId);
+    if (lease.status === 'active' && !vehicle) {
+      errors.push(`vehicle ${lease.vehicleId} does not exist`);
+    } else if (lease.status === 'active' && vehicle.serviceStatus !== 'inService') {
+      errors.push(`vehicle ${lease.vehicleId} is out of service`);
+    }
+    if (lease.status === 'active' && data.leases.some(l => (
+      l.id !== lease.id && l.vehicleId === lease.vehicleId && l.status === 'active'
+    ))) {
+      errors.push(`vehicle ${lease.vehicleId} already has an active lease`);
+    }
+    if (!Number.isInteger(lease.termMonths) || lease.termMonths < 1 || lease.termMonths > 120) {
+      errors.push('termMonths must be a whole number between 1 and 120');
+    }
+    if (typeof lease.monthlyRate !== 'number' || !(lease.monthlyRate > 0)) {
+      errors.push('monthlyRate must be a positive number');
+    }
+    if (typeof lease.deposit !== 'number' || !(lease.deposit >= 0)) {
+      errors.push('deposit must be zero or more');
+    }
+    if (!Number.isInteger(lease.mileageAllowance) || lease.mileageAllowance < 0) {
+      errors.push('mileageAllowance must be a whole number of miles per year');
+    }
+    if (typeof lease.excessMileageRate !== 'number' || !(lease.excessMileageRate >= 0)) {
+      errors.push('excessMileageRate must be zero or more dollars per mile');
+    }
+    // Billed once the vehicle is back, so only an ended lease can carry it
+    if (lease.excessMileage != null && (
+      lease.status === 'active'
+      || !isMileage(lease.excessMileage.miles)
+      || typeof lease.excessMileage.amount !== 'number' || !(lease.excessMileage.amount >= 0)
+    )) {
+      errors.push('excessMileage must be empty, or the miles and amount billed when the lease ended');
+    }
+    if (!isIsoDate(lease.startDate)) errors.push('startDate must be a YYYY-MM-DD date');
+    if (!isIsoDate(lease.endDate) || !(lease.endDate > lease.startDate)) {
+      errors.push('endDate must be a YYYY-MM-DD date after startDate');
+    }
+    if (!LEASE_STATUSES.includes(lease.status)) {
+      errors.push(`status must be one of ${LEASE_STATUSES.join(', ')}`);
+    }
+    if (lease.status === 'active' ? lease.endedOn : !isIsoDate(lease.endedOn)) {
+      errors.push('endedOn must be set once a lease is ended, and only then');
+    }
+    return errors;
+  },
+
+  lateFeePolicies: (policy) => {
+    const errors = [];
+    if (!isIsoDate(policy.effectiveFrom)) errors.push('effectiveFrom must be a YYYY-MM-DD date');
+    if (!Number.isInteger(policy.graceDays) || policy.graceDays < 0 || policy.graceDays > 60) {
+      errors.push('graceDays must be a whole number between 0 and 60');
+    }
+    if (!FEE_TYPES.includes(policy.feeType)) {
+      errors.push(`feeType must be one of ${FEE_TYPES.join(', ')}`);
+    }
+    if (typeof policy.feeAmount !== 'number' || !(policy.feeAmount >= 0)) {
+      errors.push('feeAmount must be zero or more');
+    } else if (policy.feeType === 'percent' && policy.feeAmount > 100) {
+      errors.push('a percentage feeAmount cannot be more than 100');
+    }
+    if (policy.feeCap != null && (typeof policy.feeCap !== 'number' || !(policy.feeCap >= 0))) {
+      errors.push('feeCap must be empty or zero or more');
+    }
+    if (typeof policy.dailyInterestRate !== 'number' || !(policy.dailyInterestRate >= 0) || policy.dailyInterestRate > 1) {
+      errors.push('dailyInterestRate must be a percentage between 0 and 1');
+    }
+    return errors;
+  },
+
+  // Events may refer to vehicles that have since been removed
+  vehicleEvents: (event, data) => {
+    const errors = [];
+    if (!isNonEmptyString(event.vehicleId)) errors.push('vehicleId is required');
+    if (!VEHICLE_EVENT_TYPES.includes(event.type)) {
+      errors.push(`type must be one of ${VEHICLE_EVENT_TYPES.join(', ')}`);
+    }
+    if (!isIsoDate(event.date)) errors.push('date must be a YYYY-MM-DD date');
+    if (!isNonEmptyString(event.make)) errors.push('make is required');
+    if (typeof event.leaseAmount !== 'number' || !(event.leaseAmount > 0)) {
+      errors.push('leaseAmount must be a positive number');
+    }
+    if (event.leaseId && !data.leases.some(l => l.id === event.leaseId && l.vehicleId === event.vehicleId)) {
+      errors.push(`lease ${event.leaseId} is not a lease of vehicle ${event.vehicleId}`);
+    }
+    return errors;
+  },
+
+  maintenance: (record, data) => {
+    const errors = [];
+    if (!knownVehicle(record.vehicleId, data)) errors.push(`vehicle ${record.vehicleId} does not exist`);
+    if (!isIsoDate(record.date)) errors.push('date must be a YYYY-MM-DD date');
+    if (!MAINTENANCE_TYPES.includes(record.type)) {
+      errors.push(`type must be one of ${MAINTENANCE_TYPES.join(', ')}`);
+    }
+    if (typeof record.cost !== 'number' || !(record.cost >= 0)) errors.push('cost must be zero or more');
+    if (!isMileage(record.odometer)) errors.push('odometer must be a whole number of miles');
+    if (!isNonEmptyString(record.vendor)) errors.push('vendor is required');
+    if (record.notes != null && typeof record.notes !== 'string') errors.push('notes must be text');
+    return errors;
+  },
+
+  // Due on a date, at a mileage or whichever comes first
+  serviceReminders: (reminder, data) => {
+    const errors = [];
+    if (!knownVehicle(reminder.vehicleId, data)) errors.push(`vehicle ${reminder.vehicleId} does not exist`);
+    if (!isNonEmptyString(reminder.description)) errors.push('description is required');
+    if (reminder.dueDate != null && !isIsoDate(reminder.dueDate)) {
+      errors.push('dueDate must be empty or a YYYY-MM-DD date');
+    }
+    if (reminder.dueOdometer != null && !isMileage(reminder.dueOdometer)) {
+      errors.push('dueOdometer must be empty or a whole number of miles');
+    }
+    if (reminder.dueDate == null && reminder.dueOdometer == null) {
+      errors.push('a reminder needs a dueDate, a dueOdometer or both');
+    }
+    if (reminder.completedOn != null && !isIsoDate(reminder.completedOn)) {
+      errors.push('completedOn must be empty or a YYYY-MM-DD date');
+    }
+    return errors;
+  },
+
+  // Readings of one vehicle can't go down over time
+  odometerReadings: (reading, data) => {
+    const errors = [];
+    if (!knownVehicle(reading.vehicleId, data)) errors.push(`vehicle ${reading.vehicleId} does not exist`);
+    if (reading.leaseId && !data.leases.some(l => l.id === reading.leaseId && l.vehicleId === reading.vehicleId)) {
+      errors.push(`lease ${reading.leaseId} is not a lease of vehicle ${reading.vehicleId}`);
+    }
+    if (!READING_KINDS.includes(reading.kind)) {
+      errors.push(`kind must be one of ${READING_KINDS.join(', ')}`);
+    }
+    if (!isIsoDate(reading.date)) errors.push('date must be a YYYY-MM-DD date');
+    if (!isMileage(reading.odometer)) {
+      errors.push('odometer must be a whole number of miles');
+    } else if (isIsoDate(reading.date)) {
+      const others = data.odometerReadings.filter(r => r.vehicleId === reading.vehicleId && r.id !== reading.id);
+      if (others.some(r => (r.date < reading.date && r.odometer > reading.odometer)
+        || (r.date > reading.date && r.odometer < reading.odometer))) {
+        errors.push(`odometer ${reading.odometer} is out of line with the vehicle's other readings`);
+      }
+    }
+    return errors;
+  },
+
+  vehicleCategories: (category, data) => {
+    const errors = [];
+    if (!isNonEmptyString(category.name)) {
+      errors.push('name is required');
+    } else if (data.vehicleCategories.some(c => (
+      c.id !== category.id && c.name.trim().toLowerCase() === category.name.trim().toLowerCase()
+    ))) {
+      errors.push(`there is already a category named ${category.name}`);
+    }
+    if (!COLOR_PATTERN.test(category.color || '')) errors.push('color must be a hex colour such as #3b82f6');
+    if (!Number.isInteger(category.position) || category.position < 0) {
+      errors.push('position must be a whole number, zero or more');
+    }
+    if (!isOptionalAmount(category.minLeaseAmount) || !isOptionalAmount(category.maxLeaseAmount)) {
+      errors.push('minLeaseAmount and maxLeaseAmount must be empty or zero or more');
+    } else if (category.minLeaseAmount != null && category.maxLeaseAmount != null
+      && !(category.maxLeaseAmount > category.minLeaseAmount)) {
+      errors.push('maxLeaseAmount must be more than minLeaseAmount');
+    }
+    if (!Array.isArray(category.bodyTypes) || category.bodyTypes.some(type => !BODY_TYPES.includes(type))) {
+      errors.push(`bodyTypes must be a list of ${BODY_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(category.makes) || !category.makes.every(isNonEmptyString)) {
+      errors.push('makes must be a list of makes');
+    }
+    return errors;
+  },
+};
+
+// Records that still point at a record and block its deletion
+const references = {
+  vehicles: (id, data) => data.leases
+    .filter(l => l.vehicleId === id && l.status === 'active')
+    .map(l => l.id),
+  lessees: (id, data) => [
+    ...data.vehicles.filter(v => v.lessee === id).map(v => v.id),
+    ...data.payments.filter(p => p.lesseeId === id).map(p => p.id),
+    ...data.leases.filter(l => l.lesseeId === id).map(l => l.id),
+  ],
+  payments: () => [],
+  // An active lease is held by its vehicle until the lease is ended
+  leases: (id, data) => {
+    const lease = data.leases.find(l => l.id === id);
+    return [
+      ...data.vehicles
+        .filter(v => lease.status === 'active' && v.id === lease.vehicleId && v.isLeased)
+        .map(v => v.id),
+      ...data.payments.filter(p => p.leaseId === id).map(p => p.id),
+    ];
+  },
+  lateFeePolicies: () => [],
+  vehicleEvents: () => [],
+  maintenance: () => [],
+  serviceReminders: () => [],
+  odometerReadings: () => [],
+  // Vehicles are matched to categories by rules and never point at one
+  vehicleCategories: () => [],
+};
+
+export const assertCollection = (collection) => {
+  if (!COLLECTIONS.includes(collection)) {
+    throw new DataError(`Unknown collection: ${collection}`, { status: 404 });
+  }
+};
+
+export const getRecord = (data, collection, id) => {
+  assertCollection(collection);
+  const record = data[collection].find(r => r.id === id);
+  if (!record) throw new DataError(`${id} not found`, { status: 404 });
+  return record;
+};
+
+const assertValid = (collection, record, data) => {
+  const errors = validators[collection](record, data);
+  if (errors.length > 0) {
+    throw new DataError(`Invalid ${collection} record`, { details: errors });
+  }
+};
+
+// IDs of deleted records that the audit log still mentions
+const retiredIds = (data, collection) => (data.auditLog || [])
+  .filter(e => e.collection === collection)
+  .map(e => e.recordId);
+
+// Build a new record ready to store. The ID is always generated here so
+// clients can't collide with existing records, and IDs of deleted records
+// are never handed out again.
+export const prepareCreate = (data, collection, input) => {
+  assertCollection(collection);
+  const { id: _ignored, ...fields } = input;
+  const usedIds = [...data[collection], ...retiredIds(data, collection).map(id => ({ id }))];
+  const record = { id: nextId(ID_PREFIXES[collection], usedIds), ...fields };
+  assertValid(collection, record, data);
+  return record;
+};
+
+// Check a batch of records as if they were created one after another, so
+// later rows can rely on earlier ones. Unlike prepareCreate, rows may keep
+// the ID they had elsewhere (e.g. in a spreadsheet) as long as it isn't in
+// use; rows without one get the next free ID. Returns { record, errors }
+// for every row, for previewing an import before committing it.
+export const checkImport = (data, collection, inputs) => {
+  assertCollection(collection);
+  const existingIds = new Set(data[collection].map(r => r.id));
+  const deletedIds = new Set(retiredIds(data, collection));
+  const givenIds = inputs.map(input => (isNonEmptyString(input.id) ? input.id.trim() : null));
+  const usedIds = [...existingIds, ...deletedIds, ...givenIds.filter(Boolean)].map(id => ({ id }));
+  const seenIds = new Set();
+  let records = data[collection];
+
+  return inputs.map((input, idx) => {
+    const errors = [];
+    let id = givenIds[idx];
+    if (!id) {
+      id = nextId(ID_PREFIXES[collection], usedIds);
+      usedIds.push({ id });
+    } else if (existingIds.has(id)) {
+      errors.push(`${id} already exists`);
+    } else if (deletedIds.has(id)) {
+      errors.push(`${id} belonged to a deleted record`);
+    } else if (seenIds.has(id)) {
+      errors.push(`${id} appears more than once`);
+    }
+    seenIds.add(id);
+
+    const record = { ...input, id };
+    errors.push(...validators[collection](record, { ...data, [collection]: records }));
+    if (errors.length === 0) records = [...records, record];
+    return { record, errors };
+  });
+};
+
+// All-or-nothing version of checkImport: the records to store, or an error
+// listing every problem row (numbered from 1) if any row is invalid
+export const prepareImport = (data, collection, inputs) => {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new DataError('Nothing to import');
+  }
+  if (inputs.some(input => typeof input !== 'object' || input === null || Array.isArray(input))) {
+    throw new DataError('Every imported record must be an object');
+  }
+  const rows = checkImport(data, collection, inputs);
+  const problems = rows
+    .map(({ errors }, idx) => (errors.length > 0 ? `row ${idx + 1}: ${errors.join('; ')}` : null))
+    .filter(Boolean);
+  if (problems.length > 0) {
+    throw new DataError(`Import rejected, ${problems.length} of ${rows.length} rows are invalid`, {
+      details: problems,
+    });
+  }
+  return rows.map(({ record }) => record);
+};
+
+export const prepareUpdate = (data, collection, id, changes) => {
+  const existing = getRecord(data, collection, id);
+  const record = { ...existing, ...changes, id };
+  assertValid(collection, record, data);
+  return record;
+};
+
+// Replace a record as a whole instead of merging changes into it
+export const prepareReplace = (data, collection, id, record) => {
+  getRecord(data, collection, id);
+  const replaced = { ...record, id };
+  assertValid(collection, replaced, data);
+  return replaced;
+};
+
+// Put a deleted record back under its original ID
+export const prepareRestore = (data, collection, record) => {
+  assertCollection(collection);
+  if (data[collection].some(r => r.id === record.id)) {
+    throw new DataError(`${record.id} already exists`, { status: 409 });
+  }
+  assertValid(collection, record, data);
+  return record;
+};
+
+export const checkDelete = (data, collection, id) => {
+  getRecord(data, collection, id);
+  const referencedBy = references[collection](id, data);
+  if (referencedBy.length > 0) {
+    throw new DataError(`${id} is still referenced`, { status: 409, details: referencedBy });
+  }
+};
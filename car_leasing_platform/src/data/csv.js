@@ -0,0 +1,68 @@
+// Reading and writing CSV files as spreadsheets produce them: comma
+// separated, fields quoted when they contain commas, quotes or line breaks.
+import { downloadFile } from './download.js';
+
+// Rows of cells, skipping blank lines
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, ''); // Excel's byte order mark
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch !== '"') field += ch;
+      else if (source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else inQuotes = false;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Text starting like a formula is prefixed with ' so spreadsheets show it
+// as text instead of running it (see unescapeFormula)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo escapeCell's prefix on a cell read back from an exported file
+export const unescapeFormula = (text) => (
+  text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text
+);
+
+// `columns` is a list of { header, value: row => cell }
+export const toCsv = (columns, rows) => [
+  columns.map(column => escapeCell(column.header)),
+  ...rows.map(row => columns.map(column => escapeCell(column.value(row)))),
+].map(cells => cells.join(',')).join('\r\n');
+
+// Save CSV text as a file. The byte order mark makes Excel read it as UTF-8.
+export const downloadCsv = (filename, csv) => downloadFile(
+  filename,
+  new Blob([`\uFEFF${csv}`], { type: 'text/csv;charset=utf-8' }),
+);
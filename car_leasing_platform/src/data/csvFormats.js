@@ -0,0 +1,127 @@
+// What each table looks like as CSV. Vehicles, lessees and payments export
+// with the same headers the import recognises, so an export can be edited in
+// a spreadsheet and imported again.
+import { toCsv, unescapeFormula } from './csv.js';
+import { AGING_BUCKETS } from '../domain/aging.js';
+import { parseDate } from '../domain/dates.js';
+import { DEFAULT_USEFUL_LIFE_YEARS } from '../domain/depreciation.js';
+import { PAYMENT_STATE_LABELS, netPaymentAmount } from '../domain/payments.js';
+
+// Importable fields per collection. `type` controls how cells are read;
+// `choice` cells take a key or label of `choices`. Empty or unmapped cells
+// become `blank` (null by default); required fields left empty are then
+// reported by validation.
+export const IMPORT_FIELDS = {
+  vehicles: [
+    { key: 'id', label: 'Vehicle ID', type: 'text', optional: true },
+    { key: 'make', label: 'Make', type: 'text' },
+    { key: 'model', label: 'Model', type: 'text' },
+    { key: 'year', label: 'Year', type: 'number' },
+    { key: 'color', label: 'Color', type: 'text' },
+    { key: 'bodyType', label: 'Body Type', type: 'text', optional: true },
+    { key: 'leaseAmount', label: 'Monthly Lease ($)', type: 'number' },
+    // Read so that a leased row is reported instead of imported as available;
+    // vehicles can only be leased through registration
+    { key: 'isLeased', label: 'Leased', type: 'boolean', optional: true, blank: false },
+    { key: 'lessee', label: 'Lessee ID', type: 'text', optional: true },
+    { key: 'acquisitionCost', label: 'Acquisition Cost ($)', type: 'number', optional: true },
+    { key: 'acquisitionDate', label: 'Acquisition Date', type: 'date', optional: true },
+    { key: 'residualValue', label: 'Residual Value ($)', type: 'number', optional: true },
+  ],
+  lessees: [
+    { key: 'id', label: 'Lessee ID', type: 'text', optional: true },
+    { key: 'name', label: 'Name', type: 'text' },
+    { key: 'email', label: 'Email', type: 'text' },
+    { key: 'phone', label: 'Phone', type: 'text' },
+    { key: 'startDate', label: 'Start Date', type: 'date' },
+  ],
+  payments: [
+    { key: 'id', label: 'Payment ID', type: 'text', optional: true },
+    { key: 'lesseeId', label: 'Lessee ID', type: 'text' },
+    { key: 'leaseId', label: 'Lease ID', type: 'text', optional: true },
+    { key: 'amount', label: 'Amount ($)', type: 'number' },
+    { key: 'date', label: 'Date', type: 'date' },
+    // Read so that a reversed or refunded row is reported instead of imported
+    // as completed; adjustments are recorded on the payment once imported
+    {
+      key: 'status', label: 'Status', type: 'choice', choices: PAYMENT_STATE_LABELS, optional: true, blank: 'completed',
+    },
+  ],
+};
+
+// Set on every imported record of a collection
+const IMPORT_DEFAULTS = {
+  vehicles: {
+    serviceStatus: 'inService', depreciationMethod: 'straightLine', usefulLifeYears: DEFAULT_USEFUL_LIFE_YEARS,
+  },
+};
+
+const normalize = (text) => String(text).toLowerCase().replace(/\([^)]*\)|[^a-z0-9]/g, '');
+
+// Column index for each field whose key or label matches a header, '' otherwise
+export const guessMapping = (collection, headers) => Object.fromEntries(
+  IMPORT_FIELDS[collection].map(field => {
+    const idx = headers.findIndex(header => (
+      [normalize(field.key), normalize(field.label)].includes(normalize(header))
+    ));
+    return [field.key, idx === -1 ? '' : idx];
+  }),
+);
+
+// Cells are converted where they can be and otherwise passed through as
+// text, so validation reports the bad value instead of it being dropped
+const readCell = ({ type, choices }, text) => {
+  if (type === 'number') {
+    const number = Number(text.replace(/[$,\s]/g, ''));
+    return Number.isNaN(number) ? text : number;
+  }
+  if (type === 'boolean') {
+    if (/^(true|yes|y|1)$/i.test(text)) return true;
+    if (/^(false|no|n|0)$/i.test(text)) return false;
+    return text;
+  }
+  if (type === 'date') return parseDate(text) || text;
+  if (type === 'choice') {
+    const key = Object.keys(choices).find(choice => (
+      [normalize(choice), normalize(choices[choice])].includes(normalize(text))
+    ));
+    return key || text;
+  }
+  return unescapeFormula(text);
+};
+
+// Records from CSV rows (without the header row) using a field → column mapping
+export const recordsFromRows = (collection, rows, mapping) => rows.map(cells => {
+  const record = { ...IMPORT_DEFAULTS[collection] };
+  IMPORT_FIELDS[collection].forEach(field => {
+    const column = mapping[field.key];
+    const text = column === '' || column === undefined ? '' : (cells[column] || '').trim();
+    record[field.key] = text === '' ? (field.blank ?? null) : readCell(field, text);
+  });
+  return record;
+});
+
+const fieldColumns = (collection) => IMPORT_FIELDS[collection].map(field => ({
+  header: field.label,
+  value: record => (field.choices ? field.choices[record[field.key]] : record[field.key]),
+}));
+
+export const vehiclesCsv = (vehicles) => toCsv(fieldColumns('vehicles'), vehicles);
+
+export const lesseesCsv = (lessees) => toCsv(fieldColumns('lessees'), lessees);
+
+export const paymentsCsv = (payments) => toCsv([
+  ...fieldColumns('payments'),
+  { header: 'Net Amount ($)', value: netPaymentAmount },
+], payments);
+
+// `rows` as returned by lesseeAging
+export const overdueCsv = (rows) => toCsv([
+  { header: 'Lessee ID', value: row => row.lessee.id },
+  { header: 'Name', value: row => row.lessee.name },
+  { header: 'Email', value: row => row.lessee.email },
+  ...AGING_BUCKETS.map(bucket => ({ header: bucket.label, value: row => row.buckets[bucket.key] })),
+  { header: 'Late Fees ($)', value: row => row.fees },
+  { header: 'Total Owed ($)', value: row => row.total },
+  { header: 'Oldest Due Date', value: row => row.oldestDueDate },
+], rows);
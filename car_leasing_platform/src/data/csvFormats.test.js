@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from './csv.js';
+import {
+  guessMapping, lesseesCsv, paymentsCsv, recordsFromRows,
+} from './csvFormats.js';
+import { COLLECTIONS, checkImport } from './collections.js';
+
+const empty = () => Object.fromEntries([...COLLECTIONS, 'auditLog'].map(collection => [collection, []]));
+
+// Parse an exported file back into records the way the import wizard does
+const reimport = (collection, csv) => {
+  const [headers, ...rows] = parseCsv(csv);
+  return recordsFromRows(collection, rows, guessMapping(collection, headers));
+};
+
+test('parseCsv reads quoted commas, quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n\r\n'), [
+    ['a', 'b'],
+    ['x, y', 'say "hi"\nthere'],
+  ]);
+});
+
+test('text that looks like a formula is exported as text and imported unchanged', () => {
+  const lessees = [{
+    id: 'LSE-1', name: '=HYPERLINK("http://evil.example")', email: '@ada@example.com', phone: '+1 555 0100', startDate: '2026-01-01',
+  }];
+  const csv = lesseesCsv(lessees);
+  assert.equal(csv.split('\r\n')[1], `LSE-1,"'=HYPERLINK(""http://evil.example"")",'@ada@example.com,'+1 555 0100,2026-01-01`);
+  assert.deepEqual(reimport('lessees', csv), lessees);
+});
+
+test('payments round-trip with their status, and only completed ones import', () => {
+  const payments = [
+    {
+      id: 'PAY-1', lesseeId: 'LSE-1', leaseId: null, amount: 500, date: '2026-01-01', status: 'completed',
+    },
+    {
+      id: 'PAY-2',
+      lesseeId: 'LSE-1',
+      leaseId: null,
+      amount: 500,
+      date: '2026-02-01',
+      status: 'reversed',
+      adjustments: [{ type: 'reversal', date: '2026-02-03', reason: 'Bounced' }],
+    },
+  ];
+  const records = reimport('payments', paymentsCsv(payments));
+  assert.deepEqual(records.map(r => r.status), ['completed', 'reversed']);
+
+  const data = {
+    ...empty(),
+    lessees: [{
+      id: 'LSE-1', name: 'Ada', email: 'ada@example.com', phone: '555-0100', startDate: '2026-01-01',
+    }],
+  };
+  const [completed, reversed] = checkImport(data, 'payments', records);
+  assert.deepEqual(completed.errors, []);
+  assert.deepEqual(reversed.errors, ['status must be "completed" given the adjustments']);
+});
+
+test('a payment file without a status column imports as completed', () => {
+  const [record] = reimport('payments', 'Lessee ID,Amount ($),Date\nLSE-1,"$1,200",3/15/2026');
+  assert.deepEqual(record, {
+    id: null, lesseeId: 'LSE-1', leaseId: null, amount: 1200, date: '2026-03-15', status: 'completed',
+  });
+});
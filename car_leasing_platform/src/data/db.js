@@ -0,0 +1,169 @@
+// IndexedDB persistence for the dashboard data
+import { SCHEMA_VERSION, migrateData } from './migrations';
+
+const DB_NAME = 'easylease';
+
+// Object store changes, one entry per schema version (SCHEMA_VERSION in all).
+// Never edit a step that has shipped; append a new one instead so existing
+// browsers upgrade step by step. Changes to the records themselves belong in
+// migrations.js.
+const SCHEMA_STEPS = [
+  // v1: one object store per collection
+  (db) => {
+    db.createObjectStore('vehicles', { keyPath: 'id' });
+    db.createObjectStore('lessees', { keyPath: 'id' });
+    db.createObjectStore('payments', { keyPath: 'id' });
+  },
+  // v2: lease contracts
+  (db) => {
+    db.createObjectStore('leases', { keyPath: 'id' });
+  },
+  // v3: records only (multiple leases per lessee)
+  () => {},
+  // v4: late-fee policies
+  (db) => {
+    db.createObjectStore('lateFeePolicies', { keyPath: 'id' });
+  },
+  // v5: vehicle lease/return history
+  (db) => {
+    db.createObjectStore('vehicleEvents', { keyPath: 'id' });
+  },
+  // v6: audit log
+  (db) => {
+    db.createObjectStore('auditLog', { keyPath: 'id' });
+  },
+  // v7: maintenance records and service reminders
+  (db) => {
+    db.createObjectStore('maintenance', { keyPath: 'id' });
+    db.createObjectStore('serviceReminders', { keyPath: 'id' });
+  },
+  // v8: odometer readings
+  (db) => {
+    db.createObjectStore('odometerReadings', { keyPath: 'id' });
+  },
+  // v9: records only (vehicle acquisition and depreciation)
+  () => {},
+  // v10: vehicle categories
+  (db) => {
+    db.createObjectStore('vehicleCategories', { keyPath: 'id' });
+  },
+];
+
+export const DB_VERSION = SCHEMA_VERSION;
+export const STORES = [
+  'vehicles', 'lessees', 'payments', 'leases', 'lateFeePolicies', 'vehicleEvents',
+  'maintenance', 'serviceReminders', 'odometerReadings', 'vehicleCategories', 'auditLog',
+];
+
+let dbPromise = null;
+
+// Read every store inside the upgrade transaction, run the data migrations
+// in memory and write back the collections they changed
+const migrateStoredData = (tx, fromVersion) => {
+  const storeNames = Array.from(tx.objectStoreNames);
+  const data = {};
+  let remaining = storeNames.length;
+
+  storeNames.forEach(name => {
+    tx.objectStore(name).getAll().onsuccess = (event) => {
+      data[name] = event.target.result;
+      remaining -= 1;
+      if (remaining > 0) return;
+
+      const migrated = migrateData(data, fromVersion);
+      storeNames
+        .filter(storeName => migrated[storeName] !== data[storeName])
+        .forEach(storeName => {
+          const store = tx.objectStore(storeName);
+          store.clear();
+          migrated[storeName].forEach(record => store.put(record));
+        });
+    };
+  });
+};
+
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      // Create stores for every version between the stored one and the current one
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        SCHEMA_STEPS[version](request.result);
+      }
+      if (event.oldVersion > 0) {
+        migrateStoredData(request.transaction, event.oldVersion);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+  });
+
+  // Allow a retry after a failed open
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const completeTransaction = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+});
+
+// Load every collection, seeding the store first if it is completely empty.
+// The check and the seed share one transaction so two tabs (or StrictMode's
+// double effect) can't both seed. `seed` is only called when the store is
+// empty; it must be synchronous so the transaction stays open.
+export const loadData = async (seed) => {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES, 'readwrite');
+  const data = {};
+
+  const counts = STORES.map(name => tx.objectStore(name).count());
+  counts[counts.length - 1].onsuccess = () => {
+    const isEmpty = counts.every(request => request.result === 0);
+    const seedData = isEmpty ? seed() : {};
+
+    STORES.forEach(name => {
+      const store = tx.objectStore(name);
+      (seedData[name] || []).forEach(record => store.put(record));
+      store.getAll().onsuccess = (event) => {
+        data[name] = event.target.result;
+      };
+    });
+  };
+
+  await completeTransaction(tx);
+  return data;
+};
+
+// Throw away everything stored, audit log included, and start over from
+// `data` (e.g. a mock scenario). Returns what was saved.
+export const replaceData = async (data) => {
+  const db = await openDatabase();
+  const tx = db.transaction(STORES, 'readwrite');
+  STORES.forEach(name => {
+    const store = tx.objectStore(name);
+    store.clear();
+    (data[name] || []).forEach(record => store.put(record));
+  });
+  await completeTransaction(tx);
+  return Object.fromEntries(STORES.map(name => [name, data[name] || []]));
+};
+
+// Apply puts and deletes to several stores in one transaction, so a record
+// and the audit entry describing it are saved together or not at all.
+// `changes` is a list of { storeName, put: [records], remove: [ids] }.
+export const commitChanges = async (changes) => {
+  const db = await openDatabase();
+  const tx = db.transaction([...new Set(changes.map(change => change.storeName))], 'readwrite');
+  changes.forEach(({ storeName, put = [], remove = [] }) => {
+    const store = tx.objectStore(storeName);
+    put.forEach(record => store.put(record));
+    remove.forEach(id => store.delete(id));
+  });
+  await completeTransaction(tx);
+};
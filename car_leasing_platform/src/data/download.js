@@ -0,0 +1,9 @@
+// Hand a file generated in the browser to the user as a download
+export const downloadFile = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
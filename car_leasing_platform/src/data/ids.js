@@ -0,0 +1,25 @@
+// ID prefix for each collection
+export const ID_PREFIXES = {
+  vehicles: 'VEH',
+  lessees: 'LSE',
+  payments: 'PAY',
+  leases: 'LEA',
+  lateFeePolicies: 'LFP',
+  vehicleEvents: 'VEV',
+  maintenance: 'MNT',
+  serviceReminders: 'SRV',
+  odometerReadings: 'ODO',
+  vehicleCategories: 'VCT',
+  auditLog: 'AUD',
+};
+
+// Next sequential ID for a prefix such as 'VEH' or 'PAY'. Based on the
+// highest existing number rather than the record count, so IDs stay unique
+// after records are removed.
+export const nextId = (prefix, records) => {
+  const highest = records.reduce((max, record) => {
+    const match = String(record.id).match(new RegExp(`^${prefix}-(\\d+)$`));
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 999);
+  return `${prefix}-${highest + 1}`;
+};
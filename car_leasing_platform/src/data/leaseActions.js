@@ -0,0 +1,74 @@
+// Lease workflows that touch several collections. `store` is the object
+// returned by useLeasingData (records plus create/update).
+import { addMonths, localDateString } from '../domain/dates';
+import { excessMileageFor } from '../domain/mileage';
+import { recordVehicleEvent } from './vehicleEvents';
+
+// Remove records created by a workflow that failed partway, newest first.
+// `created` holds [collection, id] pairs.
+export const rollBack = async (store, created) => {
+  for (const [collection, id] of [...created].reverse()) {
+    await store.remove(collection, id);
+  }
+};
+
+// `odometer` is the reading at handover, which mileage on the lease is
+// measured from. The vehicle is marked leased last; if any write fails, the
+// records already created are removed again so no half-started lease is left.
+export const startLease = async (store, {
+  lesseeId, vehicle, terms, odometer,
+}) => {
+  const startDate = terms.startDate || localDateString();
+  const created = [];
+  try {
+    const lease = await store.create('leases', {
+      lesseeId,
+      vehicleId: vehicle.id,
+      termMonths: terms.termMonths,
+      monthlyRate: terms.monthlyRate,
+      deposit: terms.deposit,
+      mileageAllowance: terms.mileageAllowance,
+      excessMileageRate: terms.excessMileageRate,
+      startDate,
+      endDate: addMonths(startDate, terms.termMonths),
+      status: 'active',
+      endedOn: null,
+      excessMileage: null,
+    });
+    created.push(['leases', lease.id]);
+    const reading = await store.create('odometerReadings', {
+      vehicleId: vehicle.id, leaseId: lease.id, kind: 'handover', date: startDate, odometer,
+    });
+    created.push(['odometerReadings', reading.id]);
+    const event = await recordVehicleEvent(store, vehicle, 'leased', startDate, lease.id);
+    created.push(['vehicleEvents', event.id]);
+    await store.update('vehicles', vehicle.id, { isLeased: true, lessee: lesseeId });
+    return lease;
+  } catch (err) {
+    await rollBack(store, created);
+    throw err;
+  }
+};
+
+// End a lease on `endedOn` and free its vehicle. Ending before the
+// scheduled end date counts as an early termination. With the odometer
+// reading at return, miles over the allowance are billed on the lease.
+// Returns { status, excessMileage }.
+export const endLease = async (store, lease, endedOn, returnOdometer = null) => {
+  const status = endedOn < lease.endDate ? 'terminated' : 'ended';
+  let excessMileage = null;
+  if (returnOdometer !== null) {
+    await store.create('odometerReadings', {
+      vehicleId: lease.vehicleId, leaseId: lease.id, kind: 'return', date: endedOn, odometer: returnOdometer,
+    });
+    excessMileage = excessMileageFor(lease, returnOdometer, endedOn, store.odometerReadings);
+  }
+  await store.update('leases', lease.id, { status, endedOn, excessMileage });
+
+  const vehicle = store.vehicles.find(v => v.id === lease.vehicleId);
+  if (vehicle) {
+    await store.update('vehicles', vehicle.id, { isLeased: false, lessee: null });
+    await recordVehicleEvent(store, vehicle, 'returned', endedOn, lease.id);
+  }
+  return { status, excessMileage };
+};
@@ -0,0 +1,22 @@
+// Vehicle service workflows that touch several collections. `store` is the
+// object returned by useLeasingData (records plus create/update).
+import { isInService } from '../domain/vehicles';
+import { recordVehicleEvent } from './vehicleEvents';
+
+// Taking a vehicle out of service or putting it back is recorded in its
+// history so utilization can tell the days apart; moving between the
+// out-of-service statuses is not.
+export const setServiceStatus = async (store, vehicle, serviceStatus, date) => {
+  await store.update('vehicles', vehicle.id, { serviceStatus });
+  const wasInService = isInService(vehicle);
+  if (wasInService !== (serviceStatus === 'inService')) {
+    await recordVehicleEvent(store, vehicle, wasInService ? 'outOfService' : 'backInService', date);
+  }
+};
+
+// Record work done on a vehicle, completing the reminder it fulfils if any
+export const recordMaintenance = async (store, fields, reminder = null) => {
+  const record = await store.create('maintenance', fields);
+  if (reminder) await store.update('serviceReminders', reminder.id, { completedOn: record.date });
+  return record;
+};
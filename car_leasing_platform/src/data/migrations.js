@@ -0,0 +1,135 @@
+// Data migrations shared by the browser store (db.js) and the server's JSON
+// file. Each one receives the full data set from the previous version and
+// returns it in the shape of its own version.
+import { addMonths, localDateString } from '../domain/dates.js';
+import { DEFAULT_LATE_FEE_POLICY } from '../domain/lateFees.js';
+import { DEFAULT_EXCESS_MILEAGE_RATE } from '../domain/mileage.js';
+import { DEFAULT_USEFUL_LIFE_YEARS } from '../domain/depreciation.js';
+import { DEFAULT_VEHICLE_CATEGORIES } from '../domain/categories.js';
+import { ID_PREFIXES, nextId } from './ids.js';
+import { deriveVehicleEvents } from './vehicleEvents.js';
+
+const DEFAULT_TERM_MONTHS = 36;
+
+const defaultLease = (id, lessee, vehicle) => ({
+  id,
+  lesseeId: lessee.id,
+  vehicleId: vehicle.id,
+  termMonths: DEFAULT_TERM_MONTHS,
+  monthlyRate: vehicle.leaseAmount,
+  deposit: 0,
+  mileageAllowance: 12000,
+  startDate: lessee.startDate,
+  endDate: addMonths(lessee.startDate, DEFAULT_TERM_MONTHS),
+  status: 'active',
+  endedOn: null,
+});
+
+const DATA_MIGRATIONS = {
+  // v2: leases become records of their own, derived from lessee.vehicleId
+  2: (data) => ({
+    ...data,
+    leases: data.lessees
+      .map(lessee => ({ lessee, vehicle: data.vehicles.find(v => v.id === lessee.vehicleId) }))
+      .filter(({ vehicle }) => vehicle)
+      .map(({ lessee, vehicle }, idx) => defaultLease(`${ID_PREFIXES.leases}-${1000 + idx}`, lessee, vehicle)),
+  }),
+
+  // v3: a lessee can hold several leases. Every leased vehicle gets a lease,
+  // payments point at the lease they pay for and lessee.vehicleId goes away.
+  3: (data) => {
+    const leases = [...data.leases];
+    data.vehicles
+      .filter(vehicle => vehicle.isLeased && !leases.some(l => l.vehicleId === vehicle.id && l.status === 'active'))
+      .forEach(vehicle => {
+        const lessee = data.lessees.find(l => l.id === vehicle.lessee);
+        if (lessee) leases.push(defaultLease(nextId(ID_PREFIXES.leases, leases), lessee, vehicle));
+      });
+
+    // Until now payments always paid for the lessee's single vehicle
+    const payments = data.payments.map(payment => {
+      if (payment.leaseId !== undefined) return payment;
+      const lessee = data.lessees.find(l => l.id === payment.lesseeId);
+      const lease = leases.find(l => l.lesseeId === payment.lesseeId && l.vehicleId === lessee?.vehicleId)
+        || leases.find(l => l.lesseeId === payment.lesseeId);
+      return { ...payment, leaseId: lease ? lease.id : null };
+    });
+
+    const lessees = data.lessees.map(lessee => {
+      const { vehicleId: _vehicleId, ...rest } = lessee;
+      return rest;
+    });
+    return { ...data, leases, payments, lessees };
+  },
+
+  // v4: late fees, charged under the default policy until it is changed
+  4: (data) => ({
+    ...data,
+    lateFeePolicies: data.lateFeePolicies && data.lateFeePolicies.length > 0
+      ? data.lateFeePolicies
+      : [{ id: `${ID_PREFIXES.lateFeePolicies}-1000`, ...DEFAULT_LATE_FEE_POLICY }],
+  }),
+
+  // v5: utilization history, reconstructed from the leases on record
+  5: (data) => ({
+    ...data,
+    vehicleEvents: data.vehicleEvents && data.vehicleEvents.length > 0
+      ? data.vehicleEvents
+      : deriveVehicleEvents(data.vehicles, data.leases, localDateString()),
+  }),
+
+  // v6 only added the audit log store, which starts out empty
+
+  // v7: every vehicle starts out in service; maintenance history starts empty
+  7: (data) => ({
+    ...data,
+    vehicles: data.vehicles.map(vehicle => ({ serviceStatus: 'inService', ...vehicle })),
+    maintenance: data.maintenance || [],
+    serviceReminders: data.serviceReminders || [],
+  }),
+
+  // v8: leases charge for excess mileage at the default rate; nothing was
+  // billed on leases that already ended, and there are no readings yet
+  8: (data) => ({
+    ...data,
+    leases: data.leases.map(lease => ({
+      excessMileageRate: DEFAULT_EXCESS_MILEAGE_RATE, excessMileage: null, ...lease,
+    })),
+    odometerReadings: data.odometerReadings || [],
+  }),
+
+  // v9: what vehicles cost isn't known yet, so nothing depreciates until it is entered
+  9: (data) => ({
+    ...data,
+    vehicles: data.vehicles.map(vehicle => ({
+      acquisitionCost: null,
+      acquisitionDate: null,
+      residualValue: null,
+      depreciationMethod: 'straightLine',
+      usefulLifeYears: DEFAULT_USEFUL_LIFE_YEARS,
+      ...vehicle,
+    })),
+  }),
+
+  // v10: categories become data, starting from the old hardcoded price
+  // tiers; no vehicle has a body type on record yet
+  10: (data) => ({
+    ...data,
+    vehicles: data.vehicles.map(vehicle => ({ bodyType: null, ...vehicle })),
+    vehicleCategories: data.vehicleCategories && data.vehicleCategories.length > 0
+      ? data.vehicleCategories
+      : DEFAULT_VEHICLE_CATEGORIES.map((category, idx) => ({
+        id: `${ID_PREFIXES.vehicleCategories}-${1000 + idx}`, ...category,
+      })),
+  }),
+};
+
+export const SCHEMA_VERSION = 10;
+
+export const migrateData = (data, fromVersion) => {
+  let migrated = data;
+  for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+    if (DATA_MIGRATIONS[version]) migrated = DATA_MIGRATIONS[version](migrated);
+  }
+  return migrated;
+};
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, migrateData } from './migrations.js';
+
+// A data set as version 1 stored it: lessees held their vehicle directly
+const version1 = () => ({
+  vehicles: [
+    {
+      id: 'VEH-1000', make: 'Toyota', model: 'Corolla', year: 2022, color: 'Blue', leaseAmount: 400, isLeased: true, lessee: 'LSE-1000',
+    },
+    {
+      id: 'VEH-1001', make: 'Honda', model: 'Civic', year: 2023, color: 'Red', leaseAmount: 450, isLeased: false, lessee: null,
+    },
+  ],
+  lessees: [{
+    id: 'LSE-1000', name: 'Ada Lovelace', email: 'ada@example.com', phone: '555-0100', startDate: '2025-01-15', vehicleId: 'VEH-1000',
+  }],
+  payments: [{
+    id: 'PAY-1000', lesseeId: 'LSE-1000', amount: 400, date: '2025-01-15',
+  }],
+});
+
+test('version 1 data is brought up to the current schema', () => {
+  const data = migrateData(version1(), 1);
+
+  assert.deepEqual(data.leases, [{
+    id: 'LEA-1000',
+    lesseeId: 'LSE-1000',
+    vehicleId: 'VEH-1000',
+    termMonths: 36,
+    monthlyRate: 400,
+    deposit: 0,
+    mileageAllowance: 12000,
+    startDate: '2025-01-15',
+    endDate: '2028-01-15',
+    status: 'active',
+    endedOn: null,
+    excessMileageRate: 0.25,
+    excessMileage: null,
+  }]);
+  assert.equal(data.payments[0].leaseId, 'LEA-1000');
+  assert.equal('vehicleId' in data.lessees[0], false);
+  assert.deepEqual(data.lateFeePolicies.map(policy => policy.id), ['LFP-1000']);
+  assert.deepEqual(
+    data.vehicleEvents.map(event => [event.vehicleId, event.type, event.date]),
+    [['VEH-1000', 'added', '2025-01-15'], ['VEH-1001', 'added', '2025-01-15'], ['VEH-1000', 'leased', '2025-01-15']],
+  );
+  assert.deepEqual(data.vehicles.map(v => [v.serviceStatus, v.acquisitionCost, v.usefulLifeYears, v.bodyType]), [
+    ['inService', null, 5, null],
+    ['inService', null, 5, null],
+  ]);
+  assert.ok(data.vehicleCategories.length > 0);
+  assert.deepEqual([data.maintenance, data.serviceReminders, data.odometerReadings], [[], [], []]);
+});
+
+test('migrations keep what is already on record', () => {
+  const current = migrateData(version1(), 1);
+  const edited = {
+    ...current,
+    vehicles: current.vehicles.map(v => ({ ...v, bodyType: 'sedan', usefulLifeYears: 7 })),
+    vehicleCategories: [current.vehicleCategories[0]],
+  };
+  const migrated = migrateData(edited, 8);
+  assert.deepEqual(migrated.vehicles.map(v => [v.bodyType, v.usefulLifeYears]), [['sedan', 7], ['sedan', 7]]);
+  assert.equal(migrated.vehicleCategories.length, 1);
+  assert.equal(migrateData(edited, SCHEMA_VERSION), edited);
+});
@@ -0,0 +1,431 @@
+// Mock data used to seed an empty store. Generation is deterministic: the
+// same scenario, seed and `today` always produce the same data set, so a
+// demo or bug report can be reproduced exactly.
+import {
+  addDays, addMonths, daysBetween, localDateString, parseDate,
+} from '../domain/dates.js';
+import { DEFAULT_VEHICLE_CATEGORIES } from '../domain/categories.js';
+import { DEFAULT_USEFUL_LIFE_YEARS } from '../domain/depreciation.js';
+import { DEFAULT_LATE_FEE_POLICY } from '../domain/lateFees.js';
+import { leaseDueDates } from '../domain/leases.js';
+import { DEFAULT_EXCESS_MILEAGE_RATE } from '../domain/mileage.js';
+import { ID_PREFIXES, nextId } from './ids.js';
+import { deriveVehicleEvents } from './vehicleEvents.js';
+
+// Named presets. Settings:
+//   vehicles, lessees    fleet size and number of lessees
+//   historyMonths        how far back lessees may have signed up (under 48, the
+//                        longest term, so every lease is still running)
+//   leasedShare          share of the fleet out on lease
+//   modelYears           vehicle model years, as [oldest, newest] years before today
+//   missRate             chance an installment is never paid
+//   lateRate, maxDelayDays   chance an installment is paid late, and by how much at most
+//   offAmountRate        chance an installment is over- or underpaid by 20%
+//   delinquentShare      share of lessees with leases who stopped paying two months ago
+//   outOfServiceShare    share of the unleased fleet in the shop or awaiting inspection
+export const MOCK_SCENARIOS = {
+  default: {
+    label: 'Mixed portfolio',
+    settings: {
+      vehicles: 20,
+      lessees: 8,
+      historyMonths: 12,
+      leasedShare: 0.6,
+      modelYears: [6, 2],
+      missRate: 0.15,
+      lateRate: 0.3,
+      maxDelayDays: 14,
+      offAmountRate: 0.2,
+      delinquentShare: 0.25,
+      outOfServiceShare: 0.2,
+    },
+  },
+  'healthy-portfolio': {
+    label: 'Healthy portfolio',
+    settings: {
+      vehicles: 24,
+      lessees: 12,
+      historyMonths: 24,
+      leasedShare: 0.85,
+      modelYears: [5, 1],
+      missRate: 0.02,
+      lateRate: 0.1,
+      maxDelayDays: 5,
+      offAmountRate: 0.05,
+      delinquentShare: 0,
+      outOfServiceShare: 0.1,
+    },
+  },
+  'high-delinquency': {
+    label: 'High delinquency',
+    settings: {
+      vehicles: 20,
+      lessees: 10,
+      historyMonths: 18,
+      leasedShare: 0.7,
+      modelYears: [8, 3],
+      missRate: 0.3,
+      lateRate: 0.6,
+      maxDelayDays: 25,
+      offAmountRate: 0.35,
+      delinquentShare: 0.4,
+      outOfServiceShare: 0.3,
+    },
+  },
+  'new-fleet-launch': {
+    label: 'New fleet launch',
+    settings: {
+      vehicles: 30,
+      lessees: 6,
+      historyMonths: 2,
+      leasedShare: 0.25,
+      modelYears: [1, 0],
+      missRate: 0.05,
+      lateRate: 0.1,
+      maxDelayDays: 7,
+      offAmountRate: 0.05,
+      delinquentShare: 0,
+      outOfServiceShare: 0,
+    },
+  },
+};
+
+export const DEFAULT_MOCK_SEED = 1;
+
+// What can be chosen in a link, the developer menu or the server's
+// environment. The data also depends on `today`, so a link that fixes it
+// gives the same data set on any day.
+export const MOCK_OPTION_KEYS = ['scenario', 'seed', 'vehicles', 'lessees', 'historyMonths', 'today'];
+
+// Whole-number settings that may be overridden, with their allowed range
+const COUNT_LIMITS = {
+  seed: [1, Number.MAX_SAFE_INTEGER],
+  vehicles: [1, 500],
+  lessees: [1, 200],
+  historyMonths: [0, 47],
+};
+
+// generateMockData options from text values such as URL parameters or form
+// fields. Blank values are left out so the scenario's settings apply;
+// anything else that isn't usable throws.
+export const parseMockOptions = (values) => {
+  const options = {};
+  MOCK_OPTION_KEYS.forEach(key => {
+    const text = values[key] == null ? '' : String(values[key]).trim();
+    if (text === '') return;
+    if (key === 'scenario') {
+      if (!MOCK_SCENARIOS[text]) throw new Error(`Unknown mock data scenario "${text}"`);
+      options.scenario = text;
+    } else if (key === 'today') {
+      options.today = parseDate(text);
+      if (!options.today) throw new Error(`today must be a YYYY-MM-DD date, not "${text}"`);
+    } else {
+      const [min, max] = COUNT_LIMITS[key];
+      const number = Number(text);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${key} must be a whole number from ${min} to ${max}, not "${text}"`);
+      }
+      options[key] = number;
+    }
+  });
+  return options;
+};
+
+// Query string that reproduces a data set, e.g. "scenario=default&seed=7&today=2026-10-19"
+export const mockOptionsQuery = (options) => new URLSearchParams(
+  MOCK_OPTION_KEYS
+    .filter(key => options[key] != null && options[key] !== '')
+    .map(key => [key, String(options[key])]),
+).toString();
+
+// Vehicle makes and models with their monthly lease price range
+const VEHICLE_OPTIONS = [
+  { make: 'Toyota', models: ['Corolla', 'Camry', 'RAV4'], priceRange: [450, 650] },
+  { make: 'Honda', models: ['Civic', 'Accord', 'CR-V'], priceRange: [470, 680] },
+  { make: 'Tesla', models: ['Model 3', 'Model Y', 'Model S'], priceRange: [900, 1500] },
+  { make: 'Ford', models: ['Focus', 'Fusion', 'Escape'], priceRange: [400, 600] },
+  { make: 'BMW', models: ['3 Series', '5 Series', 'X3'], priceRange: [750, 1200] },
+  { make: 'Mercedes', models: ['C-Class', 'E-Class', 'GLC'], priceRange: [800, 1300] },
+  { make: 'Audi', models: ['A4', 'A6', 'Q5'], priceRange: [780, 1250] },
+];
+
+// Body type of each model above
+const MODEL_BODY_TYPES = {
+  Corolla: 'sedan',
+  Camry: 'sedan',
+  RAV4: 'suv',
+  Civic: 'sedan',
+  Accord: 'sedan',
+  'CR-V': 'suv',
+  'Model 3': 'sedan',
+  'Model Y': 'suv',
+  'Model S': 'sedan',
+  Focus: 'hatchback',
+  Fusion: 'sedan',
+  Escape: 'suv',
+  '3 Series': 'sedan',
+  '5 Series': 'sedan',
+  X3: 'suv',
+  'C-Class': 'sedan',
+  'E-Class': 'sedan',
+  GLC: 'suv',
+  A4: 'sedan',
+  A6: 'sedan',
+  Q5: 'suv',
+};
+
+const COLORS = ['Black', 'White', 'Silver', 'Blue', 'Red', 'Gray', 'Green'];
+
+const FIRST_NAMES = [
+  'John', 'Emma', 'Michael', 'Sophia', 'William', 'Olivia', 'James', 'Ava', 'Robert', 'Isabella',
+];
+const LAST_NAMES = [
+  'Smith', 'Johnson', 'Brown', 'Davis', 'Miller', 'Wilson', 'Jones', 'Taylor', 'Anderson', 'Thomas',
+];
+
+const TERM_OPTIONS = [24, 36, 48];
+
+const SERVICE_VENDORS = ['QuickLube Express', 'Main Street Auto', 'Dealer Service Center', 'Precision Tire & Brake'];
+const MILES_PER_YEAR = 12000;
+const READING_INTERVAL_MONTHS = 3;
+const SERVICE_INTERVAL_MONTHS = 6;
+const SERVICE_INTERVAL_MILES = 7500;
+
+// Small seeded PRNG (mulberry32) with the helpers the generator needs
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return {
+    int,
+    chance: (probability) => next() < probability,
+    pick: (items) => items[int(0, items.length - 1)],
+  };
+};
+
+// Distinct names for up to 100 lessees
+const lesseeName = (idx) => {
+  const first = FIRST_NAMES[idx % FIRST_NAMES.length];
+  const last = LAST_NAMES[(idx + Math.floor(idx / FIRST_NAMES.length)) % LAST_NAMES.length];
+  return `${first} ${last}`;
+};
+
+// `scenario` is a key of MOCK_SCENARIOS; any of its settings can be
+// overridden by passing it alongside
+export const generateMockData = ({
+  scenario = 'default', seed = DEFAULT_MOCK_SEED, today = localDateString(), ...overrides
+} = {}) => {
+  if (!MOCK_SCENARIOS[scenario]) throw new Error(`Unknown mock data scenario "${scenario}"`);
+  const settings = { ...MOCK_SCENARIOS[scenario].settings, ...overrides };
+  const random = createRandom(seed);
+  const thisYear = Number(today.substr(0, 4));
+
+  // Lessees with varying registration dates, some recent, some older
+  const lessees = Array.from({ length: settings.lessees }, (_, idx) => {
+    const name = lesseeName(idx);
+    return {
+      id: `LSE-${1000 + idx}`,
+      name,
+      email: `${name.toLowerCase().replace(' ', '.')}@example.com`,
+      phone: `555-${random.int(100, 999)}-${random.int(1000, 9999)}`,
+      startDate: addMonths(today, -random.int(0, settings.historyMonths)),
+    };
+  });
+
+  // The first vehicles are leased, spread as evenly as possible over the
+  // lessees so some of them lease more than one
+  const leasedCount = Math.round(settings.vehicles * settings.leasedShare);
+  const [oldest, newest] = settings.modelYears;
+  const vehicles = Array.from({ length: settings.vehicles }, (_, idx) => {
+    const option = random.pick(VEHICLE_OPTIONS);
+    const [min, max] = option.priceRange;
+    const lessee = idx < leasedCount && lessees.length > 0
+      ? lessees[Math.floor((idx * lessees.length) / leasedCount)]
+      : null;
+    const model = random.pick(option.models);
+    return {
+      id: `VEH-${1000 + idx}`,
+      make: option.make,
+      model,
+      bodyType: MODEL_BODY_TYPES[model],
+      year: thisYear - random.int(newest, oldest),
+      color: random.pick(COLORS),
+      leaseAmount: random.int(min, max),
+      isLeased: Boolean(lessee),
+      lessee: lessee ? lessee.id : null,
+      serviceStatus: 'inService',
+    };
+  });
+
+  // Lease contracts for every leased vehicle, starting when the lessee
+  // signed up and long enough to still be running today
+  const leases = vehicles
+    .filter(vehicle => vehicle.isLeased)
+    .map((vehicle, idx) => {
+      const lessee = lessees.find(l => l.id === vehicle.lessee);
+      const termMonths = random.pick(TERM_OPTIONS.filter(term => addMonths(lessee.startDate, term) > today));
+      return {
+        id: `LEA-${1000 + idx}`,
+        lesseeId: lessee.id,
+        vehicleId: vehicle.id,
+        termMonths,
+        monthlyRate: vehicle.leaseAmount,
+        deposit: vehicle.leaseAmount,
+        mileageAllowance: MILES_PER_YEAR,
+        excessMileageRate: DEFAULT_EXCESS_MILEAGE_RATE,
+        startDate: lessee.startDate,
+        endDate: addMonths(lessee.startDate, termMonths),
+        status: 'active',
+        endedOn: null,
+        excessMileage: null,
+      };
+    });
+
+  // Delinquent lessees made no payments for installments due in the last two months
+  const lesseesWithLeases = lessees.filter(lessee => leases.some(l => l.lesseeId === lessee.id));
+  const delinquentIds = new Set(lesseesWithLeases
+    .filter((_, idx) => idx < Math.round(lesseesWithLeases.length * settings.delinquentShare))
+    .map(lessee => lessee.id));
+  const stoppedPayingOn = addMonths(today, -2);
+
+  // One payment per installment due so far, some missed, late or for the wrong amount
+  const payments = [];
+  leases.forEach(lease => {
+    leaseDueDates(lease)
+      .filter(dueDate => dueDate <= today)
+      .forEach(dueDate => {
+        if (delinquentIds.has(lease.lesseeId) && dueDate > stoppedPayingOn) return;
+        if (random.chance(settings.missRate)) return;
+
+        const amount = random.chance(settings.offAmountRate)
+          ? lease.monthlyRate * (random.chance(0.5) ? 0.8 : 1.2)
+          : lease.monthlyRate;
+        const delayDays = random.chance(settings.lateRate) ? random.int(1, settings.maxDelayDays) : 0;
+        const date = addDays(dueDate, delayDays);
+        if (date > today) return; // not paid yet
+
+        payments.push({
+          id: `PAY-${1000 + payments.length}`,
+          lesseeId: lease.lesseeId,
+          leaseId: lease.id,
+          amount: Math.round(amount),
+          date,
+          status: 'completed',
+        });
+      });
+  });
+
+  const lateFeePolicies = [{ id: 'LFP-1000', ...DEFAULT_LATE_FEE_POLICY }];
+  const vehicleCategories = DEFAULT_VEHICLE_CATEGORIES.map((category, idx) => ({
+    id: `${ID_PREFIXES.vehicleCategories}-${1000 + idx}`, ...category,
+  }));
+
+  const vehicleEvents = deriveVehicleEvents(vehicles, leases, today);
+
+  // The last unleased vehicles are in the shop or awaiting inspection since recently
+  const unleased = vehicles.filter(vehicle => !vehicle.isLeased);
+  unleased
+    .slice(unleased.length - Math.round(unleased.length * settings.outOfServiceShare))
+    .forEach(vehicle => {
+      vehicle.serviceStatus = random.pick(['inShop', 'awaitingInspection']);
+      const added = vehicleEvents.find(e => e.vehicleId === vehicle.id && e.type === 'added');
+      const date = addDays(today, -random.int(1, 20));
+      vehicleEvents.push({
+        id: nextId(ID_PREFIXES.vehicleEvents, vehicleEvents),
+        vehicleId: vehicle.id,
+        make: vehicle.make,
+        leaseAmount: vehicle.leaseAmount,
+        type: 'outOfService',
+        date: date > added.date ? date : added.date,
+        leaseId: null,
+      });
+    });
+
+  // Each vehicle is driven at its own steady pace from the start of the
+  // history, some of them faster than the lease allowance
+  const historyStart = addMonths(today, -settings.historyMonths);
+  const odometerAt = {};
+  vehicles.forEach(vehicle => {
+    const startOdometer = (thisYear - vehicle.year) * MILES_PER_YEAR + random.int(0, 3000);
+    const milesPerYear = random.int(8000, 16000);
+    odometerAt[vehicle.id] = (date) => startOdometer + Math.round((milesPerYear * daysBetween(historyStart, date)) / 365);
+  });
+
+  // Readings at handover and every three months since
+  const odometerReadings = [];
+  leases.forEach(lease => {
+    for (let idx = 0; addMonths(lease.startDate, idx * READING_INTERVAL_MONTHS) <= today; idx++) {
+      const date = addMonths(lease.startDate, idx * READING_INTERVAL_MONTHS);
+      odometerReadings.push({
+        id: `${ID_PREFIXES.odometerReadings}-${1000 + odometerReadings.length}`,
+        vehicleId: lease.vehicleId,
+        leaseId: lease.id,
+        kind: idx === 0 ? 'handover' : 'periodic',
+        date,
+        odometer: odometerAt[lease.vehicleId](date),
+      });
+    }
+  });
+
+  // A service every six months over the history, with the next one scheduled.
+  // Some vehicles missed their last service, so their reminder is overdue.
+  const maintenance = [];
+  const serviceReminders = [];
+  vehicles.forEach(vehicle => {
+    let date = addMonths(today, random.int(1, SERVICE_INTERVAL_MONTHS) - settings.historyMonths);
+    const services = [];
+    while (date <= today) {
+      services.push({ date, odometer: odometerAt[vehicle.id](date) });
+      date = addMonths(date, SERVICE_INTERVAL_MONTHS);
+    }
+    if (services.length > 1 && random.chance(0.15)) services.pop();
+
+    services.forEach(service => {
+      maintenance.push({
+        id: `${ID_PREFIXES.maintenance}-${1000 + maintenance.length}`,
+        vehicleId: vehicle.id,
+        date: service.date,
+        type: 'service',
+        cost: random.int(120, 400),
+        odometer: service.odometer,
+        vendor: random.pick(SERVICE_VENDORS),
+        notes: null,
+      });
+    });
+    const last = services[services.length - 1];
+    serviceReminders.push({
+      id: `${ID_PREFIXES.serviceReminders}-${1000 + serviceReminders.length}`,
+      vehicleId: vehicle.id,
+      description: 'Scheduled service',
+      dueDate: last ? addMonths(last.date, SERVICE_INTERVAL_MONTHS) : addMonths(today, random.int(1, SERVICE_INTERVAL_MONTHS)),
+      dueOdometer: last ? last.odometer + SERVICE_INTERVAL_MILES : null,
+      completedOn: null,
+    });
+  });
+
+  // Acquisition details: bought shortly before joining the fleet, for about
+  // four years of lease payments, and expected to keep about half its value.
+  // Drawn last so the rest of a seed's data set doesn't change.
+  vehicles.forEach(vehicle => {
+    const added = vehicleEvents.find(e => e.vehicleId === vehicle.id && e.type === 'added');
+    const cost = Math.round((vehicle.leaseAmount * random.int(40, 55)) / 100) * 100;
+    Object.assign(vehicle, {
+      acquisitionCost: cost,
+      acquisitionDate: addDays(added.date, -random.int(0, 90)),
+      residualValue: Math.round((cost * random.int(40, 55)) / 10000) * 100,
+      depreciationMethod: random.chance(0.2) ? 'decliningBalance' : 'straightLine',
+      usefulLifeYears: DEFAULT_USEFUL_LIFE_YEARS,
+    });
+  });
+
+  return {
+    vehicles, lessees, payments, leases, lateFeePolicies, vehicleEvents, maintenance, serviceReminders,
+    odometerReadings, vehicleCategories,
+  };
+};
@@ -0,0 +1,85 @@
+// Writes as pure functions of the current data set, shared by the REST server
+// and the browser-only store. Each one validates the change and returns the
+// next data set together with the stored record (null for deletes) and the
+// audit entry describing it. Backends persist the result and then swap in
+// `result.data`.
+import {
+  getRecord, prepareCreate, prepareImport, prepareUpdate, prepareReplace, prepareRestore, checkDelete,
+} from './collections.js';
+import { AUDIT_COLLECTION, auditEntry, planUndo } from './audit.js';
+
+const finish = (data, {
+  action, collection, before = null, after = null, actor, undoes = null,
+}) => {
+  const recordId = (after || before).id;
+  const entry = auditEntry(data[AUDIT_COLLECTION], {
+    action, collection, recordId, before, after, actor, undoes,
+  });
+
+  let records;
+  if (action === 'create') records = [...data[collection], after];
+  else if (action === 'update') records = data[collection].map(r => (r.id === recordId ? after : r));
+  else records = data[collection].filter(r => r.id !== recordId);
+
+  return {
+    data: { ...data, [collection]: records, [AUDIT_COLLECTION]: [...data[AUDIT_COLLECTION], entry] },
+    record: after,
+    entry,
+  };
+};
+
+export const applyCreate = (data, collection, input, actor) => finish(data, {
+  action: 'create',
+  collection,
+  after: prepareCreate(data, collection, input),
+  actor,
+});
+
+// Create a batch of records, or none of them if any is invalid. Each record
+// gets its own audit entry so they can be undone one by one. Returns
+// { data, records, entries }.
+export const applyImport = (data, collection, inputs, actor) => prepareImport(data, collection, inputs)
+  .reduce((result, record) => {
+    const next = finish(result.data, {
+      action: 'create', collection, after: record, actor,
+    });
+    return {
+      data: next.data,
+      records: [...result.records, record],
+      entries: [...result.entries, next.entry],
+    };
+  }, { data, records: [], entries: [] });
+
+export const applyUpdate = (data, collection, id, changes, actor) => finish(data, {
+  action: 'update',
+  collection,
+  before: getRecord(data, collection, id),
+  after: prepareUpdate(data, collection, id, changes),
+  actor,
+});
+
+export const applyRemove = (data, collection, id, actor) => {
+  const before = getRecord(data, collection, id);
+  checkDelete(data, collection, id);
+  return finish(data, {
+    action: 'delete', collection, before, actor,
+  });
+};
+
+// Reverse an earlier audit entry. The undo is validated like any other write
+// (a restored lease must not clash with a newer one, a created lessee can't
+// be removed while leases point at it, ...).
+export const applyUndo = (data, entryId, actor) => {
+  const { action, collection, id, record } = planUndo(data, entryId);
+  const change = { action, collection, actor, undoes: entryId };
+
+  if (action === 'create') {
+    return finish(data, { ...change, after: prepareRestore(data, collection, record) });
+  }
+  const before = getRecord(data, collection, id);
+  if (action === 'update') {
+    return finish(data, { ...change, before, after: prepareReplace(data, collection, id, record) });
+  }
+  checkDelete(data, collection, id);
+  return finish(data, { ...change, before });
+};
@@ -0,0 +1,34 @@
+// Payment adjustments. `store` is the object returned by useLeasingData.
+// Each one is an update that appends to the payment's adjustments, so the
+// payment stays on record and the audit log shows who changed what.
+import { paymentState } from '../domain/payments';
+
+const adjust = (store, payment, adjustment, changes = {}) => {
+  const adjusted = {
+    ...payment,
+    ...changes,
+    adjustments: [...(payment.adjustments || []), adjustment],
+  };
+  return store.update('payments', payment.id, {
+    ...changes,
+    adjustments: adjusted.adjustments,
+    status: paymentState(adjusted),
+  });
+};
+
+// Void a payment that never cleared, e.g. a bounced cheque
+export const reversePayment = (store, payment, { date, reason }) => (
+  adjust(store, payment, { type: 'reversal', date, reason })
+);
+
+// Pay some or all of a payment back to the lessee
+export const refundPayment = (store, payment, { date, amount, reason }) => (
+  adjust(store, payment, { type: 'refund', date, amount, reason })
+);
+
+// Fix a mistyped amount, keeping the old one in the trail
+export const correctPayment = (store, payment, { date, amount, reason }) => (
+  adjust(store, payment, {
+    type: 'correction', date, reason, previousAmount: payment.amount,
+  }, { amount })
+);
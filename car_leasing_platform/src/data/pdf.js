@@ -0,0 +1,114 @@
+// Minimal PDF writer for documents generated in the browser: text in
+// Helvetica and Helvetica-Bold plus straight rules, on US Letter pages.
+// Positions are in points measured from the top-left corner of the page.
+
+export const PAGE_WIDTH = 612;
+export const PAGE_HEIGHT = 792;
+
+// Glyph widths per 1000 units of font size for printable ASCII (32-126),
+// from the standard font metrics, so text can be measured and right-aligned
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// WinAnsi codes for the punctuation outside Latin-1 that the app uses
+const WIN_ANSI = {
+  '€': 0x80, '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+};
+
+// Character codes in the fonts' WinAnsi encoding; anything else prints as ?
+const encode = (text) => Array.from(String(text), ch => {
+  if (WIN_ANSI[ch]) return WIN_ANSI[ch];
+  const code = ch.codePointAt(0);
+  return (code >= 32 && code < 127) || (code >= 0xA0 && code <= 0xFF) ? code : 0x3F;
+});
+
+export const textWidth = (text, size, bold = false) => {
+  const widths = WIDTHS[bold ? 'bold' : 'regular'];
+  return encode(text)
+    .reduce((sum, code) => sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556), 0) * size / 1000;
+};
+
+const num = (value) => String(Math.round(value * 100) / 100);
+
+// Objects are numbered in the order they're added; the cross-reference
+// table records where each starts. Everything written is ASCII (text goes
+// in as hex strings), so string lengths are byte offsets.
+const serialize = (pages) => {
+  const objects = [];
+  const add = (body) => objects.push(body);
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const pageIds = pages.map(ops => {
+    const content = ops.join('\n');
+    const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, idx) => {
+    const offset = out.length;
+    out += `${idx + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return out;
+};
+
+// A new document with one empty page. `gray` is 0 (black) to 1 (white).
+export const createPdf = () => {
+  const pages = [];
+  let ops;
+
+  const pdf = {
+    addPage: () => {
+      ops = [];
+      pages.push(ops);
+    },
+
+    text: (text, x, y, {
+      size = 10, bold = false, align = 'left', gray = 0,
+    } = {}) => {
+      const width = textWidth(text, size, bold);
+      let left = x;
+      if (align === 'right') left = x - width;
+      else if (align === 'center') left = x - width / 2;
+      const hex = encode(text).map(code => code.toString(16).padStart(2, '0')).join('');
+      ops.push(`${gray} g BT /${bold ? 'F2' : 'F1'} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td <${hex}> Tj ET`);
+    },
+
+    line: (x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) => {
+      ops.push(`${gray} G ${width} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+    },
+
+    pageCount: () => pages.length,
+
+    toBlob: () => new Blob([serialize(pages)], { type: 'application/pdf' }),
+  };
+
+  pdf.addPage();
+  return pdf;
+};
@@ -0,0 +1,280 @@
+// Printable documents for lessees: payment receipts, lease invoices and
+// account statements. Each builder takes the data returned by
+// useLeasingData and returns a PDF Blob ready to download.
+import { createPdf, textWidth, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+import { INVOICE_KIND_LABELS, INVOICE_STATUS_LABELS } from '../domain/invoices.js';
+import { leaseLateFees } from '../domain/lateFees.js';
+import {
+  ADJUSTMENT_LABELS, PAYMENT_STATE_LABELS, netPaymentAmount, paymentState, refundedAmount,
+} from '../domain/payments.js';
+import { accountStatement } from '../domain/statements.js';
+
+const MARGIN = 54;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const BOTTOM = PAGE_HEIGHT - MARGIN;
+const LINE_HEIGHT = 15;
+
+const formatMoney = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString('en-US', {
+  minimumFractionDigits: 2, maximumFractionDigits: 2,
+})}`;
+
+// Dates are calendar days, so format them without shifting into local time
+const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+  timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric',
+});
+
+const formatMonth = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+  timeZone: 'UTC', year: 'numeric', month: 'long',
+});
+
+// Shorten text with "..." until it fits in `width`
+const fit = (text, width, size, bold) => {
+  if (textWidth(text, size, bold) <= width) return text;
+  let fitted = text;
+  while (fitted && textWidth(`${fitted}...`, size, bold) > width) fitted = fitted.slice(0, -1);
+  return `${fitted}...`;
+};
+
+const describeVehicle = (vehicle) => (vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'Vehicle no longer on file');
+
+// Lays a document out from top to bottom, starting a new page (with the
+// same heading) whenever the next block won't fit
+const createDocument = (title, reference) => {
+  const pdf = createPdf();
+  let y;
+
+  const pageHeading = () => {
+    pdf.text('EasyLease', MARGIN, MARGIN + 14, { size: 18, bold: true });
+    pdf.text(title, RIGHT, MARGIN + 12, { size: 14, bold: true, align: 'right' });
+    pdf.text(reference, RIGHT, MARGIN + 28, { size: 9, gray: 0.4, align: 'right' });
+    pdf.line(MARGIN, MARGIN + 38, RIGHT, MARGIN + 38);
+    y = MARGIN + 64;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height <= BOTTOM) return false;
+    pdf.addPage();
+    pageHeading();
+    return true;
+  };
+
+  pageHeading();
+
+  return {
+    heading: (text) => {
+      ensureSpace(LINE_HEIGHT * 3);
+      y += 10;
+      pdf.text(text, MARGIN, y, { size: 12, bold: true });
+      y += LINE_HEIGHT + 4;
+    },
+
+    // Label and value pairs; pairs without a value are left out
+    details: (pairs) => pairs
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .forEach(([label, value]) => {
+        ensureSpace(LINE_HEIGHT);
+        pdf.text(label, MARGIN, y, { gray: 0.4 });
+        pdf.text(fit(String(value), RIGHT - MARGIN - 130, 10), MARGIN + 130, y);
+        y += LINE_HEIGHT;
+      }),
+
+    // `columns` are { header, width, align }; the header row repeats on
+    // every page the table runs onto
+    table: (columns, rows) => {
+      const tableHeader = () => {
+        let x = MARGIN;
+        columns.forEach(column => {
+          pdf.text(column.header, column.align === 'right' ? x + column.width : x, y, {
+            size: 9, bold: true, align: column.align,
+          });
+          x += column.width;
+        });
+        pdf.line(MARGIN, y + 5, RIGHT, y + 5, { gray: 0.6 });
+        y += LINE_HEIGHT + 2;
+      };
+
+      ensureSpace(LINE_HEIGHT * 3);
+      tableHeader();
+      rows.forEach(cells => {
+        if (ensureSpace(LINE_HEIGHT)) tableHeader();
+        let x = MARGIN;
+        cells.forEach((cell, idx) => {
+          const { width, align } = columns[idx];
+          const text = fit(String(cell ?? ''), width - 8, 10);
+          pdf.text(text, align === 'right' ? x + width : x, y, { align });
+          x += width;
+        });
+        y += LINE_HEIGHT;
+      });
+      y += 4;
+    },
+
+    // Right-aligned summary lines; the last one is bold
+    totals: (pairs) => {
+      ensureSpace(LINE_HEIGHT * (pairs.length + 1));
+      pdf.line(RIGHT - 220, y - 8, RIGHT, y - 8, { gray: 0.6 });
+      pairs.forEach(([label, value], idx) => {
+        const bold = idx === pairs.length - 1;
+        pdf.text(label, RIGHT - 110, y, { align: 'right', bold });
+        pdf.text(value, RIGHT, y, { align: 'right', bold });
+        y += LINE_HEIGHT;
+      });
+      y += 6;
+    },
+
+    note: (text) => {
+      ensureSpace(LINE_HEIGHT * 2);
+      y += 6;
+      pdf.text(text, MARGIN, y, { size: 9, gray: 0.4 });
+      y += LINE_HEIGHT;
+    },
+
+    toBlob: () => pdf.toBlob(),
+  };
+};
+
+const lesseeOf = (data, lesseeId) => data.lessees.find(l => l.id === lesseeId);
+const vehicleOf = (data, lease) => lease && data.vehicles.find(v => v.id === lease.vehicleId);
+
+export const receiptPdf = (payment, data, today) => {
+  const lessee = lesseeOf(data, payment.lesseeId);
+  const lease = data.leases.find(l => l.id === payment.leaseId);
+  const refunded = refundedAmount(payment);
+  const doc = createDocument('Payment Receipt', `Receipt ${payment.id}`);
+
+  doc.details([
+    ['Received from', lessee ? lessee.name : payment.lesseeId],
+    ['Email', lessee?.email],
+    ['Lessee ID', payment.lesseeId],
+    ['Lease', lease ? `${lease.id}, ${describeVehicle(vehicleOf(data, lease))}` : 'Not linked to a lease'],
+    ['Payment date', formatDate(payment.date)],
+    ['Status', PAYMENT_STATE_LABELS[paymentState(payment)]],
+  ]);
+
+  if (lease) {
+    const { invoices, fees } = leaseLateFees(lease, data.payments, data.lateFeePolicies, today);
+    const appliedTo = (charges, label, dateOf) => charges.flatMap(charge => charge.allocations
+      .filter(allocation => allocation.paymentId === payment.id)
+      .map(allocation => [label(charge), formatDate(dateOf(charge)), formatMoney(allocation.amount)]));
+    const applied = [
+      ...appliedTo(invoices, invoice => invoice.id, invoice => invoice.dueDate),
+      ...appliedTo(fees, fee => `Late fee on ${fee.invoiceId}`, fee => fee.date),
+    ];
+    doc.heading('Applied to');
+    if (applied.length > 0) {
+      doc.table([
+        { header: 'Invoice', width: 200 },
+        { header: 'Due Date', width: 150 },
+        { header: 'Amount Applied', width: 154, align: 'right' },
+      ], applied);
+    } else {
+      doc.note('Held as credit on the lease.');
+    }
+  }
+
+  const adjustments = payment.adjustments || [];
+  if (adjustments.length > 0) {
+    doc.heading('Adjustments');
+    doc.table([
+      { header: 'Date', width: 90 },
+      { header: 'Type', width: 80 },
+      { header: 'Reason', width: 234 },
+      { header: 'Amount', width: 100, align: 'right' },
+    ], adjustments.map(adjustment => [
+      formatDate(adjustment.date),
+      ADJUSTMENT_LABELS[adjustment.type],
+      adjustment.type === 'correction'
+        ? `${adjustment.reason} (was ${formatMoney(adjustment.previousAmount)})`
+        : adjustment.reason,
+      adjustment.type === 'refund' ? formatMoney(adjustment.amount) : '',
+    ]));
+  }
+
+  doc.totals([
+    ['Amount received', formatMoney(payment.amount)],
+    ...(refunded > 0 ? [['Refunded', formatMoney(-refunded)]] : []),
+    ['Net amount', formatMoney(netPaymentAmount(payment))],
+  ]);
+  doc.note('Thank you for your payment.');
+  return doc.toBlob();
+};
+
+export const invoicePdf = (lease, invoiceId, data, today) => {
+  const { invoices, fees, outstanding } = leaseLateFees(lease, data.payments, data.lateFeePolicies, today);
+  const invoice = invoices.find(i => i.id === invoiceId);
+  const fee = fees.find(f => f.invoiceId === invoiceId);
+  const lessee = lesseeOf(data, lease.lesseeId);
+  const doc = createDocument('Invoice', `Invoice ${invoice.id}`);
+
+  doc.details([
+    ['Bill to', lessee ? lessee.name : lease.lesseeId],
+    ['Email', lessee?.email],
+    ['Phone', lessee?.phone],
+    ['Lease', lease.id],
+    ['Vehicle', describeVehicle(vehicleOf(data, lease))],
+    ['Due date', formatDate(invoice.dueDate)],
+    ['Status', INVOICE_STATUS_LABELS[invoice.status]],
+  ]);
+
+  doc.heading('Charges');
+  doc.table([
+    { header: 'Description', width: 384 },
+    { header: 'Amount', width: 120, align: 'right' },
+  ], [
+    [invoice.kind === 'excessMileage'
+      ? `Excess mileage, ${lease.excessMileage.miles.toLocaleString()} miles at ${formatMoney(lease.excessMileageRate)}/mile`
+      : `Monthly lease, ${formatMonth(invoice.dueDate)} (payment ${invoice.number} of ${lease.termMonths})`, formatMoney(invoice.amount)],
+    ...(fee ? [[`Late fee charged ${formatDate(fee.date)}`, formatMoney(fee.amount)]] : []),
+  ]);
+
+  doc.totals([
+    [INVOICE_KIND_LABELS[invoice.kind], formatMoney(invoice.amount)],
+    ['Paid', formatMoney(-invoice.paid)],
+    ['Balance due', formatMoney(invoice.balance)],
+  ]);
+  if (outstanding > 0) {
+    doc.note(`Late fees outstanding on this lease: ${formatMoney(outstanding)}. Payments go to rent that has fallen due first, then to late fees.`);
+  }
+  return doc.toBlob();
+};
+
+export const statementPdf = (lesseeId, from, to, data, today) => {
+  const lessee = lesseeOf(data, lesseeId);
+  const statement = accountStatement(lesseeId, data, from, to, today);
+  const doc = createDocument('Account Statement', `${formatDate(from)} to ${formatDate(to)}`);
+
+  doc.details([
+    ['Lessee', lessee ? lessee.name : lesseeId],
+    ['Email', lessee?.email],
+    ['Lessee ID', lesseeId],
+    ['Leases', data.leases.filter(l => l.lesseeId === lesseeId).map(l => l.id).join(', ')],
+    ['Period', `${formatDate(from)} to ${formatDate(to)}`],
+  ]);
+
+  doc.heading('Activity');
+  doc.table([
+    { header: 'Date', width: 84 },
+    { header: 'Description', width: 180 },
+    { header: 'Charges', width: 80, align: 'right' },
+    { header: 'Payments', width: 80, align: 'right' },
+    { header: 'Balance', width: 80, align: 'right' },
+  ], [
+    [formatDate(from), 'Opening balance', '', '', formatMoney(statement.openingBalance)],
+    ...statement.entries.map(entry => [
+      formatDate(entry.date),
+      entry.description,
+      entry.charge ? formatMoney(entry.charge) : '',
+      entry.payment ? formatMoney(entry.payment) : '',
+      formatMoney(entry.balance),
+    ]),
+  ]);
+
+  doc.totals([
+    ['Opening balance', formatMoney(statement.openingBalance)],
+    ['Charges', formatMoney(statement.totalCharges)],
+    ['Payments', formatMoney(-statement.totalPayments)],
+    ['Closing balance', formatMoney(statement.closingBalance)],
+  ]);
+  if (statement.closingBalance < 0) doc.note('A negative balance is credit held on the account.');
+  return doc.toBlob();
+};
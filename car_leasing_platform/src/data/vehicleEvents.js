@@ -0,0 +1,41 @@
+// Vehicle lease/return history used for utilization reporting. Events are
+// append-only and outlive the vehicles they describe, so each one keeps the
+// make and lease amount the vehicle had at the time.
+import { ID_PREFIXES } from './ids.js';
+import { VEHICLE_EVENT_TYPES } from '../domain/utilization.js';
+
+const eventFor = (vehicle, type, date, leaseId = null) => ({
+  vehicleId: vehicle.id,
+  make: vehicle.make,
+  leaseAmount: vehicle.leaseAmount,
+  type,
+  date,
+  leaseId,
+});
+
+// `store` is the object returned by useLeasingData
+export const recordVehicleEvent = (store, vehicle, type, date, leaseId) => (
+  store.create('vehicleEvents', eventFor(vehicle, type, date, leaseId))
+);
+
+// History implied by existing vehicles and leases, for data that predates
+// event tracking. Every vehicle is taken to have been in the fleet since the
+// first lease started.
+export const deriveVehicleEvents = (vehicles, leases, fallbackDate) => {
+  const since = leases.reduce(
+    (earliest, lease) => (lease.startDate < earliest ? lease.startDate : earliest),
+    fallbackDate,
+  );
+  const events = vehicles.map(vehicle => eventFor(vehicle, 'added', since));
+  leases.forEach(lease => {
+    const vehicle = vehicles.find(v => v.id === lease.vehicleId);
+    if (!vehicle) return;
+    events.push(eventFor(vehicle, 'leased', lease.startDate, lease.id));
+    if (lease.status !== 'active') events.push(eventFor(vehicle, 'returned', lease.endedOn, lease.id));
+  });
+
+  return events
+    .sort((a, b) => a.date.localeCompare(b.date)
+      || VEHICLE_EVENT_TYPES.indexOf(a.type) - VEHICLE_EVENT_TYPES.indexOf(b.type))
+    .map((event, idx) => ({ id: `${ID_PREFIXES.vehicleEvents}-${1000 + idx}`, ...event }));
+};
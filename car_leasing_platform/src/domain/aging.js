@@ -0,0 +1,44 @@
+// Receivables aging: what each lessee owes, grouped by how long it has been overdue
+import { daysBetween } from './dates.js';
+import { leaseLateFees } from './lateFees.js';
+
+export const AGING_BUCKETS = [
+  { key: 'days0to30', label: '0–30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31–60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61–90 days', maxDays: 90 },
+  { key: 'days90plus', label: '90+ days', maxDays: Infinity },
+];
+
+export const agingBucketFor = (daysOverdue) => (
+  AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays)
+);
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+// Outstanding balance per lessee from their overdue invoices (expected minus
+// paid) plus unpaid late fees. Only lessees who owe something are returned,
+// largest balance first.
+export const lesseeAging = (lessees, leases, payments, lateFeePolicies, today) => lessees
+  .map(lessee => {
+    const buckets = emptyBuckets();
+    let fees = 0;
+    let oldestDueDate = null;
+
+    leases
+      .filter(lease => lease.lesseeId === lessee.id)
+      .forEach(lease => {
+        const { invoices, outstanding } = leaseLateFees(lease, payments, lateFeePolicies, today);
+        fees += outstanding;
+        invoices
+          .filter(invoice => invoice.status === 'overdue')
+          .forEach(invoice => {
+            buckets[agingBucketFor(daysBetween(invoice.dueDate, today)).key] += invoice.balance;
+            if (!oldestDueDate || invoice.dueDate < oldestDueDate) oldestDueDate = invoice.dueDate;
+          });
+      });
+
+    const total = Object.values(buckets).reduce((sum, amount) => sum + amount, fees);
+    return { lessee, buckets, fees, total, oldestDueDate };
+  })
+  .filter(row => row.total > 0)
+  .sort((a, b) => b.total - a.total);
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { agingBucketFor, lesseeAging } from './aging.js';
+import { DEFAULT_LATE_FEE_POLICY } from './lateFees.js';
+
+const lease = (id, lesseeId, startDate, monthlyRate) => ({
+  id,
+  lesseeId,
+  vehicleId: `VEH-${id}`,
+  termMonths: 12,
+  monthlyRate,
+  startDate,
+  endDate: `${Number(startDate.substr(0, 4)) + 1}${startDate.substr(4)}`,
+  status: 'active',
+  endedOn: null,
+  excessMileage: null,
+});
+
+// $50 after 5 grace days
+const policies = [{ id: 'LFP-1', ...DEFAULT_LATE_FEE_POLICY }];
+
+const payment = (id, leaseId, date, amount) => ({
+  id, leaseId, date, amount, status: 'completed',
+});
+
+test('agingBucketFor puts each boundary day in the lower bucket', () => {
+  assert.deepEqual(
+    [1, 30, 31, 60, 61, 90, 91, 400].map(days => agingBucketFor(days).key),
+    ['days0to30', 'days0to30', 'days31to60', 'days31to60', 'days61to90', 'days61to90', 'days90plus', 'days90plus'],
+  );
+});
+
+test('lesseeAging buckets overdue invoices, adds unpaid fees and leaves out lessees who owe nothing', () => {
+  const lessees = [{ id: 'LSE-1' }, { id: 'LSE-2' }, { id: 'LSE-3' }];
+  const leases = [
+    lease('LEA-1', 'LSE-1', '2026-01-01', 500),
+    lease('LEA-2', 'LSE-2', '2026-01-01', 500),
+    lease('LEA-3', 'LSE-3', '2026-03-10', 300),
+  ];
+  const payments = [
+    payment('PAY-1', 'LEA-1', '2026-01-01', 500),
+    ...['2026-01-01', '2026-02-01', '2026-03-01', '2026-04-01']
+      .map((date, idx) => payment(`PAY-2${idx}`, 'LEA-2', date, 500)),
+  ];
+  const rows = lesseeAging(lessees, leases, payments, policies, '2026-04-15');
+
+  assert.deepEqual(rows.map(row => row.lessee.id), ['LSE-1', 'LSE-3']);
+  assert.deepEqual(rows[0].buckets, {
+    days0to30: 500, days31to60: 500, days61to90: 500, days90plus: 0,
+  });
+  assert.equal(rows[0].fees, 150);
+  assert.equal(rows[0].total, 1650);
+  assert.equal(rows[0].oldestDueDate, '2026-02-01');
+
+  // The April installment is overdue but still within its grace period
+  assert.deepEqual(rows[1].buckets, {
+    days0to30: 300, days31to60: 300, days61to90: 0, days90plus: 0,
+  });
+  assert.equal(rows[1].fees, 50);
+  assert.equal(rows[1].total, 650);
+});
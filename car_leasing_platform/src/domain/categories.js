@@ -0,0 +1,94 @@
+// Vehicle categories, defined as data rather than code. A category has a
+// name, a colour for charts and cards, a position and rules: a monthly lease
+// amount range (minimum included, maximum excluded), body types and makes.
+// An empty rule matches any vehicle. A vehicle belongs to the first
+// category, by position, whose rules it meets, and is uncategorized if there
+// is none.
+import { bookValueOn } from './depreciation.js';
+import { sum } from './numbers.js';
+
+export const BODY_TYPE_LABELS = {
+  sedan: 'Sedan',
+  hatchback: 'Hatchback',
+  suv: 'SUV',
+  coupe: 'Coupe',
+  convertible: 'Convertible',
+  wagon: 'Wagon',
+  pickup: 'Pickup',
+  van: 'Van',
+};
+
+// The price tiers the fleet was split into before categories were configurable
+export const DEFAULT_VEHICLE_CATEGORIES = [
+  {
+    name: 'Economy', color: '#f59e0b', position: 1, minLeaseAmount: null, maxLeaseAmount: 600, bodyTypes: [], makes: [],
+  },
+  {
+    name: 'Mid-range', color: '#3b82f6', position: 2, minLeaseAmount: 600, maxLeaseAmount: 900, bodyTypes: [], makes: [],
+  },
+  {
+    name: 'Premium', color: '#a855f7', position: 3, minLeaseAmount: 900, maxLeaseAmount: null, bodyTypes: [], makes: [],
+  },
+];
+
+export const UNCATEGORIZED = { id: null, name: 'Uncategorized', color: '#6b7280' };
+
+// Categories in the order they are matched and shown
+export const sortedCategories = (categories) => categories
+  .slice()
+  .sort((a, b) => a.position - b.position || a.id.localeCompare(b.id));
+
+export const matchesCategory = (category, vehicle) => (
+  (category.minLeaseAmount == null || vehicle.leaseAmount >= category.minLeaseAmount)
+  && (category.maxLeaseAmount == null || vehicle.leaseAmount < category.maxLeaseAmount)
+  && (category.bodyTypes.length === 0 || category.bodyTypes.includes(vehicle.bodyType))
+  && (category.makes.length === 0 || category.makes.some(make => make.toLowerCase() === vehicle.make.toLowerCase()))
+);
+
+// The category a vehicle falls in, or UNCATEGORIZED
+export const categoryFor = (categories, vehicle) => (
+  sortedCategories(categories).find(category => matchesCategory(category, vehicle)) || UNCATEGORIZED
+);
+
+// Vehicles grouped by category, in category order. Uncategorized vehicles
+// come last, and only when there are any.
+export const groupByCategory = (categories, vehicles) => {
+  const groups = sortedCategories(categories).map(category => ({ category, vehicles: [] }));
+  const uncategorized = { category: UNCATEGORIZED, vehicles: [] };
+  vehicles.forEach(vehicle => {
+    const category = categoryFor(categories, vehicle);
+    (groups.find(group => group.category === category) || uncategorized).vehicles.push(vehicle);
+  });
+  return uncategorized.vehicles.length > 0 ? [...groups, uncategorized] : groups;
+};
+
+// Summary for each category card: how many vehicles, their average lease,
+// the share leased and the average book value of those with a cost on record
+export const categorySummaries = (categories, vehicles, today) => groupByCategory(categories, vehicles)
+  .map(({ category, vehicles: members }) => {
+    const bookValues = members.map(v => bookValueOn(v, today)).filter(value => value !== null);
+    return {
+      category,
+      count: members.length,
+      averageLease: members.length > 0 ? Math.round(sum(members.map(v => v.leaseAmount)) / members.length) : 0,
+      utilization: members.length > 0
+        ? Math.round((members.filter(v => v.isLeased).length / members.length) * 100)
+        : 0,
+      averageBookValue: bookValues.length > 0 ? Math.round(sum(bookValues) / bookValues.length) : null,
+    };
+  });
+
+// e.g. "$600 to under $900/month · SUV, Pickup · Ford, Tesla"
+export const describeRules = (category) => {
+  const { minLeaseAmount: min, maxLeaseAmount: max } = category;
+  const range = min == null && max == null ? null
+    : min == null ? `under $${max}/month`
+      : max == null ? `$${min}/month and up`
+        : `$${min} to under $${max}/month`;
+  const parts = [
+    range,
+    category.bodyTypes.map(type => BODY_TYPE_LABELS[type]).join(', '),
+    category.makes.join(', '),
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : 'Any vehicle';
+};
@@ -0,0 +1,117 @@
+// Figures shown on the dashboard. Nothing here reads the system clock:
+// callers pass `today` (YYYY-MM-DD), so results depend only on their inputs.
+// Months are keyed as YYYY-MM straight from the date strings, so a payment
+// on the 1st never drifts into the previous month in a negative UTC offset.
+import { monthLabel, recentMonths } from './dates.js';
+import { buildInvoices } from './invoices.js';
+import { leaseLateFees, policyOn } from './lateFees.js';
+import { lesseeAging } from './aging.js';
+import { sum } from './numbers.js';
+import { groupByCategory } from './categories.js';
+import { isReversed, netPaymentAmount, refundedAmount } from './payments.js';
+import {
+  PAYMENT_STATUS_LABELS, PAYMENT_STATUSES, classifyPayments, countByStatus,
+} from './paymentStatus.js';
+import { isAvailable, isInService } from './vehicles.js';
+
+const RECENT_ACTIVITY_COUNT = 8;
+
+const monthKey = (date) => date.substr(0, 7);
+
+const addToMonth = (byMonth, date, amount) => {
+  const key = monthKey(date);
+  byMonth[key] = (byMonth[key] || 0) + amount;
+};
+
+// What leases should have brought in per month: one installment for each
+// due date up to today or the lease's end, whichever comes first, plus
+// excess-mileage charges billed at the end
+export const expectedByMonth = (leases, today) => {
+  const byMonth = {};
+  leases.forEach(lease => {
+    buildInvoices(lease)
+      .filter(invoice => invoice.dueDate <= today)
+      .forEach(invoice => addToMonth(byMonth, invoice.dueDate, invoice.amount));
+  });
+  return byMonth;
+};
+
+// What was actually collected per month, net of refunds and reversals
+export const collectedByMonth = (payments) => {
+  const byMonth = {};
+  payments.forEach(payment => addToMonth(byMonth, payment.date, netPaymentAmount(payment)));
+  return byMonth;
+};
+
+// Expected and collected for each of the last `months` months, oldest first
+export const monthlyPayments = (leases, payments, today, months = 6) => {
+  const expected = expectedByMonth(leases, today);
+  const collected = collectedByMonth(payments);
+  return recentMonths(today, months).map(month => ({
+    name: monthLabel(month),
+    month: monthKey(month),
+    collected: collected[monthKey(month)] || 0,
+    expected: expected[monthKey(month)] || 0,
+  }));
+};
+
+// Totals to date. A reversed payment counts in full under `reversed` (any
+// refund before the reversal included), so it isn't also under `refunded`.
+export const paymentTotals = (leases, payments, today) => ({
+  expected: sum(Object.values(expectedByMonth(leases, today))),
+  collected: sum(payments.map(netPaymentAmount)),
+  reversed: sum(payments.filter(isReversed).map(p => p.amount)),
+  refunded: sum(payments.filter(p => !isReversed(p)).map(refundedAmount)),
+});
+
+// Number of vehicles in each category, in category order, with its colour
+export const vehicleCategoryCounts = (categories, vehicles) => groupByCategory(categories, vehicles)
+  .map(({ category, vehicles: members }) => ({
+    name: category.name,
+    color: category.color,
+    value: members.length,
+  }));
+
+// Everything the dashboard tab shows, from the data returned by useLeasingData
+export const dashboardMetrics = ({
+  vehicles, lessees, payments, leases, lateFeePolicies, vehicleCategories,
+}, today) => {
+  const activeLeases = leases.filter(l => l.status === 'active');
+
+  // Late fees charged under the policy in force when each invoice fell due
+  const leaseFees = leases.map(lease => leaseLateFees(lease, payments, lateFeePolicies, today));
+  const lateFees = leaseFees.flatMap(result => result.fees);
+
+  // Outstanding balance per lessee, aged by how long each unpaid invoice is past due
+  const overdueLessees = lesseeAging(lessees, leases, payments, lateFeePolicies, today);
+
+  // Every payment classified against its invoice, plus installments that were never paid
+  const paymentEntries = classifyPayments(leases, payments, lateFeePolicies, today);
+  const statusCounts = countByStatus(paymentEntries);
+
+  return {
+    leasedVehicles: vehicles.filter(v => v.isLeased),
+    availableVehicles: vehicles.filter(isAvailable),
+    outOfServiceVehicles: vehicles.filter(v => !isInService(v)),
+    activeLeases,
+    lesseesWithLeases: new Set(activeLeases.map(l => l.lesseeId)).size,
+    totals: paymentTotals(leases, payments, today),
+    lateFees,
+    totalLateFees: sum(leaseFees.map(result => result.total)),
+    currentPolicy: policyOn(lateFeePolicies, today),
+    // Payment history, with late-fee charges listed next to the payments
+    recentActivity: [...payments, ...lateFees]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, RECENT_ACTIVITY_COUNT),
+    overdueLessees,
+    totalOverdue: sum(overdueLessees.map(row => row.total)),
+    monthlyPaymentData: monthlyPayments(leases, payments, today),
+    paymentEntries,
+    paymentStatusData: PAYMENT_STATUSES.map(status => ({
+      status,
+      name: PAYMENT_STATUS_LABELS[status],
+      value: statusCounts[status],
+    })),
+    vehicleCategoryData: vehicleCategoryCounts(vehicleCategories, vehicles),
+  };
+};
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectedByMonth, expectedByMonth, paymentTotals } from './dashboard.js';
+
+const leases = [
+  {
+    id: 'LEA-1000',
+    lesseeId: 'LSE-1000',
+    startDate: '2026-01-31',
+    endDate: '2027-01-31',
+    termMonths: 12,
+    monthlyRate: 500,
+    status: 'active',
+    endedOn: null,
+    excessMileage: null,
+  },
+  {
+    id: 'LEA-1001',
+    lesseeId: 'LSE-1001',
+    startDate: '2025-12-01',
+    endDate: '2026-12-01',
+    termMonths: 12,
+    monthlyRate: 300,
+    status: 'terminated',
+    endedOn: '2026-02-15',
+    excessMileage: { miles: 400, amount: 100 },
+  },
+];
+
+const payments = [
+  { id: 'PAY-1000', leaseId: 'LEA-1000', date: '2026-02-01', amount: 500 },
+  {
+    id: 'PAY-1001',
+    leaseId: 'LEA-1000',
+    date: '2026-02-28',
+    amount: 500,
+    adjustments: [{ type: 'refund', date: '2026-03-02', amount: 50 }],
+  },
+  {
+    id: 'PAY-1002',
+    leaseId: 'LEA-1001',
+    date: '2026-03-01',
+    amount: 300,
+    adjustments: [
+      { type: 'refund', date: '2026-03-03', amount: 100 },
+      { type: 'reversal', date: '2026-03-05', reason: 'Bounced' },
+    ],
+  },
+];
+
+test('expectedByMonth counts installments due by today and excess mileage at the end', () => {
+  assert.deepEqual(expectedByMonth(leases, '2026-03-30'), {
+    '2025-12': 300,
+    '2026-01': 800,
+    '2026-02': 900,
+  });
+  assert.equal(expectedByMonth(leases, '2026-03-31')['2026-03'], 500);
+});
+
+test('collectedByMonth keys payments by their own month, net of adjustments', () => {
+  assert.deepEqual(collectedByMonth(payments), { '2026-02': 950, '2026-03': 0 });
+});
+
+test('paymentTotals counts a reversed payment only under reversed', () => {
+  assert.deepEqual(paymentTotals(leases, payments, '2026-03-31'), {
+    expected: 2500,
+    collected: 950,
+    reversed: 300,
+    refunded: 50,
+  });
+});
@@ -0,0 +1,74 @@
+// Date helpers. Dates are YYYY-MM-DD strings throughout the domain code.
+
+// The UTC calendar date of a Date. Right for dates built with Date.UTC, as
+// the helpers below do, but not for the current time: see localDateString.
+export const toDateString = (date) => date.toISOString().substr(0, 10);
+
+// The calendar date of a moment where the user is, e.g. today's date for
+// `new Date()`. The UTC date is already tomorrow (or still yesterday) for
+// part of every day anywhere outside UTC.
+export const localDateString = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+// Add whole months to a date, clamping to the last day of shorter months
+// (Jan 31 + 1 month is Feb 28, or Feb 29 in a leap year).
+export const addMonths = (dateStr, months) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return toDateString(target);
+};
+
+// The first day of each of the last `count` calendar months, ending with the
+// month containing `today`, oldest first
+export const recentMonths = (today, count) => {
+  const thisMonth = `${today.substr(0, 7)}-01`;
+  return Array.from({ length: count }, (_, idx) => addMonths(thisMonth, idx - count + 1));
+};
+
+// Short month name and year for chart axes, e.g. "Mar 24"
+export const monthLabel = (date) => new Date(`${date.substr(0, 7)}-01T00:00:00Z`).toLocaleString('default', {
+  month: 'short', year: '2-digit', timeZone: 'UTC',
+});
+
+// A date as the user's locale writes it, e.g. "3/15/2024". Formatted in UTC,
+// as the date was parsed, so it shows the same day in every time zone.
+export const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('default', { timeZone: 'UTC' });
+
+// Month name and year, e.g. "March 2024"
+export const formatMonth = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('default', {
+  month: 'long', year: 'numeric', timeZone: 'UTC',
+});
+
+// Whole days from one date to another (negative if `to` is earlier)
+export const daysBetween = (from, to) => Math.round(
+  (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (1000 * 60 * 60 * 24)
+);
+
+export const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+// Dates as they appear in imported files: 2024-03-15, 3/15/2024 (month
+// first, as US spreadsheets and banks write it) or OFX's 20240315.
+// Returns a YYYY-MM-DD string, or null if the text isn't a date.
+export const parseDate = (text) => {
+  const value = String(text).trim();
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/) || value.match(/^(\d{4})(\d{2})(\d{2})/);
+  let parts = match && [match[1], match[2], match[3]];
+  if (!parts) {
+    match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    parts = match && [match[3], match[1].padStart(2, '0'), match[2].padStart(2, '0')];
+  }
+  if (!parts) return null;
+  const date = parts.join('-');
+  const parsed = new Date(`${date}T00:00:00Z`);
+  // Rejects impossible days such as Feb 30, which Date would roll over
+  return !isNaN(parsed.getTime()) && toDateString(parsed) === date ? date : null;
+};
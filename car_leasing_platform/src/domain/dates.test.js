@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import process from 'node:process';
+import {
+  addMonths, formatDate, formatMonth, localDateString, recentMonths,
+} from './dates.js';
+import { leaseDueDates } from './leases.js';
+
+const lease = (startDate, termMonths, changes = {}) => ({
+  id: 'LEA-1000',
+  startDate,
+  termMonths,
+  endDate: addMonths(startDate, termMonths),
+  status: 'active',
+  endedOn: null,
+  ...changes,
+});
+
+test('addMonths clamps to the last day of shorter months', () => {
+  assert.equal(addMonths('2025-01-31', 1), '2025-02-28');
+  assert.equal(addMonths('2024-01-31', 1), '2024-02-29');
+  assert.equal(addMonths('2025-03-31', 1), '2025-04-30');
+  assert.equal(addMonths('2025-03-31', -1), '2025-02-28');
+});
+
+test('addMonths rolls over the end of the year', () => {
+  assert.equal(addMonths('2025-12-15', 1), '2026-01-15');
+  assert.equal(addMonths('2025-12-31', 2), '2026-02-28');
+  assert.equal(addMonths('2026-01-15', -1), '2025-12-15');
+  assert.equal(addMonths('2025-11-30', 14), '2027-01-30');
+});
+
+test('leaseDueDates keeps the start day after a short month', () => {
+  assert.deepEqual(leaseDueDates(lease('2025-12-31', 4)), [
+    '2025-12-31', '2026-01-31', '2026-02-28', '2026-03-31',
+  ]);
+  assert.deepEqual(leaseDueDates(lease('2024-01-31', 2)), ['2024-01-31', '2024-02-29']);
+});
+
+test('leaseDueDates stops at an early termination', () => {
+  const terminated = lease('2025-11-15', 12, { status: 'terminated', endedOn: '2026-01-15' });
+  assert.deepEqual(leaseDueDates(terminated), ['2025-11-15', '2025-12-15']);
+});
+
+test('recentMonths counts back whole months from late in the month', () => {
+  assert.deepEqual(recentMonths('2026-03-31', 3), ['2026-01-01', '2026-02-01', '2026-03-01']);
+  assert.deepEqual(recentMonths('2024-02-29', 2), ['2024-01-01', '2024-02-01']);
+  assert.deepEqual(recentMonths('2026-01-30', 2), ['2025-12-01', '2026-01-01']);
+  assert.deepEqual(recentMonths('2026-05-31', 1), ['2026-05-01']);
+});
+
+test('localDateString gives the calendar date where the user is', () => {
+  assert.equal(localDateString(new Date(2026, 0, 1, 0, 30)), '2026-01-01');
+  assert.equal(localDateString(new Date(2025, 11, 31, 23, 30)), '2025-12-31');
+});
+
+test('formatDate and formatMonth show the stored day west of UTC', () => {
+  const zone = process.env.TZ;
+  process.env.TZ = 'America/Los_Angeles';
+  try {
+    assert.equal(formatDate('2026-01-01'), new Date(2026, 0, 1).toLocaleDateString('default'));
+    assert.equal(formatMonth('2026-03-01'), new Date(2026, 2, 1).toLocaleDateString('default', { month: 'long', year: 'numeric' }));
+  } finally {
+    if (zone === undefined) delete process.env.TZ;
+    else process.env.TZ = zone;
+  }
+});
@@ -0,0 +1,58 @@
+// Vehicle depreciation. A vehicle is written down from its acquisition cost
+// to its expected residual value over its useful life, either evenly
+// (straight-line) or by a fixed share of what is left each year (double
+// declining balance), and never below the residual value.
+import { addMonths, daysBetween } from './dates.js';
+
+export const DEPRECIATION_METHOD_LABELS = {
+  straightLine: 'Straight-line',
+  decliningBalance: 'Declining balance',
+};
+
+export const DEFAULT_USEFUL_LIFE_YEARS = 5;
+
+// Depreciation can only be worked out once cost and date are on record
+export const hasAcquisition = (vehicle) => vehicle.acquisitionCost != null && vehicle.acquisitionDate != null;
+
+// Years of the useful life used up by `date`, measured against the
+// calendar so the last day of the life is exactly the full life
+const yearsElapsed = (vehicle, date) => {
+  const lifeEnd = addMonths(vehicle.acquisitionDate, 12 * vehicle.usefulLifeYears);
+  const share = daysBetween(vehicle.acquisitionDate, date) / daysBetween(vehicle.acquisitionDate, lifeEnd);
+  return Math.min(1, Math.max(0, share)) * vehicle.usefulLifeYears;
+};
+
+// Book value on `date`, in whole dollars, or null without acquisition details
+export const bookValueOn = (vehicle, date) => {
+  if (!hasAcquisition(vehicle)) return null;
+  const cost = vehicle.acquisitionCost;
+  const residual = vehicle.residualValue ?? 0;
+  const years = yearsElapsed(vehicle, date);
+  if (years >= vehicle.usefulLifeYears) return residual;
+
+  const value = vehicle.depreciationMethod === 'decliningBalance'
+    ? cost * Math.max(0, 1 - 2 / vehicle.usefulLifeYears) ** years
+    : cost - ((cost - residual) * years) / vehicle.usefulLifeYears;
+  return Math.round(Math.max(residual, value));
+};
+
+// Depreciation charged from acquisition up to `date`, or null
+export const accumulatedDepreciation = (vehicle, date) => {
+  const bookValue = bookValueOn(vehicle, date);
+  return bookValue === null ? null : vehicle.acquisitionCost - bookValue;
+};
+
+// One row per year of the useful life:
+// { year, from, to, opening, depreciation, closing }
+export const depreciationSchedule = (vehicle) => {
+  if (!hasAcquisition(vehicle)) return [];
+  return Array.from({ length: vehicle.usefulLifeYears }, (_, idx) => {
+    const from = addMonths(vehicle.acquisitionDate, 12 * idx);
+    const to = addMonths(vehicle.acquisitionDate, 12 * (idx + 1));
+    const opening = bookValueOn(vehicle, from);
+    const closing = bookValueOn(vehicle, to);
+    return {
+      year: idx + 1, from, to, opening, depreciation: opening - closing, closing,
+    };
+  });
+};
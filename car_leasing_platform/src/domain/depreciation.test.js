@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { accumulatedDepreciation, bookValueOn, depreciationSchedule } from './depreciation.js';
+
+const vehicle = {
+  acquisitionCost: 30000,
+  acquisitionDate: '2025-01-01',
+  residualValue: 10000,
+  depreciationMethod: 'straightLine',
+  usefulLifeYears: 5,
+};
+
+test('straight-line writes down evenly to the residual and stops there', () => {
+  assert.equal(bookValueOn(vehicle, '2024-12-01'), 30000);
+  assert.equal(bookValueOn(vehicle, '2025-01-01'), 30000);
+  // Halfway through the 1,826-day life
+  assert.equal(bookValueOn(vehicle, '2027-07-03'), 20000);
+  assert.equal(bookValueOn(vehicle, '2030-01-01'), 10000);
+  assert.equal(bookValueOn(vehicle, '2035-01-01'), 10000);
+  assert.equal(accumulatedDepreciation(vehicle, '2027-07-03'), 10000);
+});
+
+test('declining balance takes a fixed share each year but never goes below the residual', () => {
+  const declining = { ...vehicle, depreciationMethod: 'decliningBalance', residualValue: 5000 };
+  const schedule = depreciationSchedule(declining);
+  assert.deepEqual(schedule.map(row => row.closing), [18005, 10806, 6485, 5000, 5000]);
+  assert.ok(schedule[0].depreciation > schedule[1].depreciation);
+});
+
+test('the schedule covers the useful life year by year', () => {
+  const schedule = depreciationSchedule(vehicle);
+  assert.deepEqual(schedule.map(row => [row.year, row.from, row.to]), [
+    [1, '2025-01-01', '2026-01-01'],
+    [2, '2026-01-01', '2027-01-01'],
+    [3, '2027-01-01', '2028-01-01'],
+    [4, '2028-01-01', '2029-01-01'],
+    [5, '2029-01-01', '2030-01-01'],
+  ]);
+  assert.equal(schedule.reduce((total, row) => total + row.depreciation, 0), 20000);
+  schedule.slice(1).forEach((row, idx) => assert.equal(row.opening, schedule[idx].closing));
+});
+
+test('nothing depreciates without acquisition details', () => {
+  const unknown = { ...vehicle, acquisitionCost: null };
+  assert.equal(bookValueOn(unknown, '2026-01-01'), null);
+  assert.equal(accumulatedDepreciation(unknown, '2026-01-01'), null);
+  assert.deepEqual(depreciationSchedule(unknown), []);
+});
@@ -0,0 +1,44 @@
+// Invoice schedule for a lease. Invoices are derived from the lease terms,
+// so they never drift from them; payments are allocated by leaseLateFees.
+import { leaseDueDates } from './leases.js';
+
+export const INVOICE_STATUS_LABELS = {
+  open: 'Open',
+  partial: 'Partially paid',
+  paid: 'Paid',
+  overdue: 'Overdue',
+};
+
+export const INVOICE_KIND_LABELS = {
+  installment: 'Monthly lease',
+  excessMileage: 'Excess mileage',
+};
+
+// One invoice per monthly due date, numbered from 1, followed by the
+// excess-mileage charge billed when the lease ended, if there was one
+export const buildInvoices = (lease) => [
+  ...leaseDueDates(lease).map((dueDate, idx) => ({
+    id: `${lease.id}-${String(idx + 1).padStart(2, '0')}`,
+    leaseId: lease.id,
+    lesseeId: lease.lesseeId,
+    kind: 'installment',
+    number: idx + 1,
+    dueDate,
+    amount: lease.monthlyRate,
+  })),
+  ...(lease.excessMileage && lease.excessMileage.amount > 0 ? [{
+    id: `${lease.id}-EM`,
+    leaseId: lease.id,
+    lesseeId: lease.lesseeId,
+    kind: 'excessMileage',
+    number: null,
+    dueDate: lease.endedOn,
+    amount: lease.excessMileage.amount,
+  }] : []),
+];
+
+export const invoiceStatus = (invoice, today) => {
+  if (invoice.balance <= 0) return 'paid';
+  if (invoice.dueDate < today) return 'overdue';
+  return invoice.paid > 0 ? 'partial' : 'open';
+};
@@ -0,0 +1,168 @@
+// Late-fee policy engine. Fees are derived from the invoice schedule and the
+// policy that was in effect when each invoice fell due, so changing the
+// policy only affects invoices due from its effective date on.
+import { addDays, daysBetween } from './dates.js';
+import { buildInvoices, invoiceStatus } from './invoices.js';
+import { netPaymentAmount } from './payments.js';
+
+export const LATE_FEE_TYPES = {
+  flat: 'Flat amount',
+  percent: 'Percent of missed amount',
+};
+
+// Seeded for new data sets and for data created before late fees existed
+export const DEFAULT_LATE_FEE_POLICY = {
+  effectiveFrom: '2000-01-01',
+  graceDays: 5,
+  feeType: 'flat',
+  feeAmount: 50,
+  feeCap: null,
+  dailyInterestRate: 0,
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// The policy in force on a date: the latest one effective on or before it
+export const policyOn = (policies, date) => policies
+  .filter(policy => policy.effectiveFrom <= date)
+  .reduce((latest, policy) => (
+    !latest || policy.effectiveFrom > latest.effectiveFrom
+    || (policy.effectiveFrom === latest.effectiveFrom && policy.id > latest.id)
+      ? policy
+      : latest
+  ), null);
+
+// One-line summary such as "$50 after 5 grace days"
+export const describePolicy = (policy) => {
+  const fee = policy.feeType === 'percent'
+    ? `${policy.feeAmount}% of the missed amount`
+    : `$${policy.feeAmount.toLocaleString()}`;
+  const interest = policy.dailyInterestRate > 0 ? ` + ${policy.dailyInterestRate}%/day interest` : '';
+  const cap = policy.feeCap != null ? `, capped at $${policy.feeCap.toLocaleString()}` : '';
+  return `${fee}${interest} after ${policy.graceDays} grace day${policy.graceDays === 1 ? '' : 's'}${cap}`;
+};
+
+// Interest accrues daily on whatever is still unpaid after the grace period,
+// shrinking as later payments are applied to the invoice
+const accruedInterest = (invoice, unpaid, gracedUntil, policy, today) => {
+  if (!(policy.dailyInterestRate > 0)) return 0;
+  const dailyRate = policy.dailyInterestRate / 100;
+  let balance = unpaid;
+  let from = gracedUntil;
+  let interest = 0;
+
+  invoice.allocations
+    .filter(allocation => allocation.date > gracedUntil && allocation.date <= today)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .forEach(allocation => {
+      interest += balance * dailyRate * daysBetween(from, allocation.date);
+      balance -= allocation.amount;
+      from = allocation.date;
+    });
+  if (balance > 0) interest += balance * dailyRate * daysBetween(from, today);
+  return interest;
+};
+
+// Late-fee charge for one invoice, or null when it was paid within the
+// grace period (or the grace period hasn't run out yet)
+export const lateFeeFor = (invoice, policy, today) => {
+  if (!policy) return null;
+  const gracedUntil = addDays(invoice.dueDate, policy.graceDays);
+  if (today <= gracedUntil) return null;
+
+  const paidInTime = invoice.allocations
+    .filter(allocation => allocation.date <= gracedUntil)
+    .reduce((sum, allocation) => sum + allocation.amount, 0);
+  const unpaid = invoice.amount - paidInTime;
+  if (unpaid <= 0) return null;
+
+  const fee = policy.feeType === 'percent' ? unpaid * (policy.feeAmount / 100) : policy.feeAmount;
+  const interest = accruedInterest(invoice, unpaid, gracedUntil, policy, today);
+  const uncapped = fee + interest;
+  const amount = roundCents(policy.feeCap != null ? Math.min(uncapped, policy.feeCap) : uncapped);
+  if (amount <= 0) return null;
+
+  return {
+    id: `${invoice.id}-LF`,
+    invoiceId: invoice.id,
+    leaseId: invoice.leaseId,
+    lesseeId: invoice.lesseeId,
+    date: addDays(gracedUntil, 1),
+    missedAmount: unpaid,
+    amount,
+  };
+};
+
+// Invoices for a lease with their late fees and what has been paid on each.
+// Payments are applied in date order: first to installments that have fallen
+// due, oldest first, then to fees already charged (a fee is charged the day
+// after its grace period ends), oldest first, and only then to installments
+// not yet due. Rent always comes first, so paying an old fee can never leave
+// the current installment short and trigger a fee of its own. A fee is
+// worked out from the payments applied before each one, so interest stops
+// growing as it is paid. Credit left once every invoice is paid covers fees
+// charged later.
+export const leaseLateFees = (lease, payments, policies, today) => {
+  const invoices = buildInvoices(lease).map(invoice => ({ ...invoice, paid: 0, allocations: [] }));
+  const invoicePolicies = invoices.map(invoice => policyOn(policies, invoice.dueDate));
+  const feeAllocations = {};
+  const feePaid = (invoiceId) => (feeAllocations[invoiceId] || [])
+    .reduce((sum, allocation) => sum + allocation.amount, 0);
+  let credit = 0;
+
+  payments
+    .filter(p => p.leaseId === lease.id)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id))
+    .forEach(payment => {
+      let remaining = netPaymentAmount(payment);
+      const allocate = (allocations, owed) => {
+        const applied = roundCents(Math.min(owed, remaining));
+        if (applied <= 0) return 0;
+        allocations.push({ paymentId: payment.id, date: payment.date, amount: applied });
+        remaining = roundCents(remaining - applied);
+        return applied;
+      };
+
+      // Invoices are already in due-date order
+      const fallenDue = invoices
+        .filter(invoice => invoice.dueDate <= payment.date)
+        .map(invoice => ({ invoice }));
+      const charged = invoices
+        .map((invoice, idx) => lateFeeFor(invoice, invoicePolicies[idx], payment.date))
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(fee => ({ fee }));
+      const notYetDue = invoices
+        .filter(invoice => invoice.dueDate > payment.date)
+        .map(invoice => ({ invoice }));
+
+      [...fallenDue, ...charged, ...notYetDue].forEach(({ invoice, fee }) => {
+        if (invoice) {
+          invoice.paid += allocate(invoice.allocations, invoice.amount - invoice.paid);
+        } else {
+          feeAllocations[fee.invoiceId] = feeAllocations[fee.invoiceId] || [];
+          allocate(feeAllocations[fee.invoiceId], fee.amount - feePaid(fee.invoiceId));
+        }
+      });
+      credit += remaining;
+    });
+
+  const fees = invoices
+    .map((invoice, idx) => lateFeeFor(invoice, invoicePolicies[idx], today))
+    .filter(Boolean)
+    .map(fee => ({ ...fee, allocations: feeAllocations[fee.invoiceId] || [] }));
+  const total = roundCents(fees.reduce((sum, fee) => sum + fee.amount, 0));
+  const unpaid = roundCents(total - fees.reduce((sum, fee) => sum + feePaid(fee.invoiceId), 0));
+  const fromCredit = Math.min(credit, unpaid);
+
+  return {
+    invoices: invoices.map(invoice => {
+      const withBalance = { ...invoice, balance: invoice.amount - invoice.paid };
+      return { ...withBalance, status: invoiceStatus(withBalance, today) };
+    }),
+    fees,
+    total,
+    outstanding: roundCents(unpaid - fromCredit),
+    credit: credit - fromCredit,
+  };
+};
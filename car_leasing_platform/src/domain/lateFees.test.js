@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_LATE_FEE_POLICY, describePolicy, leaseLateFees, policyOn,
+} from './lateFees.js';
+import { lesseeAging } from './aging.js';
+
+const lease = {
+  id: 'LEA-1',
+  lesseeId: 'LSE-1',
+  vehicleId: 'VEH-1',
+  termMonths: 12,
+  monthlyRate: 500,
+  startDate: '2026-01-01',
+  endDate: '2027-01-01',
+  status: 'active',
+  endedOn: null,
+  excessMileage: null,
+};
+
+// $50 after 5 grace days
+const policies = [{ id: 'LFP-1', ...DEFAULT_LATE_FEE_POLICY }];
+
+const payment = (id, date, amount) => ({
+  id, lesseeId: 'LSE-1', leaseId: 'LEA-1', date, amount, status: 'completed',
+});
+
+const paidOf = (result) => result.invoices.slice(0, 3).map(invoice => invoice.paid);
+
+test('an on-time payment after a late one pays its own installment, not the old fee', () => {
+  const payments = [
+    payment('PAY-1', '2026-01-10', 500),
+    payment('PAY-2', '2026-02-01', 500),
+    payment('PAY-3', '2026-03-01', 500),
+  ];
+  const result = leaseLateFees(lease, payments, policies, '2026-03-20');
+  assert.deepEqual(result.fees.map(fee => fee.invoiceId), ['LEA-1-01']);
+  assert.deepEqual(paidOf(result), [500, 500, 500]);
+  assert.equal(result.outstanding, 50);
+
+  const [row] = lesseeAging([{ id: 'LSE-1' }], [lease], payments, policies, '2026-03-20');
+  assert.equal(row.fees, 50);
+  assert.equal(row.total, 50);
+});
+
+test('a payment of rent plus the fee settles both', () => {
+  const payments = [payment('PAY-1', '2026-01-10', 550), payment('PAY-2', '2026-02-01', 500)];
+  const result = leaseLateFees(lease, payments, policies, '2026-02-20');
+  assert.equal(result.total, 50);
+  assert.equal(result.outstanding, 0);
+  assert.deepEqual(result.fees[0].allocations.map(a => [a.paymentId, a.amount]), [['PAY-1', 50]]);
+  assert.deepEqual(lesseeAging([{ id: 'LSE-1' }], [lease], payments, policies, '2026-02-20'), []);
+});
+
+test('an overpayment goes to the fee before installments not yet due', () => {
+  const payments = [payment('PAY-1', '2026-01-10', 500), payment('PAY-2', '2026-02-01', 1000)];
+  const result = leaseLateFees(lease, payments, policies, '2026-02-20');
+  assert.equal(result.outstanding, 0);
+  assert.deepEqual(paidOf(result), [500, 500, 450]);
+});
+
+test('no fee within the grace period', () => {
+  const payments = [payment('PAY-1', '2026-01-06', 500)];
+  const result = leaseLateFees(lease, payments, policies, '2026-01-31');
+  assert.deepEqual(result.fees, []);
+});
+
+test('a percent fee with daily interest is capped', () => {
+  const capped = [{
+    id: 'LFP-2', effectiveFrom: '2000-01-01', graceDays: 0, feeType: 'percent', feeAmount: 10, feeCap: 60, dailyInterestRate: 1,
+  }];
+  const result = leaseLateFees(lease, [], capped, '2026-01-05');
+  // 10% of $500 plus 1% a day on $500 for 3 days, capped at $60
+  assert.equal(result.fees[0].amount, 60);
+  assert.equal(describePolicy(capped[0]), '10% of the missed amount + 1%/day interest after 0 grace days, capped at $60');
+});
+
+test('policyOn picks the latest policy in force on the date', () => {
+  const history = [
+    { id: 'LFP-1', effectiveFrom: '2025-01-01' },
+    { id: 'LFP-2', effectiveFrom: '2026-02-01' },
+  ];
+  assert.equal(policyOn(history, '2026-01-31').id, 'LFP-1');
+  assert.equal(policyOn(history, '2026-02-01').id, 'LFP-2');
+  assert.equal(policyOn(history, '2024-12-31'), null);
+});
@@ -0,0 +1,37 @@
+// Lease contract helpers
+import { addMonths } from './dates.js';
+
+export const LEASE_STATUS_LABELS = {
+  active: 'Active',
+  ended: 'Ended',
+  terminated: 'Terminated early',
+};
+
+// Badge colours for each status in lease tables
+export const LEASE_STATUS_BADGES = {
+  active: 'bg-green-100 text-green-800',
+  ended: 'bg-gray-200 text-gray-800',
+  terminated: 'bg-amber-100 text-amber-800',
+};
+
+// The date a lease stops being in force: its termination date if it was
+// ended early, otherwise the scheduled end date.
+export const effectiveEndDate = (lease) => (
+  lease.endedOn && lease.endedOn < lease.endDate ? lease.endedOn : lease.endDate
+);
+
+// Monthly due dates from the start of the lease up to its effective end
+export const leaseDueDates = (lease) => {
+  const end = effectiveEndDate(lease);
+  const dueDates = [];
+  for (let i = 0; i < lease.termMonths; i++) {
+    const dueDate = addMonths(lease.startDate, i);
+    if (dueDate >= end) break;
+    dueDates.push(dueDate);
+  }
+  return dueDates;
+};
+
+export const activeLeaseForVehicle = (leases, vehicleId) => (
+  leases.find(l => l.vehicleId === vehicleId && l.status === 'active')
+);
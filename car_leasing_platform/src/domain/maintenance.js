@@ -0,0 +1,73 @@
+// Maintenance history and service reminders. Like the rest of the domain
+// code, nothing here reads the clock: callers pass `today` (YYYY-MM-DD).
+import { daysBetween, formatDate } from './dates.js';
+
+export const MAINTENANCE_TYPE_LABELS = {
+  service: 'Scheduled service',
+  inspection: 'Inspection',
+  repair: 'Repair',
+  tires: 'Tires',
+  bodywork: 'Bodywork',
+  other: 'Other',
+};
+
+export const REMINDER_STATUS_LABELS = {
+  overdue: 'Overdue',
+  dueSoon: 'Due soon',
+  upcoming: 'Upcoming',
+  done: 'Done',
+};
+
+// How close a reminder has to be to count as due soon
+export const DUE_SOON_DAYS = 14;
+export const DUE_SOON_MILES = 500;
+
+const URGENCY = ['overdue', 'dueSoon', 'upcoming', 'done'];
+
+// A vehicle's maintenance records, newest first
+export const maintenanceFor = (maintenance, vehicleId) => maintenance
+  .filter(record => record.vehicleId === vehicleId)
+  .sort((a, b) => b.date.localeCompare(a.date) || b.id.localeCompare(a.id));
+
+// Highest odometer reading on record for a vehicle, or null if there is none.
+// `readings` is anything with vehicleId and odometer: maintenance records and
+// odometer readings.
+export const latestOdometer = (readings, vehicleId) => readings
+  .filter(record => record.vehicleId === vehicleId)
+  .reduce((highest, record) => (highest === null || record.odometer > highest ? record.odometer : highest), null);
+
+// Where a reminder stands, by whichever of its due date and due mileage
+// comes first. Mileage can only be judged once there is a reading.
+export const reminderStatus = (reminder, odometer, today) => {
+  if (reminder.completedOn) return 'done';
+  const daysLeft = reminder.dueDate ? daysBetween(today, reminder.dueDate) : Infinity;
+  const milesLeft = reminder.dueOdometer != null && odometer !== null
+    ? reminder.dueOdometer - odometer
+    : Infinity;
+  if (daysLeft < 0 || milesLeft <= 0) return 'overdue';
+  if (daysLeft <= DUE_SOON_DAYS || milesLeft <= DUE_SOON_MILES) return 'dueSoon';
+  return 'upcoming';
+};
+
+// Reminders with their status and the vehicle's latest odometer reading,
+// most urgent first and then by due date
+export const remindersWithStatus = (reminders, readings, today) => reminders
+  .map(reminder => {
+    const odometer = latestOdometer(readings, reminder.vehicleId);
+    return { reminder, odometer, status: reminderStatus(reminder, odometer, today) };
+  })
+  .sort((a, b) => URGENCY.indexOf(a.status) - URGENCY.indexOf(b.status)
+    || (a.reminder.dueDate || '9999').localeCompare(b.reminder.dueDate || '9999'));
+
+// Open reminders that need attention (overdue or due soon) for vehicles still in the fleet
+export const dueReminders = (reminders, readings, vehicles, today) => remindersWithStatus(
+  reminders.filter(r => !r.completedOn && vehicles.some(v => v.id === r.vehicleId)),
+  readings,
+  today,
+).filter(({ status }) => status === 'overdue' || status === 'dueSoon');
+
+// e.g. "due 3/1/2027 or at 45,000 miles"
+export const describeDue = (reminder) => [
+  reminder.dueDate && `due ${formatDate(reminder.dueDate)}`,
+  reminder.dueOdometer != null && `at ${reminder.dueOdometer.toLocaleString()} miles`,
+].filter(Boolean).join(' or ');
@@ -0,0 +1,67 @@
+// Odometer readings and mileage allowances. The allowance on a lease is in
+// miles per year; it accrues evenly over the term, so a lease can be
+// checked against it at any reading and an early return is charged only
+// for the part of the term it ran.
+import { daysBetween } from './dates.js';
+
+export const ODOMETER_READING_KIND_LABELS = {
+  handover: 'Handover',
+  periodic: 'Periodic',
+  return: 'Return',
+};
+
+// Per mile over the allowance, unless the lease says otherwise
+export const DEFAULT_EXCESS_MILEAGE_RATE = 0.25;
+
+// Miles allowed over the full term
+export const termAllowance = (lease) => Math.round((lease.mileageAllowance * lease.termMonths) / 12);
+
+// Miles allowed from the start of the lease up to `date`
+export const allowanceOn = (lease, date) => {
+  const termDays = daysBetween(lease.startDate, lease.endDate);
+  const elapsedDays = Math.min(termDays, Math.max(0, daysBetween(lease.startDate, date)));
+  return Math.round((termAllowance(lease) * elapsedDays) / termDays);
+};
+
+// The reading taken when the vehicle was handed over for the lease, or null
+export const handoverReading = (readings, lease) => (
+  readings.find(r => r.leaseId === lease.id && r.kind === 'handover') || null
+);
+
+// Mileage driven on a lease so far, from the handover reading to the
+// vehicle's latest reading during the lease. `readings` is anything with
+// vehicleId, date and odometer: odometer readings and maintenance records.
+// Returns null until there is a handover reading. The projection scales
+// the miles driven so far to the full term.
+export const leaseMileage = (lease, readings) => {
+  const start = handoverReading(readings, lease);
+  if (!start) return null;
+  const latest = readings
+    .filter(r => r.vehicleId === lease.vehicleId && r.date >= start.date && (!lease.endedOn || r.date <= lease.endedOn))
+    .reduce((best, r) => (r.odometer > best.odometer ? r : best), start);
+
+  const driven = latest.odometer - start.odometer;
+  const elapsedDays = daysBetween(lease.startDate, latest.date);
+  const projected = elapsedDays > 0
+    ? Math.round((driven * daysBetween(lease.startDate, lease.endDate)) / elapsedDays)
+    : null;
+  return {
+    startOdometer: start.odometer,
+    latestOdometer: latest.odometer,
+    latestDate: latest.date,
+    driven,
+    allowance: allowanceOn(lease, latest.date),
+    termAllowance: termAllowance(lease),
+    projected,
+    projectedOverage: projected === null ? 0 : Math.max(0, projected - termAllowance(lease)),
+  };
+};
+
+// What to bill when the vehicle comes back on `endedOn` with `returnOdometer`
+// miles on the clock: { miles, amount }, or null without a handover reading
+export const excessMileageFor = (lease, returnOdometer, endedOn, readings) => {
+  const start = handoverReading(readings, lease);
+  if (!start) return null;
+  const miles = Math.max(0, returnOdometer - start.odometer - allowanceOn(lease, endedOn));
+  return { miles, amount: Math.round(miles * lease.excessMileageRate * 100) / 100 };
+};
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  allowanceOn, excessMileageFor, leaseMileage, termAllowance,
+} from './mileage.js';
+
+const lease = {
+  id: 'LEA-1',
+  vehicleId: 'VEH-1',
+  termMonths: 12,
+  startDate: '2026-01-01',
+  endDate: '2027-01-01',
+  mileageAllowance: 12000,
+  excessMileageRate: 0.25,
+  endedOn: null,
+};
+
+const readings = [
+  {
+    id: 'ODO-1', vehicleId: 'VEH-1', leaseId: 'LEA-1', kind: 'handover', date: '2026-01-01', odometer: 10000,
+  },
+  { id: 'ODO-2', vehicleId: 'VEH-1', date: '2026-07-02', odometer: 18000 },
+  // Another vehicle's reading doesn't count
+  { id: 'ODO-3', vehicleId: 'VEH-2', date: '2026-08-01', odometer: 90000 },
+];
+
+test('the allowance builds up over the term', () => {
+  assert.equal(termAllowance({ ...lease, termMonths: 36 }), 36000);
+  assert.equal(allowanceOn(lease, '2025-12-01'), 0);
+  assert.equal(allowanceOn(lease, '2026-07-02'), 5984);
+  assert.equal(allowanceOn(lease, '2027-06-01'), 12000);
+});
+
+test('leaseMileage projects the miles driven so far over the full term', () => {
+  assert.deepEqual(leaseMileage(lease, readings), {
+    startOdometer: 10000,
+    latestOdometer: 18000,
+    latestDate: '2026-07-02',
+    driven: 8000,
+    allowance: 5984,
+    termAllowance: 12000,
+    projected: 16044,
+    projectedOverage: 4044,
+  });
+  assert.equal(leaseMileage(lease, readings.slice(1)), null);
+});
+
+test('readings after a lease ended are left out', () => {
+  const ended = { ...lease, endedOn: '2026-06-30' };
+  assert.equal(leaseMileage(ended, readings).latestOdometer, 10000);
+});
+
+test('excess mileage is billed at the lease rate, and only over the allowance', () => {
+  assert.deepEqual(excessMileageFor(lease, 24000, '2027-01-01', readings), { miles: 2000, amount: 500 });
+  assert.deepEqual(excessMileageFor(lease, 15000, '2027-01-01', readings), { miles: 0, amount: 0 });
+  assert.equal(excessMileageFor(lease, 24000, '2027-01-01', []), null);
+});
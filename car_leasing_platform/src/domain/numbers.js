@@ -0,0 +1,4 @@
+// Number helpers shared by the domain code and the views built on it
+
+// Total of a list of amounts; missing amounts (null) count as zero
+export const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
@@ -0,0 +1,112 @@
+// Payment behaviour: each payment compared with the invoice it paid, plus the
+// installments that were never paid at all
+import { daysBetween } from './dates.js';
+import { leaseLateFees } from './lateFees.js';
+import { netPaymentAmount } from './payments.js';
+
+export const PAYMENT_STATUS_LABELS = {
+  onTime: 'Paid On Time',
+  late: 'Paid Late',
+  partial: 'Partial',
+  missed: 'Missed',
+};
+
+export const PAYMENT_STATUSES = Object.keys(PAYMENT_STATUS_LABELS);
+
+// A payment is judged against the invoice it mainly settled: of those it was
+// applied to, the one due nearest the payment date (the later one on a tie).
+// Whatever it put towards older invoices or late fees is reported as
+// `catchUp`, so making up an earlier shortfall doesn't count against an
+// on-time payment. Invoices and fees are those of leaseLateFees, so the
+// split matches the one on receipts and statements.
+// It is partial when it was less than what earlier payments had left of that
+// invoice, and late when it arrived after the invoice's due date.
+const classifyPayment = (payment, invoices, fees) => {
+  const distance = (inv) => Math.abs(daysBetween(inv.dueDate, payment.date));
+  const invoice = invoices
+    .filter(inv => inv.allocations.some(a => a.paymentId === payment.id))
+    .reduce((nearest, inv) => (!nearest || distance(inv) <= distance(nearest) ? inv : nearest), null);
+  const entry = {
+    id: payment.id,
+    kind: 'payment',
+    lesseeId: payment.lesseeId,
+    leaseId: payment.leaseId,
+    date: payment.date,
+    amount: netPaymentAmount(payment),
+    invoiceId: invoice ? invoice.id : null,
+    dueDate: invoice ? invoice.dueDate : null,
+    daysLate: 0,
+    catchUp: 0,
+  };
+  const towardsFees = fees
+    .flatMap(fee => fee.allocations.filter(a => a.paymentId === payment.id))
+    .reduce((sum, a) => sum + a.amount, 0);
+  // Paid ahead of the schedule (held as credit) or only towards late fees
+  if (!invoice) return { ...entry, status: 'onTime', catchUp: towardsFees };
+
+  const upTo = invoice.allocations.findIndex(a => a.paymentId === payment.id);
+  const paidBefore = invoice.allocations
+    .slice(0, upTo)
+    .reduce((sum, a) => sum + a.amount, 0);
+  const catchUp = invoices
+    .filter(inv => inv.dueDate < invoice.dueDate)
+    .flatMap(inv => inv.allocations.filter(a => a.paymentId === payment.id))
+    .reduce((sum, a) => sum + a.amount, towardsFees);
+  const daysLate = Math.max(0, daysBetween(invoice.dueDate, payment.date));
+
+  let status = 'onTime';
+  if (entry.amount < invoice.amount - paidBefore) status = 'partial';
+  else if (daysLate > 0) status = 'late';
+  return {
+    ...entry, status, daysLate, catchUp,
+  };
+};
+
+// Every payment made against a lease, classified, followed by the overdue
+// installments that received nothing (status 'missed', dated by due date).
+// Payments recorded without a lease can't be matched to a schedule and are
+// left out, as are payments that were reversed or refunded in full.
+export const classifyPayments = (leases, payments, policies, today) => leases.flatMap(lease => {
+  const { invoices, fees } = leaseLateFees(lease, payments, policies, today);
+  const classified = payments
+    .filter(p => p.leaseId === lease.id && netPaymentAmount(p) > 0)
+    .map(payment => classifyPayment(payment, invoices, fees));
+  const missed = invoices
+    .filter(invoice => invoice.status === 'overdue' && invoice.paid === 0)
+    .map(invoice => ({
+      id: invoice.id,
+      kind: 'installment',
+      status: 'missed',
+      lesseeId: lease.lesseeId,
+      leaseId: lease.id,
+      date: invoice.dueDate,
+      amount: invoice.amount,
+      invoiceId: invoice.id,
+      dueDate: invoice.dueDate,
+      daysLate: daysBetween(invoice.dueDate, today),
+      catchUp: 0,
+    }));
+  return [...classified, ...missed];
+});
+
+export const countByStatus = (entries) => Object.fromEntries(
+  PAYMENT_STATUSES.map(status => [status, entries.filter(e => e.status === status).length])
+);
+
+// Per-lessee summary of the classified entries, lessees without any history omitted
+export const paymentBehaviourByLessee = (lessees, entries) => lessees
+  .map(lessee => {
+    const own = entries.filter(e => e.lesseeId === lessee.id);
+    const counts = countByStatus(own);
+    const late = own.filter(e => e.kind === 'payment' && e.daysLate > 0);
+    return {
+      lessee,
+      counts,
+      total: own.length,
+      onTimeRate: own.length > 0 ? counts.onTime / own.length : 0,
+      averageDaysLate: late.length > 0
+        ? Math.round(late.reduce((sum, e) => sum + e.daysLate, 0) / late.length)
+        : 0,
+    };
+  })
+  .filter(row => row.total > 0);
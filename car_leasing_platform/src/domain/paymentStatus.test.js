@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPayments, countByStatus } from './paymentStatus.js';
+import { DEFAULT_LATE_FEE_POLICY } from './lateFees.js';
+
+const lease = {
+  id: 'LEA-1',
+  lesseeId: 'LSE-1',
+  vehicleId: 'VEH-1',
+  termMonths: 12,
+  monthlyRate: 500,
+  startDate: '2026-01-01',
+  endDate: '2027-01-01',
+  status: 'active',
+  endedOn: null,
+  excessMileage: null,
+};
+
+// $50 after 5 grace days
+const policies = [{ id: 'LFP-1', ...DEFAULT_LATE_FEE_POLICY }];
+
+const payment = (id, date, amount) => ({
+  id, lesseeId: 'LSE-1', leaseId: 'LEA-1', date, amount, status: 'completed',
+});
+
+const summary = (entries) => entries.map(e => [e.id, e.status, e.invoiceId, e.catchUp]);
+
+test('one short payment does not make the later ones partial or late', () => {
+  const payments = [
+    payment('PAY-1', '2026-01-01', 400),
+    payment('PAY-2', '2026-02-01', 500),
+    payment('PAY-3', '2026-03-01', 500),
+  ];
+  assert.deepEqual(summary(classifyPayments([lease], payments, policies, '2026-03-02')), [
+    ['PAY-1', 'partial', 'LEA-1-01', 0],
+    ['PAY-2', 'onTime', 'LEA-1-02', 100],
+    ['PAY-3', 'onTime', 'LEA-1-03', 100],
+  ]);
+});
+
+test('a late payment is judged against its invoice and the fee paid later is catch-up', () => {
+  const payments = [payment('PAY-1', '2026-01-10', 500), payment('PAY-2', '2026-02-01', 550)];
+  const entries = classifyPayments([lease], payments, policies, '2026-02-02');
+  assert.deepEqual(summary(entries), [
+    ['PAY-1', 'late', 'LEA-1-01', 0],
+    ['PAY-2', 'onTime', 'LEA-1-02', 50],
+  ]);
+  assert.equal(entries[0].daysLate, 9);
+});
+
+test('a payment that only settles a late fee is not matched to an invoice', () => {
+  const payments = [payment('PAY-1', '2026-01-10', 500), payment('PAY-2', '2026-01-15', 50)];
+  assert.deepEqual(summary(classifyPayments([lease], payments, policies, '2026-01-20')), [
+    ['PAY-1', 'late', 'LEA-1-01', 0],
+    ['PAY-2', 'onTime', null, 50],
+  ]);
+});
+
+test('overdue installments with nothing paid are reported as missed', () => {
+  const entries = classifyPayments([lease], [payment('PAY-1', '2026-01-01', 500)], policies, '2026-03-20');
+  assert.deepEqual(entries.filter(e => e.kind === 'installment').map(e => [e.id, e.daysLate]), [
+    ['LEA-1-02', 47],
+    ['LEA-1-03', 19],
+  ]);
+  assert.deepEqual(countByStatus(entries), {
+    onTime: 1, late: 0, partial: 0, missed: 2,
+  });
+});
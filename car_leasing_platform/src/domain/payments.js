@@ -0,0 +1,34 @@
+// Payment states and adjustments. A payment is never deleted or rewritten
+// silently: reversals, refunds and corrections are appended to its
+// `adjustments` list (type, date, reason) and its status follows from them.
+
+export const PAYMENT_STATE_LABELS = {
+  completed: 'Completed',
+  refunded: 'Refunded',
+  reversed: 'Reversed',
+};
+
+export const ADJUSTMENT_LABELS = {
+  reversal: 'Reversal',
+  refund: 'Refund',
+  correction: 'Correction',
+};
+
+const adjustmentsOf = (payment) => payment.adjustments || [];
+
+export const refundedAmount = (payment) => adjustmentsOf(payment)
+  .filter(adjustment => adjustment.type === 'refund')
+  .reduce((sum, adjustment) => sum + adjustment.amount, 0);
+
+export const isReversed = (payment) => adjustmentsOf(payment).some(a => a.type === 'reversal');
+
+// The status a payment's adjustments imply
+export const paymentState = (payment) => {
+  if (isReversed(payment)) return 'reversed';
+  return refundedAmount(payment) > 0 ? 'refunded' : 'completed';
+};
+
+// What the payment actually contributes: nothing once reversed, less any refunds
+export const netPaymentAmount = (payment) => (
+  isReversed(payment) ? 0 : payment.amount - refundedAmount(payment)
+);
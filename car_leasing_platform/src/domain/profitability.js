@@ -0,0 +1,30 @@
+// Per-vehicle profitability to date: what the vehicle's leases brought in,
+// net of refunds and reversals, against what it cost in depreciation and
+// maintenance. Payments recorded without a lease can't be tied to a vehicle
+// and are left out.
+import { accumulatedDepreciation, bookValueOn } from './depreciation.js';
+import { sum } from './numbers.js';
+import { netPaymentAmount } from './payments.js';
+
+// { vehicle, income, depreciation, maintenanceCost, bookValue, net }.
+// Depreciation and book value are null when the vehicle's cost isn't on
+// record, and then don't count against it.
+export const vehicleProfitability = (vehicle, { leases, payments, maintenance }, today) => {
+  const leaseIds = new Set(leases.filter(l => l.vehicleId === vehicle.id).map(l => l.id));
+  const income = sum(payments.filter(p => leaseIds.has(p.leaseId) && p.date <= today).map(netPaymentAmount));
+  const maintenanceCost = sum(maintenance.filter(r => r.vehicleId === vehicle.id && r.date <= today).map(r => r.cost));
+  const depreciation = accumulatedDepreciation(vehicle, today);
+  return {
+    vehicle,
+    income,
+    depreciation,
+    maintenanceCost,
+    bookValue: bookValueOn(vehicle, today),
+    net: income - (depreciation || 0) - maintenanceCost,
+  };
+};
+
+// Every vehicle in the fleet, most profitable first
+export const fleetProfitability = (data, today) => data.vehicles
+  .map(vehicle => vehicleProfitability(vehicle, data, today))
+  .sort((a, b) => b.net - a.net);
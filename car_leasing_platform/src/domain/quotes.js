@@ -0,0 +1,96 @@
+// Lease quotes, priced the way dealers do: the monthly payment covers the
+// drop in value from the capitalized cost (price less down payment) to the
+// residual value, plus a rent charge of (capitalized cost + residual) times
+// the money factor, plus sales tax on the payment. Amounts are in dollars
+// and cents.
+
+// A money factor is the APR divided by 2400
+const APR_PER_MONEY_FACTOR = 2400;
+
+export const aprToMoneyFactor = (apr) => apr / APR_PER_MONEY_FACTOR;
+
+export const moneyFactorToApr = (moneyFactor) => moneyFactor * APR_PER_MONEY_FACTOR;
+
+// Terms compared when a quote is first opened
+export const DEFAULT_QUOTE_TERMS = [24, 36, 48];
+
+export const DEFAULT_QUOTE_INPUTS = {
+  price: '',
+  downPayment: 0,
+  residualPercent: 55,
+  moneyFactor: 0.0025,
+  taxRate: 7,
+};
+
+const cents = (amount) => Math.round(amount * 100) / 100;
+
+// Problems with quote inputs, as messages; empty when a quote can be priced.
+// `inputs` holds numbers: { price, downPayment, residualPercent, moneyFactor, taxRate }
+export const quoteErrors = ({
+  price, downPayment, residualPercent, moneyFactor, taxRate,
+}) => {
+  const errors = [];
+  if (!(price > 0)) errors.push('Vehicle price must be greater than zero');
+  if (!(downPayment >= 0) || downPayment >= price) {
+    errors.push('Down payment must be zero or more and less than the price');
+  }
+  if (!(residualPercent >= 0 && residualPercent <= 100)) errors.push('Residual must be between 0% and 100%');
+  if (!(moneyFactor >= 0)) errors.push('Money factor must be zero or more');
+  if (!(taxRate >= 0)) errors.push('Tax rate must be zero or more');
+  if (errors.length === 0 && price - downPayment < (price * residualPercent) / 100) {
+    errors.push('Down payment leaves a capitalized cost below the residual value');
+  }
+  return errors;
+};
+
+// Month-by-month breakdown. The balance runs down evenly from the
+// capitalized cost to the residual value; the last month takes up any
+// rounding so it ends exactly on the residual.
+const amortization = ({
+  capitalizedCost, residualValue, termMonths, depreciationFee, financeFee, tax, monthlyPayment,
+}) => Array.from({ length: termMonths }, (_, idx) => {
+  const openingBalance = cents(capitalizedCost - depreciationFee * idx);
+  const depreciation = idx === termMonths - 1 ? cents(openingBalance - residualValue) : depreciationFee;
+  return {
+    month: idx + 1,
+    openingBalance,
+    depreciation,
+    financeCharge: financeFee,
+    tax,
+    payment: monthlyPayment,
+    closingBalance: cents(openingBalance - depreciation),
+  };
+});
+
+// The quote for one term:
+// { termMonths, capitalizedCost, residualValue, depreciationFee, financeFee,
+//   basePayment, tax, monthlyPayment, totalPayments, totalCost, schedule }.
+// Tax is charged on each monthly payment; the down payment counts towards
+// the total cost but isn't taxed here.
+export const leaseQuote = (inputs, termMonths) => {
+  const capitalizedCost = cents(inputs.price - inputs.downPayment);
+  const residualValue = cents((inputs.price * inputs.residualPercent) / 100);
+  const depreciationFee = cents((capitalizedCost - residualValue) / termMonths);
+  const financeFee = cents((capitalizedCost + residualValue) * inputs.moneyFactor);
+  const basePayment = cents(depreciationFee + financeFee);
+  const tax = cents((basePayment * inputs.taxRate) / 100);
+  const monthlyPayment = cents(basePayment + tax);
+  const quote = {
+    termMonths,
+    capitalizedCost,
+    residualValue,
+    depreciationFee,
+    financeFee,
+    basePayment,
+    tax,
+    monthlyPayment,
+    totalPayments: cents(monthlyPayment * termMonths),
+    totalCost: cents(monthlyPayment * termMonths + inputs.downPayment),
+  };
+  return { ...quote, schedule: amortization(quote) };
+};
+
+// Quotes for several terms on the same inputs, shortest term first
+export const compareQuotes = (inputs, terms) => [...terms]
+  .sort((a, b) => a - b)
+  .map(termMonths => leaseQuote(inputs, termMonths));
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  aprToMoneyFactor, compareQuotes, leaseQuote, moneyFactorToApr, quoteErrors,
+} from './quotes.js';
+
+const inputs = {
+  price: 30000, downPayment: 3000, residualPercent: 55, moneyFactor: 0.0025, taxRate: 7,
+};
+
+test('money factor and APR convert both ways', () => {
+  assert.equal(aprToMoneyFactor(6), 0.0025);
+  assert.equal(moneyFactorToApr(0.0025), 6);
+});
+
+test('leaseQuote prices depreciation, rent charge and tax on the payment', () => {
+  const quote = leaseQuote(inputs, 36);
+  assert.deepEqual({ ...quote, schedule: undefined }, {
+    termMonths: 36,
+    capitalizedCost: 27000,
+    residualValue: 16500,
+    depreciationFee: 291.67,
+    financeFee: 108.75,
+    basePayment: 400.42,
+    tax: 28.03,
+    monthlyPayment: 428.45,
+    totalPayments: 15424.2,
+    totalCost: 18424.2,
+    schedule: undefined,
+  });
+});
+
+test('the schedule runs down from the capitalized cost to exactly the residual', () => {
+  const { schedule } = leaseQuote(inputs, 36);
+  assert.equal(schedule.length, 36);
+  assert.equal(schedule[0].openingBalance, 27000);
+  assert.equal(schedule[35].closingBalance, 16500);
+  schedule.slice(1).forEach((row, idx) => assert.equal(row.openingBalance, schedule[idx].closingBalance));
+});
+
+test('compareQuotes lists terms shortest first', () => {
+  const quotes = compareQuotes(inputs, [48, 24, 36]);
+  assert.deepEqual(quotes.map(q => q.termMonths), [24, 36, 48]);
+  assert.ok(quotes[0].monthlyPayment > quotes[2].monthlyPayment);
+});
+
+test('quoteErrors reports inputs that cannot be priced', () => {
+  assert.deepEqual(quoteErrors(inputs), []);
+  assert.deepEqual(quoteErrors({ ...inputs, price: 0, downPayment: 0 }), [
+    'Vehicle price must be greater than zero',
+    'Down payment must be zero or more and less than the price',
+  ]);
+  assert.deepEqual(quoteErrors({ ...inputs, residualPercent: 120, taxRate: -1 }), [
+    'Residual must be between 0% and 100%',
+    'Tax rate must be zero or more',
+  ]);
+  assert.deepEqual(quoteErrors({ ...inputs, downPayment: 20000 }), [
+    'Down payment leaves a capitalized cost below the residual value',
+  ]);
+});
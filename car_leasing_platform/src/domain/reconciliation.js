@@ -0,0 +1,139 @@
+// Matching bank statement credits to lessees and their open invoices. Each
+// credit is scored against the unpaid invoices of every lease on the
+// reference text, the amount and how close it landed to the due date.
+import { addDays, daysBetween } from './dates.js';
+import { leaseLateFees } from './lateFees.js';
+import { netPaymentAmount } from './payments.js';
+
+// Days either side of a due date that a payment for it usually arrives
+export const MATCH_WINDOW_DAYS = 10;
+
+// An existing payment of the same amount this close to the credit is
+// taken to be the credit itself
+const RECORDED_WINDOW_DAYS = 3;
+
+export const MATCH_STATUS_LABELS = {
+  recorded: 'Already recorded',
+  high: 'Confident match',
+  low: 'Possible match',
+  none: 'Unmatched',
+};
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const mentions = (line, value) => Boolean(value) && line.description.toLowerCase().includes(value.toLowerCase());
+
+// Invoices still owing something that a credit on `date` could be for: the
+// ones due by then (plus the window), or failing that the next one due
+const openInvoices = (lease, payments, policies, date) => {
+  const open = leaseLateFees(lease, payments, policies, date).invoices.filter(invoice => invoice.balance > 0);
+  const latestDue = addDays(date, MATCH_WINDOW_DAYS);
+  return open.filter((invoice, idx) => idx === 0 || invoice.dueDate <= latestDue);
+};
+
+const scoreCandidate = (line, { lessee, lease, invoice }) => {
+  const reasons = [];
+  let score = 0;
+
+  const mentioned = [[invoice.id, 5], [lease.id, 4], [lessee.id, 3], [lessee.name, 2]]
+    .find(([value]) => mentions(line, value));
+  if (mentioned) {
+    score += mentioned[1];
+    reasons.push(`reference mentions ${mentioned[0]}`);
+  }
+  if (sameAmount(line.amount, invoice.balance)) {
+    score += 2;
+    reasons.push('amount matches the balance due');
+  } else if (sameAmount(line.amount, lease.monthlyRate)) {
+    score += 1;
+    reasons.push('amount matches the monthly rate');
+  }
+  const days = daysBetween(invoice.dueDate, line.date);
+  if (Math.abs(days) <= MATCH_WINDOW_DAYS) {
+    score += 1;
+    reasons.push(days === 0 ? 'paid on the due date' : `paid ${Math.abs(days)} days ${days > 0 ? 'after' : 'before'} the due date`);
+  }
+  return { score, reasons };
+};
+
+// Best invoice for a credit, or null if nothing scores well enough. A tie
+// with an invoice on another lease makes a match only a possible one.
+const bestMatch = (line, { lessees, leases, lateFeePolicies }, payments) => {
+  const scored = leases
+    .flatMap(lease => {
+      const lessee = lessees.find(l => l.id === lease.lesseeId);
+      if (!lessee) return [];
+      return openInvoices(lease, payments, lateFeePolicies, line.date).map(invoice => ({
+        lessee, lease, invoice, ...scoreCandidate(line, { lessee, lease, invoice }),
+      }));
+    })
+    .sort((a, b) => b.score - a.score || a.invoice.dueDate.localeCompare(b.invoice.dueDate));
+
+  const [best] = scored;
+  if (!best || best.score < 3) return null;
+  const isAmbiguous = scored.some(c => c.score === best.score && c.lease.id !== best.lease.id);
+  return {
+    status: best.score >= 5 && !isAmbiguous ? 'high' : 'low',
+    lesseeId: best.lessee.id,
+    leaseId: best.lease.id,
+    invoiceId: best.invoice.id,
+    dueDate: best.invoice.dueDate,
+    reasons: best.reasons,
+  };
+};
+
+// The existing payment a credit corresponds to, if it was already entered:
+// one recorded from this credit before (payments keep the line's key as
+// bankReference), or one of the same amount a few days either side that the
+// reference points to (or the only such payment)
+const recordedPayment = (line, { lessees }, payments, claimed) => {
+  const byReference = payments.find(p => p.bankReference === line.key);
+  if (byReference) return byReference;
+  const nearby = payments.filter(p => !claimed.has(p.id)
+    && sameAmount(netPaymentAmount(p), line.amount)
+    && Math.abs(daysBetween(p.date, line.date)) <= RECORDED_WINDOW_DAYS);
+  const named = nearby.find(p => {
+    const lessee = lessees.find(l => l.id === p.lesseeId);
+    return mentions(line, p.lesseeId) || mentions(line, p.leaseId) || (lessee && mentions(line, lessee.name));
+  });
+  return named || (nearby.length === 1 ? nearby[0] : null);
+};
+
+// Suggest what each credit on a statement is for, oldest first. Returns
+// { line, status, paymentId, match } per credit, where status is a key of
+// MATCH_STATUS_LABELS, paymentId is set for credits already recorded and
+// match is { lesseeId, leaseId, invoiceId, dueDate, reasons } or null.
+// Matched credits count towards later ones, so two credits aren't both
+// matched to the same invoice.
+export const reconcileStatement = (lines, data) => {
+  const recorded = data.payments.filter(p => netPaymentAmount(p) > 0);
+  const claimed = new Set();
+  let payments = recorded;
+
+  return lines
+    .slice()
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(line => {
+      const existing = recordedPayment(line, data, recorded, claimed);
+      if (existing) {
+        claimed.add(existing.id);
+        return {
+          line, status: 'recorded', paymentId: existing.id, match: null,
+        };
+      }
+
+      const found = bestMatch(line, data, payments);
+      if (!found) {
+        return {
+          line, status: 'none', paymentId: null, match: null,
+        };
+      }
+      const { status, ...match } = found;
+      payments = [...payments, {
+        id: line.id, lesseeId: match.lesseeId, leaseId: match.leaseId, amount: line.amount, date: line.date,
+      }];
+      return {
+        line, status, paymentId: null, match,
+      };
+    });
+};
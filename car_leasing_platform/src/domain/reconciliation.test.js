@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileStatement } from './reconciliation.js';
+import { DEFAULT_LATE_FEE_POLICY } from './lateFees.js';
+
+const lease = (id, lesseeId, monthlyRate) => ({
+  id,
+  lesseeId,
+  vehicleId: `VEH-${id}`,
+  termMonths: 12,
+  monthlyRate,
+  startDate: '2026-01-01',
+  endDate: '2027-01-01',
+  status: 'active',
+  endedOn: null,
+  excessMileage: null,
+});
+
+const data = (payments = []) => ({
+  lessees: [{ id: 'LSE-1', name: 'Ada Lovelace' }, { id: 'LSE-2', name: 'Alan Turing' }],
+  leases: [lease('LEA-1', 'LSE-1', 500), lease('LEA-2', 'LSE-2', 350)],
+  payments,
+  lateFeePolicies: [{ id: 'LFP-1', ...DEFAULT_LATE_FEE_POLICY }],
+});
+
+const line = (id, date, amount, description) => ({
+  id, key: `${date} ${amount} ${description}`, date, amount, description,
+});
+
+const summary = (results) => results.map(({ line: l, status, paymentId, match }) => (
+  [l.id, status, paymentId || (match && match.invoiceId)]
+));
+
+test('credits are matched on reference, amount and due date', () => {
+  const results = reconcileStatement([
+    line('line-1', '2026-01-03', 450, 'TRANSFER ADA LOVELACE'),
+    line('line-2', '2026-01-01', 350, 'Rent LEA-2'),
+    line('line-3', '2026-01-05', 120, 'Card refund'),
+  ], data());
+  assert.deepEqual(summary(results), [
+    ['line-2', 'high', 'LEA-2-01'],
+    ['line-1', 'low', 'LEA-1-01'],
+    ['line-3', 'none', null],
+  ]);
+  assert.deepEqual(results[1].match.reasons, ['reference mentions Ada Lovelace', 'paid 2 days after the due date']);
+  assert.deepEqual(results[0].match.reasons, [
+    'reference mentions LEA-2', 'amount matches the balance due', 'paid on the due date',
+  ]);
+});
+
+test('a credit matched earlier on the statement counts towards later ones', () => {
+  const results = reconcileStatement([
+    line('line-1', '2026-01-01', 500, 'LEA-1'),
+    line('line-2', '2026-01-02', 500, 'LEA-1'),
+  ], data());
+  assert.deepEqual(summary(results), [
+    ['line-1', 'high', 'LEA-1-01'],
+    ['line-2', 'high', 'LEA-1-02'],
+  ]);
+});
+
+test('a credit that was already entered is reported as recorded', () => {
+  const recorded = [
+    {
+      id: 'PAY-1', lesseeId: 'LSE-1', leaseId: 'LEA-1', amount: 500, date: '2026-01-01', status: 'completed',
+    },
+  ];
+  const results = reconcileStatement([line('line-1', '2026-01-03', 500, 'ADA LOVELACE')], data(recorded));
+  assert.deepEqual(summary(results), [['line-1', 'recorded', 'PAY-1']]);
+});
@@ -0,0 +1,88 @@
+// Account statements: every charge and payment on a lessee's account in
+// date order with a running balance (positive means the lessee owes money,
+// negative is credit).
+import { leaseLateFees } from './lateFees.js';
+import { refundedAmount } from './payments.js';
+
+// Charges come before payments made on the same day
+const KIND_ORDER = ['invoice', 'lateFee', 'payment', 'refund', 'reversal'];
+
+// Everything that moved the balance: invoices as they fell due, late fees,
+// payments at their (corrected) amount, and refunds and reversals on the
+// dates they were made
+const accountEntries = (lesseeId, { leases, payments, lateFeePolicies }, today) => {
+  const entries = [];
+  leases
+    .filter(lease => lease.lesseeId === lesseeId)
+    .forEach(lease => {
+      const { invoices, fees } = leaseLateFees(lease, payments, lateFeePolicies, today);
+      invoices.forEach(invoice => entries.push({
+        kind: 'invoice',
+        date: invoice.dueDate,
+        description: invoice.kind === 'excessMileage'
+          ? `Excess mileage, ${lease.excessMileage.miles.toLocaleString()} miles (${invoice.id})`
+          : `Invoice ${invoice.id}`,
+        charge: invoice.amount,
+        payment: 0,
+      }));
+      fees.forEach(fee => entries.push({
+        kind: 'lateFee', date: fee.date, description: `Late fee on ${fee.invoiceId}`, charge: fee.amount, payment: 0,
+      }));
+    });
+
+  payments
+    .filter(payment => payment.lesseeId === lesseeId)
+    .forEach(payment => {
+      entries.push({
+        kind: 'payment', date: payment.date, description: `Payment ${payment.id}`, charge: 0, payment: payment.amount,
+      });
+      (payment.adjustments || []).forEach(adjustment => {
+        if (adjustment.type === 'refund') {
+          entries.push({
+            kind: 'refund', date: adjustment.date, description: `Refund of ${payment.id}`, charge: adjustment.amount, payment: 0,
+          });
+        } else if (adjustment.type === 'reversal') {
+          // Only what hadn't already been refunded is taken back
+          entries.push({
+            kind: 'reversal',
+            date: adjustment.date,
+            description: `Reversal of ${payment.id}: ${adjustment.reason}`,
+            charge: payment.amount - refundedAmount(payment),
+            payment: 0,
+          });
+        }
+      });
+    });
+
+  return entries.sort((a, b) => a.date.localeCompare(b.date)
+    || KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+};
+
+// Statement for `from` to `to` inclusive. Returns
+// { from, to, openingBalance, entries, totalCharges, totalPayments, closingBalance }
+// where each entry is { kind, date, description, charge, payment, balance }.
+// An empty `from` covers the whole account history.
+export const accountStatement = (lesseeId, data, from, to, today) => {
+  const all = accountEntries(lesseeId, data, today).filter(entry => entry.date <= to);
+  const openingBalance = all
+    .filter(entry => entry.date < from)
+    .reduce((balance, entry) => balance + entry.charge - entry.payment, 0);
+
+  let balance = openingBalance;
+  const entries = all
+    .filter(entry => entry.date >= from)
+    .map(entry => {
+      balance += entry.charge - entry.payment;
+      return { ...entry, balance };
+    });
+
+  return {
+    from,
+    to,
+    openingBalance,
+    entries,
+    totalCharges: entries.reduce((sum, entry) => sum + entry.charge, 0),
+    totalPayments: entries.reduce((sum, entry) => sum + entry.payment, 0),
+    closingBalance: balance,
+  };
+};
@@ -0,0 +1,119 @@
+// Fleet utilization from the vehicle event history: the share of
+// vehicle-days in a period during which vehicles were out on lease, and
+// separately the share they spent out of service (in the shop, awaiting
+// inspection or written off).
+import {
+  addDays, addMonths, daysBetween, monthLabel, recentMonths,
+} from './dates.js';
+import { categoryFor } from './categories.js';
+
+export const VEHICLE_EVENT_TYPES = ['added', 'leased', 'returned', 'removed', 'outOfService', 'backInService'];
+
+const isOpen = (periods) => periods.length > 0 && periods[periods.length - 1].end === null;
+
+const closeLast = (periods, date) => {
+  if (isOpen(periods)) periods[periods.length - 1].end = date;
+};
+
+// Per vehicle, the periods it was in the fleet, leased and out of service,
+// as { start, end } with `end` exclusive and null while ongoing
+export const vehicleHistories = (events) => {
+  const histories = {};
+  events
+    .slice()
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id))
+    .forEach(event => {
+      if (!histories[event.vehicleId]) {
+        histories[event.vehicleId] = {
+          vehicleId: event.vehicleId, fleet: [], leased: [], outOfService: [],
+        };
+      }
+      const history = histories[event.vehicleId];
+      history.make = event.make;
+      history.leaseAmount = event.leaseAmount;
+
+      if (event.type === 'added' && !isOpen(history.fleet)) {
+        history.fleet.push({ start: event.date, end: null });
+      } else if (event.type === 'leased' && !isOpen(history.leased)) {
+        history.leased.push({ start: event.date, end: null });
+      } else if (event.type === 'returned') {
+        closeLast(history.leased, event.date);
+      } else if (event.type === 'outOfService' && !isOpen(history.outOfService)) {
+        history.outOfService.push({ start: event.date, end: null });
+      } else if (event.type === 'backInService') {
+        closeLast(history.outOfService, event.date);
+      } else if (event.type === 'removed') {
+        closeLast(history.leased, event.date);
+        closeLast(history.outOfService, event.date);
+        closeLast(history.fleet, event.date);
+      }
+    });
+  return Object.values(histories);
+};
+
+// Days of the periods that fall inside [from, to)
+const overlapDays = (periods, from, to) => periods.reduce((sum, period) => {
+  const start = period.start > from ? period.start : from;
+  const end = period.end !== null && period.end < to ? period.end : to;
+  return sum + Math.max(0, daysBetween(start, end));
+}, 0);
+
+const percent = (totals, field = 'leasedDays') => (
+  totals && totals.fleetDays > 0 ? Math.round((totals[field] / totals.fleetDays) * 100) : null
+);
+
+const addTo = (group, key, fleetDays, leasedDays) => {
+  if (!group[key]) group[key] = { fleetDays: 0, leasedDays: 0 };
+  group[key].fleetDays += fleetDays;
+  group[key].leasedDays += leasedDays;
+};
+
+// Utilization for each of the last `months` calendar months up to today,
+// overall and broken down by make and vehicle category, plus the share of
+// the fleet that was out of service. Vehicles still in the fleet are grouped
+// by their current details, removed ones by their last event (which doesn't
+// record a body type). Months with no vehicles in the fleet have null
+// utilization.
+export const monthlyUtilization = (events, vehicles, categories, today, months = 12) => {
+  const histories = vehicleHistories(events).map(history => {
+    const current = vehicles.find(v => v.id === history.vehicleId)
+      || { make: history.make, leaseAmount: history.leaseAmount, bodyType: null };
+    return {
+      ...history,
+      make: current.make,
+      category: categoryFor(categories, current).name,
+    };
+  });
+  const periodEnd = addDays(today, 1);
+
+  return recentMonths(today, months).map(from => {
+    const nextMonth = addMonths(from, 1);
+    const to = nextMonth < periodEnd ? nextMonth : periodEnd;
+    const overall = { fleetDays: 0, leasedDays: 0, outOfServiceDays: 0 };
+    const byMake = {};
+    const byCategory = {};
+
+    histories.forEach(history => {
+      const fleetDays = overlapDays(history.fleet, from, to);
+      if (fleetDays === 0) return;
+      const leasedDays = overlapDays(history.leased, from, to);
+      overall.fleetDays += fleetDays;
+      overall.leasedDays += leasedDays;
+      overall.outOfServiceDays += overlapDays(history.outOfService, from, to);
+      addTo(byMake, history.make, fleetDays, leasedDays);
+      addTo(byCategory, history.category, fleetDays, leasedDays);
+    });
+
+    const asPercentages = (group) => Object.fromEntries(
+      Object.entries(group).map(([key, totals]) => [key, percent(totals)])
+    );
+    return {
+      month: from.substr(0, 7),
+      name: monthLabel(from),
+      utilization: percent(overall),
+      outOfService: percent(overall, 'outOfServiceDays'),
+      byMake: asPercentages(byMake),
+      byCategory: asPercentages(byCategory),
+    };
+  });
+};
@@ -0,0 +1,15 @@
+// Vehicle helpers
+
+// Whether a vehicle can be on the road. Anything other than 'inService'
+// takes it out of availability until it is put back in service.
+export const SERVICE_STATUS_LABELS = {
+  inService: 'In service',
+  inShop: 'In the shop',
+  awaitingInspection: 'Awaiting inspection',
+  writtenOff: 'Written off',
+};
+
+export const isInService = (vehicle) => vehicle.serviceStatus === 'inService';
+
+// Free to be leased right now
+export const isAvailable = (vehicle) => !vehicle.isLeased && isInService(vehicle);
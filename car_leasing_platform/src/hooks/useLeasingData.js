@@ -0,0 +1,120 @@
+import { useState, useEffect, useCallback } from 'react';
+import { canLoadScenarios, client } from '../data/client';
+import { undoableEntries } from '../data/audit';
+import { MOCK_OPTION_KEYS, parseMockOptions } from '../data/mockData';
+
+const EMPTY_DATA = {
+  vehicles: [], lessees: [], payments: [], leases: [], lateFeePolicies: [], vehicleEvents: [],
+  maintenance: [], serviceReminders: [], odometerReadings: [], vehicleCategories: [],
+};
+
+// In development builds, a link with ?scenario=high-delinquency&seed=7
+// replaces this browser's data with that mock scenario once the operator
+// confirms; vehicles, lessees, historyMonths and today can be given too. The
+// parameters are then dropped from the URL so reloading the page keeps any
+// changes made since.
+const takeScenarioFromUrl = () => {
+  const search = new URLSearchParams(window.location.search);
+  if (!MOCK_OPTION_KEYS.some(key => search.has(key))) return null;
+  const values = Object.fromEntries(MOCK_OPTION_KEYS.map(key => [key, search.get(key)]));
+  MOCK_OPTION_KEYS.forEach(key => search.delete(key));
+  const query = search.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  return values;
+};
+
+// Runs once per page load, however often the loading effect fires
+let startup = null;
+const prepareStorage = () => {
+  if (!startup) {
+    const values = import.meta.env.DEV && canLoadScenarios ? takeScenarioFromUrl() : null;
+    startup = values && confirm('Replace all data in this browser, including the history, with the scenario from the link?')
+      ? Promise.resolve()
+        .then(() => client.loadScenario(parseMockOptions(values)))
+        .catch(err => console.error('Could not load mock scenario', err))
+      : Promise.resolve();
+  }
+  return startup;
+};
+
+// Loads every collection through the data client and exposes create/update/remove.
+// Local state only changes after the backend accepts a write.
+export const useLeasingData = () => {
+  const [data, setData] = useState(EMPTY_DATA);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const reload = useCallback(() => (
+    client.loadAll()
+      .then(loaded => {
+        setData({ ...EMPTY_DATA, ...loaded });
+        setLoadError(null);
+      })
+      .catch(err => {
+        console.error('Failed to load data', err);
+        setLoadError(err);
+      })
+      .finally(() => setIsLoading(false))
+  ), []);
+
+  useEffect(() => {
+    prepareStorage().then(reload);
+    // Pick up changes other people made while this tab was in the background
+    window.addEventListener('focus', reload);
+    return () => window.removeEventListener('focus', reload);
+  }, [reload]);
+
+  const create = async (collection, record) => {
+    const saved = await client.create(collection, record);
+    setData(prev => ({ ...prev, [collection]: [...prev[collection], saved] }));
+    return saved;
+  };
+
+  // All or nothing: rejects without saving anything if a record is invalid
+  const importRecords = async (collection, records) => {
+    const saved = await client.importRecords(collection, records);
+    setData(prev => ({ ...prev, [collection]: [...prev[collection], ...saved] }));
+    return saved;
+  };
+
+  const update = async (collection, id, changes) => {
+    const saved = await client.update(collection, id, changes);
+    setData(prev => ({
+      ...prev,
+      [collection]: prev[collection].map(r => (r.id === id ? saved : r)),
+    }));
+    return saved;
+  };
+
+  const remove = async (collection, id) => {
+    await client.remove(collection, id);
+    setData(prev => ({ ...prev, [collection]: prev[collection].filter(r => r.id !== id) }));
+  };
+
+  const loadAuditLog = useCallback(() => client.auditLog(), []);
+
+  // Undo the latest `count` operations that haven't been undone yet, newest
+  // first. Stops at the first one that can't be undone and rethrows its
+  // error; either way the data is reloaded afterwards.
+  const undoLast = async (count) => {
+    const entries = undoableEntries(await client.auditLog()).slice(0, count);
+    try {
+      for (const entry of entries) {
+        await client.undo(entry.id);
+      }
+    } finally {
+      await reload();
+    }
+    return entries.length;
+  };
+
+  // Start over from a generated mock data set (browser storage only)
+  const loadScenario = async (options) => {
+    await client.loadScenario(options);
+    await reload();
+  };
+
+  return {
+    ...data, isLoading, loadError, reload, create, importRecords, update, remove, loadAuditLog, undoLast, loadScenario,
+  };
+};
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+
+const readParams = (defaults) => {
+  const search = new URLSearchParams(window.location.search);
+  return Object.fromEntries(
+    Object.entries(defaults).map(([key, fallback]) => [key, search.get(key) ?? fallback])
+  );
+};
+
+const writeParams = (params, defaults) => {
+  const search = new URLSearchParams(window.location.search);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === '' || value === defaults[key]) search.delete(key);
+    else search.set(key, value);
+  });
+  const query = search.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+};
+
+// Keep a set of string values in the URL query string so the current view
+// can be shared as a link. Values equal to their default are left out.
+// `defaults` should be a module-level constant.
+export const useQueryParams = (defaults) => {
+  const [params, setParamsState] = useState(() => readParams(defaults));
+
+  useEffect(() => {
+    const handlePopState = () => setParamsState(readParams(defaults));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [defaults]);
+
+  const setParams = (changes) => {
+    const next = { ...params, ...changes };
+    writeParams(next, defaults);
+    setParamsState(next);
+  };
+
+  return [params, setParams];
+};
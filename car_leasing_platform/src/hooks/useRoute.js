@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+
+// Fired on window after navigate() so every useRoute picks up the new path
+const NAVIGATE_EVENT = 'easylease:navigate';
+
+// Go to `path` within the app, adding a browser history entry
+export const navigate = (path) => {
+  if (path === `${window.location.pathname}${window.location.search}`) return;
+  window.history.pushState(null, '', path);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+// The current URL path, updated on navigate() and the browser's back and
+// forward buttons
+export const useRoute = () => {
+  const [path, setPath] = useState(() => window.location.pathname);
+
+  useEffect(() => {
+    const handleChange = () => setPath(window.location.pathname);
+    window.addEventListener('popstate', handleChange);
+    window.addEventListener(NAVIGATE_EVENT, handleChange);
+    return () => {
+      window.removeEventListener('popstate', handleChange);
+      window.removeEventListener(NAVIGATE_EVENT, handleChange);
+    };
+  }, []);
+
+  return path;
+};
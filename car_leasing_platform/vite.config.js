@@ -4,4 +4,10 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [tailwindcss(),react()],
+  server: {
+    // Forward API calls to `npm run server` when VITE_API_URL=/api
+    proxy: {
+      '/api': 'http://localhost:3001',
+    },
+  },
 })